@@ -0,0 +1,94 @@
+// csv.js - RFC 4180 CSV okuma / yazma
+// Tırnaklı alanlar, "" kaçışı, alan içinde satır sonu, CRLF ve UTF-8 BOM desteklenir.
+// Ayraç verilmezse başlık satırından tahmin edilir (, ; ya da sekme; Excel TR ";" ile kaydeder).
+// Formül enjeksiyonu: = + - @ sekme ya da CR ile başlayan hücreler yazılırken başına ' eklenir
+// (Excel/Sheets formül olarak çalıştırmasın); okurken bu ' geri alınır, dışa aktarılan dosya aynen geri döner.
+
+class CsvError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * CSV metnini kayıtlara ayırır.
+ * -> { header: string[], records: [{ line, values: { [başlık]: değer } }] }
+ *   line: kaydın başladığı dosya satırı (başlık 1. satır); boş satırlar atlanır.
+ * Kapanmamış tırnakta CsvError fırlatır.
+ */
+function parseCsv(input, { delimiter } = {}) {
+  const text = String(input ?? '').replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [], field = '', quoted = false, line = 1, rowLine = 1, fieldStarted = false;
+
+  const endField = () => { row.push(field); field = ''; fieldStarted = false; };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && !fieldStarted) { quoted = true; fieldStarted = true; continue; }
+    if (ch === sep) { endField(); continue; }
+    if (ch === '\r' && text[i + 1] === '\n') continue;
+    if (ch === '\n' || ch === '\r') {
+      endRow();
+      line++;
+      rowLine = line;
+      continue;
+    }
+    field += ch;
+    fieldStarted = true;
+  }
+  if (quoted) throw new CsvError('Kapanmamış tırnak', rowLine);
+  if (field !== '' || row.length) endRow();
+
+  if (!rows.length) return { header: [], records: [] };
+  const header = rows[0].cells.map(h => h.trim().toLowerCase());
+  const records = rows.slice(1).map(r => ({
+    line: r.line,
+    values: Object.fromEntries(header.map((h, i) => [h, unguardCell(r.cells[i] ?? '')])),
+  }));
+  return { header, records };
+}
+
+// Kendisi ' ile başlayan değerler de korunur ki okurken yalnızca eklenen ' silinsin
+const FORMULA_RE = /^'*[=+\-@\t\r]/;
+const guardCell = (s) => (FORMULA_RE.test(s) ? `'${s}` : s);
+const unguardCell = (s) => (s.startsWith("'") && FORMULA_RE.test(s.slice(1)) ? s.slice(1) : s);
+
+function csvCell(v, sep) {
+  if (v == null) return '';
+  const s = guardCell(typeof v === 'object' ? JSON.stringify(v) : String(v));
+  return s.includes(sep) || /["\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Başlık + nesne dizisinden CSV üretir (satır sonu CRLF, Excel için BOM'lu) */
+function toCsv(header, rows, { delimiter = ',', bom = true } = {}) {
+  const lines = [header.map(h => csvCell(h, delimiter)).join(delimiter)];
+  for (const r of rows) lines.push(header.map(h => csvCell(r[h], delimiter)).join(delimiter));
+  return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, CsvError };
@@ -1,16 +1,65 @@
-// db.js - PostgreSQL katmanı (sqlite benzeri util'ler)
-const { Pool } = require('pg');
-const connectionString = process.env.DATABASE_URL;
+// db.js - depolama katmanı: PostgreSQL ya da (yerel geliştirme için) SQLite
+// Sürücü seçimi:
+//   DB_DRIVER=pg | sqlite   açıkça seçer
+//   yoksa DATABASE_URL varsa pg, yoksa SQLite (SQLITE_PATH, varsayılan tmp/felox.sqlite)
+// Prod'da SQLite'a düşülmez: DATABASE_URL zorunlu.
+// Her iki sürücü de aynı pool arayüzünü verir (query / connect + release / end / on);
+// sorgular PostgreSQL lehçesinde yazılır, SQLite sürücüsü çevirir (bkz. sqlite.js).
+const DRIVER = (process.env.DB_DRIVER || (process.env.DATABASE_URL ? 'pg' : 'sqlite')).toLowerCase();
 
-if (!connectionString) {
-  console.error('DATABASE_URL env değişkeni yok! Neon connection string ekleyin.');
-  process.exit(1);
+function createPgPool() {
+  const { Pool } = require('pg');
+  if (!process.env.DATABASE_URL) {
+    console.error("DATABASE_URL env yok! Neon connection string'i .env içine ekleyin.");
+    process.exit(1);
+  }
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }, // Neon/Render için gerekli
+    keepAlive: true,
+    max: 5,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 10000,
+  });
+
+  // Her yeni bağlantıda güvenli session ayarları
+  pool.on('connect', async (client) => {
+    try {
+      await client.query(`
+        SET application_name = 'felox-backend';
+        SET statement_timeout = '15s';                   -- tek sorgu sunucu tarafı limiti
+        SET idle_in_transaction_session_timeout = '60s'; -- tx içinde boşta kalan bağlantı
+        SET lock_timeout = '5s';                         -- kilit bekleme sınırı
+        SET timezone = 'Europe/Istanbul';
+      `);
+    } catch (e) {
+      console.error('PG session settings fail:', e.message);
+    }
+  });
+
+  pool.on('error', (err) => {
+    console.error('PG pool error:', err?.message || err);
+  });
+
+  pool.dialect = 'pg';
+  return pool;
+}
+
+function createPool() {
+  if (DRIVER === 'pg') return createPgPool();
+  if (DRIVER !== 'sqlite') {
+    console.error(`Bilinmeyen DB_DRIVER: ${DRIVER} (pg | sqlite)`);
+    process.exit(1);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    console.error('Prod ortamında SQLite kullanılamaz; DATABASE_URL tanımlayın.');
+    process.exit(1);
+  }
+  const { createSqlitePool } = require('./sqlite');
+  return createSqlitePool(process.env.SQLITE_PATH || 'tmp/felox.sqlite');
 }
 
-const pool = new Pool({
-  connectionString,
-  ssl: { rejectUnauthorized: false }, // Neon/Render için gerekli
-});
+const pool = createPool();
 
 // sqlite benzeri yardımcılar
 async function run(sql, params = []) {
@@ -28,47 +77,6 @@ async function all(sql, params = []) {
   return rows;
 }
 
-async function init() {
-  // Tabloları oluştur
-  await run(`CREATE TABLE IF NOT EXISTS users (
-    id SERIAL PRIMARY KEY,
-    ad TEXT,
-    soyad TEXT,
-    yas INTEGER,
-    cinsiyet TEXT,
-    meslek TEXT,
-    sehir TEXT,
-    email TEXT UNIQUE,
-    password TEXT,
-    role TEXT
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS surveys (
-    id SERIAL PRIMARY KEY,
-    editor_id INTEGER REFERENCES users(id),
-    title TEXT,
-    start_date TEXT,
-    end_date TEXT,
-    category TEXT,
-    status TEXT DEFAULT 'pending'
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS questions (
-    id SERIAL PRIMARY KEY,
-    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
-    question TEXT,
-    correct_answer TEXT,
-    point INTEGER DEFAULT 1
-  )`);
-
-  await run(`CREATE TABLE IF NOT EXISTS answers (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
-    answer TEXT,
-    is_correct INTEGER,
-    created_at TIMESTAMP DEFAULT NOW()
-  )`);
-}
+// Şema migrations/ altında; uygulamak için: node migrate.js migrate
 
-module.exports = { pool, run, get, all, init };
+module.exports = { pool, run, get, all, dialect: pool.dialect };
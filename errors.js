@@ -0,0 +1,161 @@
+// errors.js - merkezi hata kataloğu + tek tip hata zarfı
+// Her hata yanıtı: { code, message, details, error }
+//   code    : makinece okunur sabit (istemci buna göre dallanır)
+//   message : kullanıcıya gösterilebilir metin
+//   details : alan hataları vb. (yoksa null)
+//   error   : eski istemciler için message'ın kopyası (geçiş dönemi)
+
+const ERRORS = {
+  // Genel
+  BAD_REQUEST:            { status: 400, message: 'Geçersiz istek.' },
+  VALIDATION_FAILED:      { status: 400, message: 'Gönderilen bilgiler geçersiz.' },
+  INVALID_JSON:           { status: 400, message: 'İstek gövdesi geçerli JSON değil.' },
+  UNAUTHORIZED:           { status: 401, message: 'Oturum gerekli.' },
+  FORBIDDEN:              { status: 403, message: 'Yetkisiz.' },
+  NOT_FOUND:              { status: 404, message: 'Bulunamadı.' },
+  CONFLICT:               { status: 409, message: 'İstek mevcut durumla çakışıyor.' },
+  PAYLOAD_TOO_LARGE:      { status: 413, message: 'İstek gövdesi çok büyük.' },
+  RATE_LIMITED:           { status: 429, message: 'Çok fazla istek. Lütfen biraz sonra tekrar deneyin.' },
+  INTERNAL:               { status: 500, message: 'Sunucu hatası.' },
+  UPSTREAM_UNAVAILABLE:   { status: 502, message: 'Dış servise ulaşılamadı.' },
+
+  // Kimlik / oturum
+  INVALID_CREDENTIALS:    { status: 401, message: 'E-posta veya şifre yanlış.' },
+  SESSION_INVALID:        { status: 401, message: 'Oturum geçersiz veya süresi dolmuş.' },
+  LOGIN_THROTTLED:        { status: 429, message: 'Çok fazla hatalı deneme. Lütfen daha sonra tekrar deneyin.' },
+  EMAIL_TAKEN:            { status: 400, message: 'Bu e-posta zaten kayıtlı.' },
+  EMAIL_NOT_VERIFIED:     { status: 403, message: 'Bu işlem için e-posta adresini doğrulamalısın.' },
+  ACCOUNT_PENDING_DELETION: { status: 403, message: 'Hesabın silinme sürecinde.' },
+  ACCOUNT_SUSPENDED:      { status: 403, message: 'Hesabın geçici olarak askıya alındı.' },
+  ACCOUNT_BANNED:         { status: 403, message: 'Hesabın yasaklandı.' },
+  GUEST_NOT_ALLOWED:      { status: 403, message: 'Bu özellik için üye olmalısın.' },
+  GUEST_NOT_FOUND:        { status: 401, message: 'Misafir hesabı bulunamadı.' },
+  LAST_LOGIN_METHOD:      { status: 409, message: 'Son giriş yöntemi kaldırılamaz.' },
+  USER_NOT_FOUND:         { status: 404, message: 'Kullanıcı bulunamadı' },
+  WRONG_PASSWORD:         { status: 401, message: 'Şifre yanlış.' },
+  REAUTH_FAILED:          { status: 401, message: 'Kimlik doğrulaması başarısız.' },
+  CODE_INVALID:           { status: 400, message: 'Kod geçersiz veya süresi dolmuş.' },
+  VERIFY_LINK_INVALID:    { status: 400, message: 'Doğrulama bağlantısı geçersiz veya süresi dolmuş.' },
+  EMAIL_UNCHANGED:        { status: 400, message: 'Yeni e-posta mevcut adresle aynı.' },
+  ACCOUNT_ALREADY_MEMBER: { status: 409, message: 'Hesap zaten üye hesabı.' },
+  ACCOUNT_NOT_PENDING_DELETION: { status: 409, message: 'Hesap silinme sürecinde değil.' },
+  SESSION_NOT_FOUND:      { status: 404, message: 'Oturum bulunamadı' },
+  ACT_AS_FORBIDDEN:       { status: 403, message: 'Bu kullanıcı adına işlem yetkiniz yok' },
+  EXPORT_NOT_FOUND:       { status: 404, message: 'Dışa aktarım bulunamadı.' },
+  EXPORT_NOT_READY:       { status: 409, message: 'Dışa aktarım hazır değil.' },
+
+  // Yönetim
+  ADMIN_ROLE_MANAGED:     { status: 409, message: 'Admin rolü /api/admin/accounts üzerinden yönetilir.' },
+  ADMIN_SCOPE_REQUIRED:   { status: 403, message: 'Bu işlem için gerekli admin yetkisi yok.' },
+  ADMIN_ACCOUNT_NOT_FOUND: { status: 404, message: 'Aktif admin hesabı bulunamadı' },
+  ADMIN_SELF_REVOKE:      { status: 400, message: 'Kendi admin yetkinizi kaldıramazsınız' },
+  SANCTION_SELF:          { status: 400, message: 'Kendinize yaptırım uygulayamazsınız' },
+  SANCTION_ADMIN_SCOPE:   { status: 403, message: 'Admin hesaplarına yaptırım için \'admins\' yetkisi gerekli' },
+  SANCTION_NOT_FOUND:     { status: 404, message: 'Aktif yaptırım yok' },
+  NOTHING_TO_UPDATE:      { status: 400, message: 'Güncellenecek alan yok' },
+
+  // 2FA
+  MFA_TOKEN_INVALID:      { status: 401, message: 'Doğrulama süresi doldu, yeniden giriş yap.' },
+  MFA_CODE_INVALID:       { status: 401, message: 'Doğrulama kodu yanlış.' },
+  MFA_ENROLLMENT_REQUIRED:{ status: 403, message: 'Bu rol için iki adımlı doğrulama zorunlu.' },
+  MFA_REQUIRED_FOR_ROLE:  { status: 403, message: 'Bu rol için iki adımlı doğrulama zorunlu.' },
+  MFA_ALREADY_ENABLED:    { status: 409, message: '2FA zaten açık.' },
+  MFA_SETUP_NOT_STARTED:  { status: 400, message: 'Önce kurulumu başlat.' },
+
+  // OIDC
+  OIDC_STATE_INVALID:     { status: 400, message: 'Giriş isteği geçersiz ya da süresi dolmuş.' },
+  OIDC_TOKEN_INVALID:     { status: 401, message: 'Giriş sağlayıcısı doğrulanamadı.' },
+  OIDC_EMAIL_UNVERIFIED:  { status: 400, message: 'Sağlayıcı doğrulanmış bir e-posta döndürmedi.' },
+  OIDC_IDENTITY_IN_USE:   { status: 409, message: 'Bu kimlik başka bir hesaba bağlı.' },
+  OIDC_PROVIDER_UNKNOWN:  { status: 404, message: 'Bilinmeyen giriş sağlayıcısı.' },
+  OIDC_PROVIDER_UNAVAILABLE: { status: 502, message: 'Giriş sağlayıcısına ulaşılamadı.' },
+  IDENTITY_NOT_FOUND:     { status: 404, message: 'Bağlı hesap bulunamadı.' },
+
+  // Akış
+  SSE_TICKET_INVALID:     { status: 401, message: 'Akış bileti geçersiz veya süresi dolmuş.' },
+
+  // Anket / soru
+  SURVEY_NOT_FOUND:       { status: 404, message: 'Anket bulunamadı' },
+  SURVEY_EDITOR_FORBIDDEN: { status: 403, message: 'Başka editör adına anket açamazsınız' },
+  SURVEY_NOT_OWNED:       { status: 403, message: 'Yalnızca kendi anketinize soru ekleyebilirsiniz.' },
+  SURVEY_SELF_REVIEW:     { status: 403, message: 'Kendi anketinizi onaylayamazsınız' },
+  QUESTION_NOT_FOUND:     { status: 404, message: 'Soru bulunamadı' },
+  REVISION_NOT_FOUND:     { status: 404, message: 'Revizyon bulunamadı.' },
+  MEDIA_NOT_FOUND:        { status: 404, message: 'Medya bulunamadı.' },
+  NO_QUOTES:              { status: 404, message: 'Henüz hiç söz eklenmemiş.' },
+
+  // Oyun
+  ALREADY_ANSWERED:       { status: 409, message: 'Bu soruya zaten cevap verdiniz' },
+  NO_ACTIVE_QUESTION:     { status: 400, message: 'Aktif soru yok' },
+  NOT_ENOUGH_BOOKS:       { status: 400, message: 'Yetersiz kitap.' },
+  LEVEL_MISMATCH:         { status: 409, message: 'Seviye uyumsuz. Aktif oturum seviyesi farklı.' },
+
+  // Düello
+  MATCH_NOT_FOUND:        { status: 404, message: 'Maç bulunamadı' },
+  MATCH_ACCESS_DENIED:    { status: 403, message: 'Bu maça erişiminiz yok' },
+  MATCH_NOT_ACTIVE:       { status: 409, message: 'Maç aktif değil' },
+  QUESTION_OUT_OF_SYNC:   { status: 409, message: 'Soru senkron değil. Sayfayı yenileyin.' },
+  QUESTION_LOCKED:        { status: 409, message: 'Soru kilitlendi (hız modu)' },
+  SPEED_NO_SKIP:          { status: 400, message: 'Hız modunda \'bilmem\' seçeneği yok' },
+  INVITE_NOT_FOUND:       { status: 404, message: 'Davet bulunamadı' },
+  INVITE_EXPIRED:         { status: 410, message: 'Davetin süresi dolmuş' },
+  INVITE_NOT_PENDING:     { status: 409, message: 'Davet artık pending değil' },
+  INVITE_ALREADY_OPEN:    { status: 409, message: 'Zaten açık bir davet var' },
+  INVITE_SELF:            { status: 400, message: 'Kendinize davet gönderemezsiniz' },
+  INVITE_FORBIDDEN:       { status: 403, message: 'Bu daveti yanıtlama yetkiniz yok' },
+  SENDER_IN_DUEL:         { status: 409, message: 'Gönderenin aktif düellosu var' },
+  RECIPIENT_IN_DUEL:      { status: 409, message: 'Alıcının aktif düellosu var' },
+  DUEL_NOT_ACCEPTING:     { status: 409, message: 'Hedef kullanıcı düelloya açık değil' },
+  ENDPOINT_GONE:          { status: 410, message: 'Bu uç kapatıldı. Yeni akış: GET /api/duello/random-ready + POST /api/duello/invite' },
+
+  // Medya
+  MEDIA_TYPE_UNSUPPORTED: { status: 415, message: 'Desteklenmeyen dosya türü (png, jpeg, gif, webp, mp3, ogg, wav, m4a).' },
+  MEDIA_TOO_LARGE:        { status: 413, message: 'Dosya çok büyük.' },
+  MEDIA_URL_INVALID:      { status: 403, message: 'Medya bağlantısı geçersiz veya süresi dolmuş.' },
+};
+
+// Kodsuz eski yanıtlar için HTTP durumundan genel kod
+const STATUS_CODES = {
+  400: 'BAD_REQUEST', 401: 'UNAUTHORIZED', 403: 'FORBIDDEN', 404: 'NOT_FOUND',
+  409: 'CONFLICT', 413: 'PAYLOAD_TOO_LARGE', 429: 'RATE_LIMITED', 502: 'UPSTREAM_UNAVAILABLE',
+};
+
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL' : 'BAD_REQUEST');
+}
+
+/** Katalogdan zarf gövdesi üretir; message verilirse katalog metnini ezer */
+function errorBody(code, { message, details } = {}) {
+  const entry = ERRORS[code] || ERRORS.INTERNAL;
+  const msg = message || entry.message;
+  return { code, message: msg, details: details ?? null, error: msg };
+}
+
+/** res.status(..).json(..) kısayolu: sendError(res, 'NOT_FOUND', { message, details, extra }) */
+function sendError(res, code, { status, message, details, extra } = {}) {
+  const entry = ERRORS[code] || ERRORS.INTERNAL;
+  return res.status(status || entry.status).json({ ...(extra || {}), ...errorBody(code, { message, details }) });
+}
+
+/**
+ * Middleware: handler'ların döndüğü eski biçimli { error: "..." } yanıtlarını zarfa çevirir.
+ * Böylece tüm 4xx/5xx yanıtlarında code/message/details alanları bulunur.
+ */
+function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (
+        res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) &&
+        typeof body.error === 'string' && body.message === undefined
+      ) {
+        const code = typeof body.code === 'string' ? body.code : codeForStatus(res.statusCode);
+        body = { ...body, code, message: body.error, details: body.details ?? null };
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { ERRORS, errorBody, sendError, errorEnvelope, codeForStatus };
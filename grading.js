@@ -0,0 +1,208 @@
+// grading.js - soru türleri, soru tanımı doğrulaması ve cevap puanlama
+// Türler (questions.kind):
+//   yesno   : evet / hayır / bilmem (correct_answer)
+//   choice  : çoktan seçmeli; seçenekler question_options'ta, bir ya da birden çok doğru seçenek
+//   numeric : sayısal; |cevap - correct_answer| <= numeric_tolerance ise doğru
+//   text    : kısa metin; correct_answer ya da accepted_answers'tan biriyle eşleşirse doğru
+// Her türde "bilmem" cevabı atlama demektir ve answers.answer'a 'bilmem' olarak yazılır.
+// explanation / source_url cevap kaydedildikten sonra gösterilir; soru servis edilirken dönmez.
+
+const QUESTION_KINDS = ['yesno', 'choice', 'numeric', 'text'];
+const YESNO_ANSWERS = ['evet', 'hayır', 'bilmem'];
+const SKIP_WORDS = ['bilmem', 'dontknow', 'unknown', 'idk', 'skip'];
+const MAX_OPTIONS = 10;
+const MAX_VARIANTS = 20;
+const MAX_EXPLANATION = 2000;
+
+function normalizeAnswer(v) {
+  if (v == null) return "";
+  let s = String(v).trim().toLowerCase();
+  // "Hayır" / "HAYIR" / "BİLMEM": büyük harf ve i/ı/İ varyantları aynı cevaba düşer
+  const folded = s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/ı/g, "i");
+  if (folded === "hayir") s = "hayır";
+  else if (folded === "evet" || folded === "bilmem") s = folded;
+  if (["evet", "hayır", "bilmem"].includes(s)) return s;
+  if (["yes", "true", "1"].includes(s)) return "evet";
+  if (["no", "false", "0"].includes(s)) return "hayır";
+  if (["dontknow", "unknown", "idk", "skip", "empty", "null"].includes(s)) return "bilmem";
+  return s;
+}
+
+/** Metin cevaplarını karşılaştırmak için: Türkçe küçük harf, noktalama ve fazla boşluk atılır */
+function normalizeText(v) {
+  return String(v ?? '')
+    .normalize('NFC')
+    .toLocaleLowerCase('tr')
+    .replace(/[.,;:!?'"`´’“”()]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** "3,5" / "3.5" / 3.5 -> 3.5 ; sayı değilse null */
+function parseNumeric(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v ?? '').trim().replace(/\s/g, '').replace(',', '.');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Seçilen seçenek id'leri: 4 | "4" | "4,7" | [4, 7] -> [4, 7] (sıralı, tekrarsız) */
+function parseChoiceIds(v) {
+  const list = Array.isArray(v) ? v : String(v ?? '').split(',');
+  const ids = list.map(x => Number(String(x).trim())).filter(n => Number.isSafeInteger(n) && n > 0);
+  return [...new Set(ids)].sort((a, b) => a - b);
+}
+
+function isSkip(raw) {
+  if (raw == null) return true;
+  if (Array.isArray(raw)) return raw.length === 0;
+  const s = String(raw).trim().toLowerCase();
+  return s === '' || SKIP_WORDS.includes(s);
+}
+
+/**
+ * Cevabı sorunun türüne göre puanlar.
+ * q: questions satırı (kind, correct_answer, numeric_tolerance, accepted_answers)
+ * options: choice türünde question_options satırları ({ id, is_correct })
+ * -> { answer, is_correct }  answer: answers/duello_answers tablosuna yazılacak normalize değer
+ */
+function gradeAnswer(q, raw, options = []) {
+  const kind = q?.kind || 'yesno';
+  if (kind === 'yesno') {
+    const norm = normalizeAnswer(raw);
+    return { answer: norm, is_correct: q.correct_answer === norm ? 1 : 0 };
+  }
+  if (isSkip(raw)) return { answer: 'bilmem', is_correct: 0 };
+
+  switch (kind) {
+    case 'choice': {
+      const picked = parseChoiceIds(raw);
+      const correct = options.filter(o => o.is_correct).map(o => Number(o.id)).sort((a, b) => a - b);
+      const ok = picked.length > 0 && picked.length === correct.length && picked.every((id, i) => id === correct[i]);
+      return { answer: picked.join(','), is_correct: ok ? 1 : 0 };
+    }
+    case 'numeric': {
+      const n = parseNumeric(raw);
+      const target = parseNumeric(q.correct_answer);
+      if (n === null) return { answer: String(raw).trim().slice(0, 100), is_correct: 0 };
+      const tol = Math.max(0, Number(q.numeric_tolerance) || 0);
+      // kayan nokta artığı yüzünden sınırdaki cevap yanlış sayılmasın
+      const ok = target !== null && Math.abs(n - target) <= tol + 1e-9;
+      return { answer: String(n), is_correct: ok ? 1 : 0 };
+    }
+    case 'text': {
+      const norm = normalizeText(raw).slice(0, 500);
+      const accepted = [q.correct_answer, ...(q.accepted_answers || [])].map(normalizeText).filter(Boolean);
+      return { answer: norm, is_correct: accepted.includes(norm) ? 1 : 0 };
+    }
+    default:
+      return { answer: String(raw).slice(0, 500), is_correct: 0 };
+  }
+}
+
+function isHttpUrl(s) {
+  if (s.length > 500) return false;
+  try {
+    const u = new URL(s);
+    return (u.protocol === 'http:' || u.protocol === 'https:') && !!u.hostname;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Soru tanımını (oluşturma / toplu ekleme / düzenleme) doğrular ve normalize eder.
+ * input: { question, kind?, correct_answer?, point?, numeric_tolerance?, accepted_answers?, options?,
+ *          explanation?, source_url? }
+ *   options: [{ id?, label, is_correct }]  (choice; id: düzenlemede korunacak mevcut seçenek)
+ * -> { value, warnings } | { errors }   value.options yalnızca choice türünde dolu
+ *   errors: ilk hatada durulmaz, sorudaki bütün sorunlar (ör. boş metin ve geçersiz cevap birlikte)
+ *   warnings: kayda engel olmayan düzeltmeler (ör. puanın 1-10 aralığına çekilmesi)
+ */
+function checkQuestion(input) {
+  const errors = [];
+  const text = String(input?.question ?? '').trim();
+  if (!text) errors.push('Boş question var');
+  const kind = input.kind == null || input.kind === '' ? 'yesno' : String(input.kind).trim().toLowerCase();
+  if (!QUESTION_KINDS.includes(kind)) errors.push('Geçersiz soru türü.');
+
+  const warnings = [];
+  let point = Number(input.point) || 1;
+  point = Math.min(10, Math.max(1, Math.round(point)));
+  if (input.point != null && input.point !== '' && Number(input.point) !== point) {
+    warnings.push(`point ${input.point} yerine ${point} olarak kaydedilecek (1-10).`);
+  }
+  const explanation = String(input.explanation ?? '').trim() || null;
+  if (explanation && explanation.length > MAX_EXPLANATION) errors.push('Açıklama en fazla 2000 karakter olabilir.');
+  const sourceUrl = String(input.source_url ?? '').trim() || null;
+  if (sourceUrl && !isHttpUrl(sourceUrl)) errors.push('Kaynak bağlantısı http(s) ile başlayan geçerli bir adres olmalı.');
+
+  const value = {
+    question: text, kind, point, correct_answer: null,
+    numeric_tolerance: null, accepted_answers: null, options: [],
+    explanation, source_url: sourceUrl,
+  };
+
+  if (kind === 'yesno') {
+    const ca = normalizeAnswer(input.correct_answer);
+    if (!YESNO_ANSWERS.includes(ca)) errors.push('correct_answer evet/hayır/bilmem olmalı');
+    value.correct_answer = ca;
+  } else if (kind === 'choice') {
+    const opts = Array.isArray(input.options) ? input.options : [];
+    if (opts.length < 2 || opts.length > MAX_OPTIONS) errors.push('Çoktan seçmeli soruda 2-10 seçenek olmalı.');
+    const ids = new Set();
+    const optErrors = new Set();
+    for (const o of opts) {
+      const label = String((o && typeof o === 'object' ? o.label : o) ?? '').trim();
+      if (!label || label.length > 200) optErrors.add('Seçenek metni boş olamaz (en fazla 200 karakter).');
+      const opt = {};
+      if (o && typeof o === 'object' && o.id != null && o.id !== '') {
+        const id = Number(o.id);
+        if (!Number.isInteger(id) || id <= 0) optErrors.add('Seçenek id\'si pozitif bir tam sayı olmalı.');
+        else if (ids.has(id)) optErrors.add('Aynı seçenek id\'si birden çok kez kullanılamaz.');
+        else ids.add(id);
+        opt.id = id;
+      }
+      opt.label = label;
+      opt.is_correct = !!(o && typeof o === 'object' && (o.is_correct === true || o.is_correct === 1 || o.is_correct === 'true'));
+      value.options.push(opt);
+    }
+    errors.push(...optErrors);
+    if (opts.length && !value.options.some(o => o.is_correct)) errors.push('En az bir doğru seçenek işaretlenmeli.');
+  } else if (kind === 'numeric') {
+    const n = parseNumeric(input.correct_answer);
+    if (n === null) errors.push('Sayısal soruda correct_answer sayı olmalı.');
+    const tol = input.numeric_tolerance == null || input.numeric_tolerance === '' ? 0 : parseNumeric(input.numeric_tolerance);
+    if (tol === null || tol < 0) errors.push('Tolerans 0 veya pozitif bir sayı olmalı.');
+    value.correct_answer = String(n);
+    value.numeric_tolerance = tol;
+  } else if (kind === 'text') {
+    const ca = String(input.correct_answer ?? '').trim();
+    if (!ca || ca.length > 200) errors.push('Metin sorusunda correct_answer boş olamaz (en fazla 200 karakter).');
+    const variants = Array.isArray(input.accepted_answers) ? input.accepted_answers : [];
+    if (variants.length > MAX_VARIANTS) errors.push('En fazla 20 kabul edilen cevap girilebilir.');
+    value.correct_answer = ca;
+    value.accepted_answers = [...new Set(variants.map(v => String(v ?? '').trim()).filter(Boolean))];
+  }
+  if (errors.length) return { errors };
+  return { value, warnings };
+}
+
+/** Doğru cevabın gösterilebilir hali (kitap harcama, cevap sonrası açıklama) */
+function displayAnswer(q, options = []) {
+  const kind = q?.kind || 'yesno';
+  if (kind === 'choice') {
+    const correct = options.filter(o => o.is_correct);
+    return { correct_answer: correct.map(o => o.label).join(', '), correct_option_ids: correct.map(o => Number(o.id)) };
+  }
+  if (kind === 'numeric') {
+    return { correct_answer: q.correct_answer, numeric_tolerance: Number(q.numeric_tolerance) || 0 };
+  }
+  return { correct_answer: q.correct_answer };
+}
+
+module.exports = {
+  QUESTION_KINDS, normalizeAnswer, normalizeText, parseNumeric, parseChoiceIds,
+  gradeAnswer, checkQuestion, displayAnswer,
+};
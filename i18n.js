@@ -0,0 +1,428 @@
+// i18n.js - API mesajlarının yerelleştirilmesi (tr varsayılan, en)
+// Dil seçimi: kullanıcı tercihi (users.locale) > Accept-Language > tr
+// Katalog iki katmanlı:
+//   codes : errors.js kodlarının metinleri (yeni hatalar sendError/errorBody ile koddan üretilmeli)
+//   texts : kodu olmayan eski sabit Türkçe mesajlar; anahtar kaynak metnin kendisi (gettext tarzı)
+// Türkçe metin bir dilde yoksa olduğu gibi döner.
+const { ERRORS } = require('./errors');
+
+const LOCALES = ['tr', 'en'];
+const DEFAULT_LOCALE = 'tr';
+
+// --- Doğrulama kuralı mesajları (validate.js) ---
+const TYPE_NAMES = {
+  tr: {
+    string: 'metin', integer: 'tam sayı', id: 'pozitif tam sayı', number: 'sayı', boolean: 'true/false',
+    email: 'geçerli e-posta', date: 'geçerli tarih', array: 'dizi', object: 'nesne',
+  },
+  en: {
+    string: 'a string', integer: 'an integer', id: 'a positive integer', number: 'a number', boolean: 'true/false',
+    email: 'a valid email', date: 'a valid date', array: 'an array', object: 'an object',
+  },
+};
+
+const RULES = {
+  tr: {
+    required: () => 'zorunlu',
+    type: (p) => `${TYPE_NAMES.tr[p.expected] || p.expected} olmalı`,
+    enum: (p) => `şunlardan biri olmalı: ${p.values.join(', ')}`,
+    min: (p) => `en az ${p.min} olmalı`,
+    max: (p) => `en fazla ${p.max} olmalı`,
+    minLength: (p) => `en az ${p.minLength} karakter/öğe olmalı`,
+    maxLength: (p) => `en fazla ${p.maxLength} karakter/öğe olmalı`,
+    pattern: () => 'biçimi geçersiz',
+    future: () => 'gelecekte bir tarih olmalı',
+  },
+  en: {
+    required: () => 'is required',
+    type: (p) => `must be ${TYPE_NAMES.en[p.expected] || p.expected}`,
+    enum: (p) => `must be one of: ${p.values.join(', ')}`,
+    min: (p) => `must be at least ${p.min}`,
+    max: (p) => `must be at most ${p.max}`,
+    minLength: (p) => `must have at least ${p.minLength} characters/items`,
+    maxLength: (p) => `must have at most ${p.maxLength} characters/items`,
+    pattern: () => 'has an invalid format',
+    future: () => 'must be a date in the future',
+  },
+};
+
+function ruleMessage(locale, rule, params = {}) {
+  const fn = (RULES[locale] || RULES[DEFAULT_LOCALE])[rule];
+  return fn ? fn(params) : rule;
+}
+
+// --- İngilizce katalog ---
+const EN_CODES = {
+  BAD_REQUEST: 'Invalid request.',
+  VALIDATION_FAILED: 'The submitted data is invalid.',
+  INVALID_JSON: 'Request body is not valid JSON.',
+  UNAUTHORIZED: 'Authentication required.',
+  FORBIDDEN: 'Forbidden.',
+  NOT_FOUND: 'Not found.',
+  CONFLICT: 'The request conflicts with the current state.',
+  PAYLOAD_TOO_LARGE: 'Request body is too large.',
+  RATE_LIMITED: 'Too many requests. Please try again shortly.',
+  INTERNAL: 'Server error.',
+  UPSTREAM_UNAVAILABLE: 'Could not reach the external service.',
+
+  INVALID_CREDENTIALS: 'Incorrect email or password.',
+  SESSION_INVALID: 'Session is invalid or has expired.',
+  LOGIN_THROTTLED: 'Too many failed attempts. Please try again later.',
+  EMAIL_TAKEN: 'This email is already registered.',
+  EMAIL_NOT_VERIFIED: 'You need to verify your email address for this action.',
+  ACCOUNT_PENDING_DELETION: 'Your account is scheduled for deletion.',
+  ACCOUNT_SUSPENDED: 'Your account has been temporarily suspended.',
+  ACCOUNT_BANNED: 'Your account has been banned.',
+  GUEST_NOT_ALLOWED: 'You need a full account to use this feature.',
+  GUEST_NOT_FOUND: 'Guest account not found.',
+  LAST_LOGIN_METHOD: 'The last sign-in method cannot be removed.',
+  ADMIN_ROLE_MANAGED: 'Admin roles are managed via /api/admin/accounts.',
+
+  MFA_TOKEN_INVALID: 'Verification expired, please sign in again.',
+  MFA_CODE_INVALID: 'Incorrect verification code.',
+  MFA_ENROLLMENT_REQUIRED: 'Two-step verification is required for this role.',
+  MFA_REQUIRED_FOR_ROLE: 'Two-step verification is required for this role.',
+
+  OIDC_STATE_INVALID: 'The sign-in request is invalid or has expired.',
+  OIDC_TOKEN_INVALID: 'The sign-in provider could not be verified.',
+  OIDC_EMAIL_UNVERIFIED: 'The provider did not return a verified email.',
+  OIDC_IDENTITY_IN_USE: 'This identity is linked to another account.',
+
+  SSE_TICKET_INVALID: 'Stream ticket is invalid or has expired.',
+
+  MEDIA_TYPE_UNSUPPORTED: 'Unsupported file type (png, jpeg, gif, webp, mp3, ogg, wav, m4a).',
+  MEDIA_TOO_LARGE: 'File is too large.',
+  MEDIA_URL_INVALID: 'Media link is invalid or has expired.',
+  USER_NOT_FOUND: 'User not found',
+  WRONG_PASSWORD: 'Incorrect password.',
+  REAUTH_FAILED: 'Authentication failed.',
+  CODE_INVALID: 'The code is invalid or has expired.',
+  VERIFY_LINK_INVALID: 'The verification link is invalid or has expired.',
+  EMAIL_UNCHANGED: 'The new email is the same as the current one.',
+  ACCOUNT_ALREADY_MEMBER: 'The account is already a full account.',
+  ACCOUNT_NOT_PENDING_DELETION: 'The account is not scheduled for deletion.',
+  SESSION_NOT_FOUND: 'Session not found',
+  ACT_AS_FORBIDDEN: 'You are not allowed to act on behalf of this user',
+  EXPORT_NOT_FOUND: 'Export not found.',
+  EXPORT_NOT_READY: 'The export is not ready yet.',
+  MFA_ALREADY_ENABLED: '2FA is already enabled.',
+  MFA_SETUP_NOT_STARTED: 'Start the setup first.',
+  OIDC_PROVIDER_UNKNOWN: 'Unknown sign-in provider.',
+  OIDC_PROVIDER_UNAVAILABLE: 'Could not reach the sign-in provider.',
+  IDENTITY_NOT_FOUND: 'Linked account not found.',
+  ADMIN_ACCOUNT_NOT_FOUND: 'Active admin account not found',
+  ADMIN_SELF_REVOKE: 'You cannot revoke your own admin rights',
+  SANCTION_SELF: 'You cannot sanction yourself',
+  SANCTION_ADMIN_SCOPE: 'Sanctioning admin accounts requires the \'admins\' permission',
+  SANCTION_NOT_FOUND: 'No active sanction',
+  NOTHING_TO_UPDATE: 'No fields to update',
+  SURVEY_NOT_FOUND: 'Survey not found',
+  SURVEY_NOT_OWNED: 'You can only add questions to your own survey.',
+  SURVEY_SELF_REVIEW: 'You cannot approve your own survey',
+  QUESTION_NOT_FOUND: 'Question not found',
+  REVISION_NOT_FOUND: 'Revision not found.',
+  MEDIA_NOT_FOUND: 'Media not found.',
+  NO_QUOTES: 'No quotes have been added yet.',
+  ALREADY_ANSWERED: 'You have already answered this question',
+  NO_ACTIVE_QUESTION: 'No active question',
+  NOT_ENOUGH_BOOKS: 'Not enough books.',
+  LEVEL_MISMATCH: 'Level mismatch. The active session has a different level.',
+  MATCH_NOT_FOUND: 'Match not found',
+  MATCH_ACCESS_DENIED: 'You do not have access to this match',
+  MATCH_NOT_ACTIVE: 'The match is not active',
+  QUESTION_OUT_OF_SYNC: 'The question is out of sync. Please refresh the page.',
+  QUESTION_LOCKED: 'The question is locked (speed mode)',
+  SPEED_NO_SKIP: 'Speed mode has no \'bilmem\' option',
+  INVITE_NOT_FOUND: 'Invite not found',
+  INVITE_EXPIRED: 'The invite has expired',
+  INVITE_NOT_PENDING: 'The invite is no longer pending',
+  INVITE_ALREADY_OPEN: 'There is already an open invite',
+  INVITE_SELF: 'You cannot invite yourself',
+  INVITE_FORBIDDEN: 'You are not allowed to respond to this invite',
+  SENDER_IN_DUEL: 'The sender already has an active duel',
+  RECIPIENT_IN_DUEL: 'The recipient already has an active duel',
+  DUEL_NOT_ACCEPTING: 'The target user is not open to duels',
+  SURVEY_EDITOR_FORBIDDEN: 'You cannot create a survey on behalf of another editor',
+  ADMIN_SCOPE_REQUIRED: 'You do not have the required admin permission for this action.',
+  ENDPOINT_GONE: 'This endpoint has been retired. New flow: GET /api/duello/random-ready + POST /api/duello/invite',
+};
+
+const EN_TEXTS = {
+  // Oturum / yetki
+  'Sunucu hatası.': 'Server error.',
+  'Debug bilgisi alınamadı.': 'Could not load debug info.',
+  'Kontrol edilemedi': 'Could not check',
+  'token zorunlu.': 'token is required.',
+
+  // Kayıt, giriş, hesap
+  'Kayıt başarısız.': 'Registration failed.',
+  'Misafir hesabı açılamadı.': 'Could not create a guest account.',
+  'Hesap yükseltilemedi.': 'Could not upgrade the account.',
+  'Hesap silinemedi.': 'Could not delete the account.',
+  'Hesap geri alınamadı.': 'Could not restore the account.',
+  'Hesabın silinmek üzere işaretlendi. Bu tarihe kadar geri alabilirsin.':
+    'Your account is scheduled for deletion. You can restore it until this date.',
+  'Hesabın silinme sürecinde. Geri almak için /api/account/restore kullan.':
+    'Your account is scheduled for deletion. Use /api/account/restore to restore it.',
+  'Hesabın yasaklandı.': 'Your account has been banned.',
+  'Hesabın askıya alındığı için bu özellik kapalı.': 'This feature is unavailable while your account is suspended.',
+  'Kayıtlı bir hesap varsa sıfırlama kodu gönderildi.': 'If an account exists, a reset code has been sent.',
+  'Sıfırlama kodu gönderilemedi.': 'Could not send the reset code.',
+  'Şifre sıfırlanamadı.': 'Could not reset the password.',
+  'Şifre değiştirilemedi.': 'Could not change the password.',
+  'Mevcut şifre yanlış.': 'Current password is incorrect.',
+  'Doğrulama e-postası gönderilemedi.': 'Could not send the verification email.',
+  'Doğrulanmamış bir hesap varsa e-posta gönderildi.': 'If an unverified account exists, an email has been sent.',
+  'E-posta doğrulanamadı.': 'Could not verify the email.',
+  'E-posta değiştirilemedi.': 'Could not change the email.',
+  'Yeni adrese doğrulama e-postası gönderildi.': 'A verification email has been sent to the new address.',
+  'Oturum kapatılamadı': 'Could not end the session',
+  'Oturum yenilenemedi.': 'Could not refresh the session.',
+  'Oturumlar alınamadı': 'Could not load sessions',
+  'Oturumlar kapatılamadı': 'Could not end the sessions',
+  'Çıkış yapılamadı.': 'Could not sign out.',
+  'Geçersiz sessionId': 'Invalid sessionId',
+  'Giriş hareketleri alınamadı': 'Could not load sign-in activity',
+
+  // 2FA
+  '2FA açılamadı.': 'Could not enable 2FA.',
+  '2FA durumu alınamadı.': 'Could not load 2FA status.',
+  '2FA kapatılamadı.': 'Could not disable 2FA.',
+  '2FA kurulumu başlatılamadı.': 'Could not start 2FA setup.',
+  'Yedek kodlar yenilenemedi.': 'Could not regenerate backup codes.',
+
+  // OIDC / bağlı hesaplar
+  'Bağlantı kaldırılamadı.': 'Could not unlink the account.',
+  'Bağlı hesaplar alınamadı.': 'Could not load linked accounts.',
+  'Son giriş yöntemi kaldırılamaz. Önce şifre sıfırlama ile bir şifre belirle.':
+    'The last sign-in method cannot be removed. Set a password via password reset first.',
+
+  // Kişisel veri dışa aktarımı
+  'Dosya indirilemedi.': 'Could not download the file.',
+  'Dışa aktarım başlatılamadı.': 'Could not start the export.',
+  'Dışa aktarım durumu alınamadı.': 'Could not load the export status.',
+  'Dışa aktarımlar alınamadı.': 'Could not load exports.',
+  'Veriler dışa aktarılamadı.': 'Could not export the data.',
+  'format json veya zip olmalı.': 'format must be json or zip.',
+
+  // Kullanıcı / profil
+  'Kullanıcı alınamadı': 'Could not load the user',
+  'Hedef kullanıcı bulunamadı': 'Target user not found',
+  'Profil alınamadı': 'Could not load the profile',
+  'Profil güncellenemedi': 'Could not update the profile',
+  'Geçersiz userId': 'Invalid userId',
+  'invalid user id': 'invalid user id',
+  'userId zorunlu': 'userId is required',
+  'user_id zorunlu': 'user_id is required',
+  'user_id zorunlu.': 'user_id is required.',
+  'user_code alınamadı': 'Could not load user_code',
+  'Bu işlem için e-posta adresini doğrulamalısın.': 'You need to verify your email address for this action.',
+  'Bu özellik için üye olmalısın.': 'You need a full account to use this feature.',
+  'Bu kimlik başka bir hesaba bağlı.': 'This identity is linked to another account.',
+  'Sağlayıcı doğrulanmış bir e-posta döndürmedi.': 'The provider did not return a verified email.',
+
+  // Admin
+  'user_id ya da email zorunlu.': 'user_id or email is required.',
+  'Admin kaydedilemedi': 'Could not save the admin',
+  'Admin listesi alınamadı': 'Could not load admins',
+  'Admin yetkisi kaldırılamadı': 'Could not revoke admin rights',
+  'Askıya alma için expires_at ya da duration_hours zorunlu': 'expires_at or duration_hours is required to suspend',
+  'Yaptırım kaldırılamadı': 'Could not lift the sanction',
+  'Yaptırım uygulanamadı': 'Could not apply the sanction',
+  'Bakiye yetersiz': 'Insufficient balance',
+  'delta sıfırdan farklı olmalı': 'delta must be non-zero',
+  'Kitap bakiyesi güncellenemedi': 'Could not update the book balance',
+  'Kullanıcılar listelenemedi': 'Could not list users',
+  'Denetim kaydı alınamadı': 'Could not load the audit log',
+  'Rol güncellenemedi.': 'Could not update the role.',
+  'Geçersiz role': 'Invalid role',
+  'Durum güncellenemedi.': 'Could not update the status.',
+  'Silinemedi.': 'Could not delete.',
+
+  // Anketler / sorular
+  'Anket kaydedilemedi!': 'Could not save the survey!',
+  'Anket leaderboard alınamadı!': 'Could not load the survey leaderboard!',
+  'Listeleme hatası!': 'Listing failed!',
+  'Boş question var': 'There is an empty question',
+  'correct_answer evet/hayır/bilmem olmalı': 'correct_answer must be evet/hayır/bilmem',
+  'Geçersiz point. 1-10 arası olmalı.': 'Invalid point. Must be between 1 and 10.',
+  'Sorular bulunamadı!': 'Questions not found!',
+  'Sorular alınamadı.': 'Could not load questions.',
+  'Soru silinemedi.': 'Could not delete the question.',
+  'Soru güncellenemedi.': 'Could not update the question.',
+  'Yalnızca kendi anketinizin sorularını düzenleyebilirsiniz.': 'You can only edit questions in your own survey.',
+  'Revizyonlar alınamadı.': 'Could not load revisions.',
+  'Revizyon geri alınamadı.': 'Could not revert the revision.',
+  'Geçersiz soru türü.': 'Invalid question kind.',
+  'Çoktan seçmeli soruda 2-10 seçenek olmalı.': 'A multiple-choice question must have 2-10 options.',
+  'Seçenek metni boş olamaz (en fazla 200 karakter).': 'Option text cannot be empty (max 200 characters).',
+  "Seçenek id'si pozitif bir tam sayı olmalı.": 'Option id must be a positive integer.',
+  "Aynı seçenek id'si birden çok kez kullanılamaz.": 'The same option id cannot be used more than once.',
+  'En az bir doğru seçenek işaretlenmeli.': 'At least one option must be marked correct.',
+  'Sayısal soruda correct_answer sayı olmalı.': 'correct_answer must be a number for numeric questions.',
+  'Tolerans 0 veya pozitif bir sayı olmalı.': 'Tolerance must be 0 or a positive number.',
+  'Metin sorusunda correct_answer boş olamaz (en fazla 200 karakter).': 'correct_answer cannot be empty for text questions (max 200 characters).',
+  'En fazla 20 kabul edilen cevap girilebilir.': 'At most 20 accepted answers can be given.',
+  'Açıklama en fazla 2000 karakter olabilir.': 'The explanation can be at most 2000 characters.',
+  'Kaynak bağlantısı http(s) ile başlayan geçerli bir adres olmalı.': 'The source link must be a valid http(s) address.',
+  'Dosya boş.': 'The file is empty.',
+  'Görsel okunamadı.': 'The image could not be read.',
+  'Medya bulunamadı.': 'Media not found.',
+  'Medya yüklenemedi.': 'Could not upload the media.',
+  'Medya alınamadı.': 'Could not load the media.',
+  'Soru setinde geçersiz id': 'Invalid id in the question set',
+  'Toplu ekleme hatası.': 'Bulk insert failed.',
+  'CSV okunamadı: kapanmamış tırnak.': 'Could not read the CSV: unterminated quote.',
+  'CSV başlığında question sütunu olmalı.': 'The CSV header must contain a question column.',
+  'İçe aktarılacak soru yok.': 'There are no questions to import.',
+  'İçe aktarma başarısız.': 'Import failed.',
+  'Dışa aktarma başarısız.': 'Export failed.',
+  'Onaylı kategoriler alınamadı': 'Could not load approved categories',
+
+  // Oyun: cevaplar, günlük yarışma, kademeli, kitaplar
+  'Cevap kaydedilemedi!': 'Could not save the answer!',
+  'Cevap kaydedilemedi.': 'Could not save the answer.',
+  'Cevaplar alınamadı': 'Could not load answers',
+  'Bugünün yarışması tamamlandı': 'Today\'s contest is complete',
+  'Günlük cevap kaydedilemedi': 'Could not save the daily answer',
+  'Günlük durum alınamadı.': 'Could not load the daily status.',
+  'Günlük leaderboard alınamadı': 'Could not load the daily leaderboard',
+  'Günlük skip kaydedilemedi': 'Could not save the daily skip',
+  'Günün birincileri alınamadı.': 'Could not load today\'s winners.',
+  'Ödül verilemedi.': 'Could not award the prize.',
+  'day belirlenemedi': 'Could not determine the day',
+  'Kademeli cevap kaydedilemedi': 'Could not save the ladder answer',
+  'Kademeli ilerleme alınamadı': 'Could not load ladder progress',
+  'Kademeli oturum başlatılamadı': 'Could not start the ladder session',
+  'Kademeli oturum başlatılamadı.': 'Could not start the ladder session.',
+  'Kademeli sorular alınamadı': 'Could not load ladder questions',
+  'Seviye kontrolü yapılamadı': 'Could not check the level',
+  'En iyi kademe alınamadı': 'Could not load the best level',
+  'En iyi kademe yazılamadı.': 'Could not save the best level.',
+  'Kitap bilgisi alınamadı': 'Could not load book info',
+  'Kitap kullanılamadı.': 'Could not use a book.',
+  'user_id ve question_id zorunludur.': 'user_id and question_id are required.',
+  'Puan alınamadı.': 'Could not load the score.',
+  'Skor hatası!': 'Score error!',
+  'İstatistik hatası!': 'Statistics error!',
+  'Leaderboard alınamadı': 'Could not load the leaderboard',
+  'Sıralama alınamadı': 'Could not load the ranking',
+  'Performans listesi alınamadı': 'Could not load the performance list',
+  'Important day alınamadı': 'Could not load the important day',
+  'Söz alınamadı.': 'Could not load the quote.',
+
+  // Düello
+  'Aktif maç kontrolü hatası.': 'Could not check for an active match.',
+  'Bu daveti iptal etme yetkiniz yok': 'You are not allowed to cancel this invite',
+  'Davet iptal edilemedi.': 'Could not cancel the invite.',
+  'Davet oluşturulamadı.': 'Could not create the invite.',
+  'Davet yanıtlanamadı.': 'Could not respond to the invite.',
+  'Düello profili alınamadı.': 'Could not load the duel profile.',
+  'Gelen davetler alınamadı.': 'Could not load incoming invites.',
+  'Giden davetler alınamadı.': 'Could not load outgoing invites.',
+  'Görünürlük güncellenemedi.': 'Could not update visibility.',
+  'Hazır durumu güncellenemedi.': 'Could not update ready status.',
+  'Hız kademesi hesaplanamadı.': 'Could not calculate the speed tier.',
+  'Kullanıcı düello istatistikleri alınamadı.': 'Could not load the user\'s duel statistics.',
+  'Maç durumu alınamadı.': 'Could not load the match status.',
+  'Maç özeti alınamadı.': 'Could not load the match summary.',
+  'Reveal işlemi yapılamadı.': 'Could not reveal.',
+  'Son rakipler alınamadı.': 'Could not load recent opponents.',
+  'action \'accept\' veya \'reject\' olmalı': 'action must be \'accept\' or \'reject\'',
+  'from_user_id zorunlu': 'from_user_id is required',
+  'invite_id ve user_id zorunlu': 'invite_id and user_id are required',
+  'matchId ve user_id zorunlu': 'matchId and user_id are required',
+  'mode \'info\' veya \'speed\' olmalı': 'mode must be \'info\' or \'speed\'',
+  'random-ready başarısız.': 'random-ready failed.',
+  'visibility_mode public|friends|none olmalı': 'visibility_mode must be public|friends|none',
+};
+
+// Değişken içeren eski mesajlar
+const EN_PATTERNS = [
+  [/^Bu işlem için '(.+)' yetkisi gerekli$/, 'The \'$1\' permission is required for this action'],
+  [/^En fazla (\d+) soru içe aktarılabilir\.$/, 'At most $1 questions can be imported.'],
+];
+
+const CATALOG = {
+  en: { codes: EN_CODES, texts: EN_TEXTS, patterns: EN_PATTERNS },
+};
+
+// Kodsuz gelen ama katalogdaki Türkçe metinle aynı olan mesajlar için ters indeks
+const CODE_BY_TEXT = new Map(Object.entries(ERRORS).map(([code, e]) => [e.message, code]));
+
+/** Accept-Language başlığından desteklenen en uygun dili seçer (q değerlerine göre) */
+function parseAcceptLanguage(header) {
+  const prefs = String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(p => p.lang && p.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  const hit = prefs.find(p => LOCALES.includes(p.lang));
+  return hit ? hit.lang : null;
+}
+
+function normalizeLocale(v) {
+  const l = String(v || '').trim().toLowerCase().split('-')[0];
+  return LOCALES.includes(l) ? l : null;
+}
+
+/** req.userLocale bearer middleware'inde oturumdaki kullanıcının tercihinden dolar */
+function resolveLocale(req) {
+  return normalizeLocale(req.userLocale) || parseAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+}
+
+/** Türkçe mesajı hedef dile çevirir; bilinmiyorsa aynen döner */
+function translate(text, locale, code) {
+  if (typeof text !== 'string' || locale === DEFAULT_LOCALE || !CATALOG[locale]) return text;
+  const { codes, texts, patterns } = CATALOG[locale];
+  const byCode = code && ERRORS[code]?.message === text ? code : CODE_BY_TEXT.get(text);
+  if (byCode && codes[byCode]) return codes[byCode];
+  if (texts[text]) return texts[text];
+  for (const [re, out] of patterns) {
+    if (re.test(text)) return text.replace(re, out);
+  }
+  return text;
+}
+
+/** Yanıt gövdesindeki message / error / details[].message alanlarını yerelleştirir */
+function localizeBody(body, locale) {
+  if (locale === DEFAULT_LOCALE || !body || typeof body !== 'object' || Array.isArray(body)) return body;
+  const out = { ...body };
+  if (typeof out.message === 'string') out.message = translate(out.message, locale, out.code);
+  if (typeof out.error === 'string') out.error = translate(out.error, locale, out.code);
+  if (Array.isArray(out.details)) {
+    out.details = out.details.map(d => {
+      if (d && d.rule) return { ...d, message: ruleMessage(locale, d.rule, d) };
+      // satır bazlı hatalar (içe aktarma): { row, message }
+      if (d && typeof d.message === 'string') return { ...d, message: translate(d.message, locale) };
+      return d;
+    });
+  }
+  return out;
+}
+
+/**
+ * Middleware: JSON yanıtlarını isteğin diline çevirir ve Content-Language ekler.
+ * errorEnvelope'tan ÖNCE bağlanmalı ki zarf (code) oluştuktan sonra çeviri yapılsın.
+ */
+function localizer() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.vary('Accept-Language');
+    res.json = (body) => {
+      const locale = resolveLocale(req);
+      res.set('Content-Language', locale);
+      return json(localizeBody(body, locale));
+    };
+    next();
+  };
+}
+
+module.exports = {
+  LOCALES, DEFAULT_LOCALE, parseAcceptLanguage, normalizeLocale, resolveLocale,
+  translate, ruleMessage, localizeBody, localizer,
+};
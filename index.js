@@ -4,14 +4,26 @@ if (process.env.NODE_ENV !== "production") {
 }
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
 const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
 const bcrypt = require("bcryptjs");
 const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || "10", 10);
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const pino = require("pino");
 const pinoHttp = require("pino-http");
+const { createMailTransport } = require("./mail");
+const { loadProviders, createPkce, buildAuthorizationUrl, exchangeCode, verifyIdToken } = require("./oidc");
+const { generateSecret, verifyTotp, otpauthUrl } = require("./totp");
+const { errorBody, sendError, errorEnvelope, codeForStatus } = require("./errors");
+const { validate, validateObject } = require("./validate");
+const { localizer, LOCALES } = require("./i18n");
+const { migrate, pendingMigrations } = require("./migrate");
+const { QUESTION_KINDS, normalizeAnswer, gradeAnswer, checkQuestion, displayAnswer } = require("./grading");
+const { parseCsv, toCsv, CsvError } = require("./csv");
+const { createMediaStorage, inspectMedia, makeThumbnail, thumbKeyFor, MEDIA_MAX_IMAGE_BYTES, MEDIA_MAX_AUDIO_BYTES } = require("./media");
 
 
 
@@ -41,6 +53,11 @@ app.use(cors({
 
 app.use(express.json({ limit: "5mb" }));
 app.use(express.urlencoded({ extended: true, limit: "5mb" }));
+// Yanıt mesajları Accept-Language / kullanıcı tercihine göre çevrilir (bkz. i18n.js).
+// Sıra önemli: errorEnvelope sonra bağlandığı için önce o çalışır, çeviri code'u görür.
+app.use(localizer());
+// Tüm hata yanıtları { code, message, details } zarfıyla döner (bkz. errors.js)
+app.use(errorEnvelope());
 
 // --- Pino logger (güvenli redact) ---
 const redactPaths = (() => {
@@ -51,6 +68,11 @@ const redactPaths = (() => {
       'req.headers.cookie',
       'res.headers["set-cookie"]',
       'req.body.password',
+      'req.body.new_password',
+      'req.body.current_password',
+      'req.body.refresh_token',
+      'req.body.mfa_token',
+      'req.body.code',
       'req.body.secret',
       'req.body.admin_secret'
     ];
@@ -70,6 +92,12 @@ const logger = pino({
   redact: { paths: redactPaths, censor: '[REDACTED]' },
 });
 
+/** 500 gövdesi: ayrıntı loga gider, iç hata metni istemciye sızmaz */
+function internalError(err, message) {
+  logger.error({ err }, message);
+  return errorBody("INTERNAL", { message });
+}
+
 
 app.use(pinoHttp({
   logger,
@@ -118,7 +146,8 @@ const softLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 600,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  message: errorBody("RATE_LIMITED")
 });
 app.use(softLimiter);
 
@@ -127,16 +156,31 @@ const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  message: errorBody("RATE_LIMITED")
+});
+app.use(['/api/login', '/api/register', '/api/account/delete', '/api/account/restore', '/api/auth/refresh', '/api/auth/oidc', '/api/auth/guest'], authLimiter);
+
+// Şifre sıfırlama (kod isteme + onay)
+const resetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: errorBody("RATE_LIMITED")
 });
-app.use(['/api/login', '/api/register', '/api/account/delete'], authLimiter);
+app.use(
+  ['/api/auth/password-reset/request', '/api/auth/password-reset/confirm', '/api/auth/verify-email/resend'],
+  resetLimiter
+);
 
 // Düello aksiyonları
 const duelLimiter = rateLimit({
   windowMs: 5 * 60 * 1000,
   max: 120,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  message: errorBody("RATE_LIMITED")
 });
 app.use(
   ['/api/duello/invite', '/api/duello/invite/respond', '/api/duello/invite/cancel', '/api/duello/match'],
@@ -148,29 +192,265 @@ const enumLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 30,
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  message: errorBody("RATE_LIMITED")
 });
 app.use(['/api/auth/check-email', '/api/check-email', '/api/users/exists'], enumLimiter);
 
-// --- Admin koruması (header, query veya body'den secret) ---
+// --- Admin koruması ---
+// Adminler kişisel hesaplarıyla normal oturum açar (admin_accounts + kapsamlar).
+// ADMIN_SECRET yalnızca acil durum (break-glass) girişi: sadece x-admin-secret başlığı, loglanır.
 const ADMIN_SECRET = (process.env.ADMIN_SECRET || "").trim();
+const ADMIN_SCOPES = ["settings", "moderation", "awards", "stats", "users", "admins", "audit"];
+
+function isBreakGlassAdmin(req) {
+  const s = String(req.headers["x-admin-secret"] || "");
+  if (!ADMIN_SECRET || !s) return false;
+  const a = Buffer.from(s), b = Buffer.from(ADMIN_SECRET);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** Çağıran admin mi? -> req.admin = { user_id, scopes, via } | null */
+async function resolveAdmin(req) {
+  if (req.admin !== undefined) return req.admin;
+  if (isBreakGlassAdmin(req)) {
+    logger.warn({ ip: req.ip, method: req.method, url: req.originalUrl }, "admin break-glass girişi");
+    req.admin = { user_id: null, scopes: ADMIN_SCOPES, via: "break_glass" };
+  } else if (req.authUserId) {
+    const row = await get(
+      `SELECT scopes FROM admin_accounts WHERE user_id=$1 AND disabled_at IS NULL`,
+      [req.authUserId]
+    );
+    req.admin = row ? { user_id: req.authUserId, scopes: row.scopes || [], via: "session" } : null;
+  } else {
+    req.admin = null;
+  }
+  return req.admin;
+}
+
+/** Admin ucu koruması; scope verilirse o kapsam da şart */
+function requireAdmin(scope) {
+  return async (req, res, next) => {
+    try {
+      const admin = await resolveAdmin(req);
+      if (!admin) return sendError(res, req.authUserId ? "FORBIDDEN" : missingAuthCode(req));
+      if (scope && !admin.scopes.includes(scope)) {
+        return sendError(res, "ADMIN_SCOPE_REQUIRED", { message: `Bu işlem için '${scope}' yetkisi gerekli`, extra: { scope } });
+      }
+      if (admin.via === "session" && await isTotpEnrollmentMissing(admin.user_id, "admin")) {
+        return sendError(res, "MFA_ENROLLMENT_REQUIRED");
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+/**
+ * Yetkili işlemi admin_audit_log'a yazar (yalnızca ekleme; tablo güncelleme/silmeyi reddeder).
+ * Kayıt hatası işlemi bozmaz, sadece loglanır.
+ */
+async function auditAdmin(req, { action, target_type = null, target_id = null, before = null, after = null, reason = null }) {
+  try {
+    const via = req.admin?.via || (isBreakGlassAdmin(req) ? "break_glass" : "session");
+    await run(
+      `INSERT INTO admin_audit_log
+         (actor_user_id, actor_via, actor_role, action, target_type, target_id, before, after, reason, ip, user_agent, request_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8::jsonb,$9,$10,$11,$12)`,
+      [
+        req.admin?.user_id ?? req.authUserId ?? null, via, req.authRole || (req.admin ? "admin" : null),
+        action, target_type, target_id != null ? String(target_id) : null,
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        reason, req.ip || null, String(req.headers["user-agent"] || "").slice(0, 300) || null,
+        req.id ? String(req.id) : null
+      ]
+    );
+  } catch (e) {
+    logger.error({ err: e, action }, "admin_audit_log yazılamadı");
+  }
+}
 
-function isAdminAuthenticated(req) {
-  const s =
-    req.headers["x-admin-secret"] ||
-    req.query?.admin_secret ||
-    req.body?.secret ||
-    req.body?.admin_secret;
-  return ADMIN_SECRET && s === ADMIN_SECRET;
+// --- Kullanıcı oturumu (imzalı token, Authorization: Bearer ...) ---
+const AUTH_SECRET = (process.env.AUTH_SECRET || "").trim() || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_SECRET) {
+  console.warn("AUTH_SECRET tanımlı değil: geçici anahtar üretildi, yeniden başlatınca oturumlar düşer.");
+}
+// Kısa ömürlü access token + döner (rotating) refresh token
+const AUTH_TOKEN_TTL_SEC = Math.max(60, parseInt(process.env.AUTH_TOKEN_TTL_SEC || "900", 10)); // 15 dk
+const AUTH_REFRESH_TTL_SEC = Math.max(3600, parseInt(process.env.AUTH_REFRESH_TTL_SEC || "5184000", 10)); // 60 gün
+// Geçiş dönemi: "1" olunca token'sız kullanıcı istekleri reddedilir
+const AUTH_ENFORCE = process.env.AUTH_ENFORCE === "1";
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function signToken(payload, ttlSec) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = b64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSec }));
+  const sig = b64url(crypto.createHmac("sha256", AUTH_SECRET).update(body).digest());
+  return `${body}.${sig}`;
+}
+
+/** İmza + süre kontrolü; geçersizse null */
+function verifyToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+  const expected = b64url(crypto.createHmac("sha256", AUTH_SECRET).update(body).digest());
+  const a = Buffer.from(sig), b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload?.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/** Oturuma bağlı kısa ömürlü access token */
+function issueAccessToken(userId, sessionId) {
+  const token = signToken({ uid: Number(userId), sid: Number(sessionId), typ: "access" }, AUTH_TOKEN_TTL_SEC);
+  const expires_at = new Date(Date.now() + AUTH_TOKEN_TTL_SEC * 1000).toISOString();
+  return { token, token_type: "Bearer", expires_at };
 }
 
-function requireAdmin(req, res, next) {
-  // Emniyet: ortamda admin anahtarı yoksa admin uçları kapalı
-  if (!ADMIN_SECRET) {
-    return res.status(503).json({ error: "Admin kapalı: ADMIN_SECRET tanımlı değil." });
+// Authorization başlığından çağıranı çöz (req.authUserId, req.authSessionId).
+// Geçersiz / süresi dolmuş token burada reddedilmez: login, register, refresh gibi açık rotalar
+// eski başlıkla da çalışsın. req.authInvalid işaretlenir; kimlik isteyen rotalar (requireAuth,
+// requireSelf, requirePermission, requireAdmin) SESSION_INVALID döner.
+app.use(async (req, res, next) => {
+  const h = String(req.headers.authorization || "");
+  if (!h) return next();
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  const payload = m ? verifyToken(m[1].trim()) : null;
+  if (!payload || payload.typ !== "access" || !Number(payload.uid) || !Number(payload.sid)) {
+    req.authInvalid = true;
+    return next();
+  }
+  try {
+    // Uzaktan kapatılan oturumların token'ı hemen geçersiz olsun; dil tercihi de buradan okunur
+    const live = await get(
+      `SELECT u.locale
+         FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+        WHERE s.id=$1 AND s.user_id=$2 AND s.revoked_at IS NULL
+          AND s.expires_at > timezone('Europe/Istanbul', now())`,
+      [payload.sid, payload.uid]
+    );
+    if (!live) {
+      req.authInvalid = true;
+      return next();
+    }
+    req.userLocale = live.locale || null;
+  } catch (e) {
+    return next(e);
   }
-  if (isAdminAuthenticated(req)) return next();
-  return res.status(403).json({ error: "Yetkisiz" });
+  req.authUserId = Number(payload.uid);
+  req.authSessionId = Number(payload.sid);
+  next();
+});
+
+/** Oturum yoksa dönülecek kod: geçersiz token gönderildiyse SESSION_INVALID (istemci yenilesin) */
+const missingAuthCode = (req) => (req.authInvalid ? "SESSION_INVALID" : "UNAUTHORIZED");
+
+/** Geçiş döneminden bağımsız: geçerli oturum şart */
+function requireAuth(req, res, next) {
+  if (!req.authUserId) return sendError(res, missingAuthCode(req));
+  next();
+}
+
+/**
+ * İstekteki kullanıcı id'sini oturumla eşleştirir.
+ * where: "params.userId" | "body.user_id" | "query.user_id" ...
+ * - Token varsa id uyuşmazsa 403; id hiç yoksa (body/query/params) token'daki id yazılır.
+ * - Token yoksa: AUTH_ENFORCE=1 ise 401, değilse (geçiş dönemi) eski davranış.
+ * - Token geçersizse her zaman 401 SESSION_INVALID.
+ */
+function requireSelf(where) {
+  const [src, key] = where.split(".");
+  return (req, res, next) => {
+    if (!req.authUserId) {
+      // Geçiş döneminde de geçersiz token'la başkası adına işlem yapılmasın
+      if (AUTH_ENFORCE || req.authInvalid) return sendError(res, missingAuthCode(req));
+      return next();
+    }
+    const claimed = req[src]?.[key];
+    if (claimed == null || claimed === "") {
+      // Express 5'te req.query prototipteki bir getter; atama yerine kendi özelliğiyle gölgelenir
+      const filled = { ...(req[src] || {}), [key]: req.authUserId };
+      if (src === "query") {
+        Object.defineProperty(req, "query", { value: filled, writable: true, configurable: true, enumerable: true });
+      } else {
+        req[src] = filled;
+      }
+      return next();
+    }
+    if (Number(claimed) !== req.authUserId) {
+      return sendError(res, "ACT_AS_FORBIDDEN");
+    }
+    next();
+  };
+}
+
+// --- Roller ve yetkiler (users.role) ---
+const ROLES = ["player", "editor", "reviewer", "admin"];
+const ROLE_PERMISSIONS = {
+  player:   [],
+  editor:   ["surveys.create"],
+  reviewer: ["surveys.create", "surveys.view_any", "surveys.review"],
+  admin:    ["*"]
+};
+
+/** Eski değerleri (USER/EDITOR, boş) yeni rol adlarına çevirir */
+function normalizeRole(v) {
+  const r = String(v || "").trim().toLowerCase();
+  return ROLES.includes(r) ? r : "player";
+}
+
+function hasPermission(role, perm) {
+  const perms = ROLE_PERMISSIONS[normalizeRole(role)] || [];
+  return perms.includes("*") || perms.includes(perm);
+}
+
+async function getUserRole(userId) {
+  const row = await get(`SELECT role FROM users WHERE id=$1`, [userId]);
+  return row ? normalizeRole(row.role) : null;
+}
+
+/**
+ * Rol tabanlı koruma (requireAdmin'in yanında):
+ * break-glass admin secret geçerse serbest; değilse oturum + rol yetkisi şart.
+ * Sonrasında req.authRole set edilir.
+ */
+function requirePermission(perm) {
+  return async (req, res, next) => {
+    if (isBreakGlassAdmin(req)) {
+      await resolveAdmin(req); // loglansın
+      req.authRole = "admin";
+      return next();
+    }
+    if (!req.authUserId) return sendError(res, missingAuthCode(req));
+    try {
+      const role = await getUserRole(req.authUserId);
+      if (!role || !hasPermission(role, perm)) return sendError(res, "FORBIDDEN");
+      if (await isTotpEnrollmentMissing(req.authUserId, role)) {
+        return sendError(res, "MFA_ENROLLMENT_REQUIRED");
+      }
+      req.authRole = role;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+/** Anket sahibi mi ya da başkasının anketine dokunabilir mi? */
+function canManageSurvey(req, survey) {
+  if (hasPermission(req.authRole, "surveys.edit_any")) return true;
+  return !!survey && Number(survey.editor_id) === Number(req.authUserId);
 }
 
 
@@ -221,48 +501,16 @@ function sseEmit(userId, event, payload = {}) {
 
 
 
-/* ---------- PG CONNECTION ---------- */
-if (!process.env.DATABASE_URL) {
-  console.error("DATABASE_URL env yok! Neon connection string'i .env içine ekleyin.");
-  process.exit(1);
-}
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-  keepAlive: true,
-  max: 5,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000,
-});
-
-// Her yeni bağlantıda güvenli session ayarları
-pool.on("connect", async (client) => {
-  try {
-    await client.query(`
-      SET application_name = 'felox-backend';
-      SET statement_timeout = '15s';                   -- tek sorgu sunucu tarafı limiti
-      SET idle_in_transaction_session_timeout = '60s'; -- tx içinde boşta kalan bağlantı
-      SET lock_timeout = '5s';                         -- kilit bekleme sınırı
-      SET timezone = 'Europe/Istanbul';
-    `);
-  } catch (e) {
-    console.error("PG session settings fail:", e.message);
-  }
-});
-
-
-pool.on("error", (err) => {
-  console.error("PG pool error:", err?.message || err);
-  });
-
-
+/* ---------- DB CONNECTION ---------- */
+// Sürücü (PostgreSQL / yerel SQLite) db.js'de seçilir; sorgular her iki durumda da pg lehçesinde
+const { pool, run, get, all, dialect: DB_DIALECT } = require("./db");
+const DB_LABEL = DB_DIALECT === "sqlite" ? `SQLite (${pool.file})` : "PostgreSQL";
 
 pool
   .query("SELECT 1")
-  .then(() => console.log("PostgreSQL bağlantısı başarılı"))
+  .then(() => console.log(`${DB_LABEL} bağlantısı başarılı`))
   .catch((e) => {
-    console.error("PostgreSQL bağlantı hatası:", e);
+    console.error(`${DB_LABEL} bağlantı hatası:`, e);
     process.exit(1);
   });
 
@@ -271,10 +519,6 @@ function normalizeEmail(v) {
   return String(v || "").trim().toLowerCase();
 }
 
-async function run(sql, params = []) { await pool.query(sql, params); return { success: true }; }
-async function get(sql, params = []) { const { rows } = await pool.query(sql, params); return rows[0] || null; }
-async function all(sql, params = []) { const { rows } = await pool.query(sql, params); return rows; }
-
 /* --- App Settings (KV) --- */
 async function appGetRaw(key) {
   const row = await get('SELECT value FROM app_settings WHERE key=$1', [key]);
@@ -325,1153 +569,3735 @@ async function maybeUpgradePassword(userId, plain, stored) {
   } catch (_) {}
 }
 
+/* ---------- OTURUMLAR (user_sessions) ---------- */
+// Refresh token biçimi: "<session_id>.<rastgele>"; DB'de yalnızca sha256 özeti tutulur
+function sha256Hex(v) {
+  return crypto.createHash("sha256").update(String(v)).digest("hex");
+}
 
-function randomReadableCode(len = 6) {
-  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // O, I, 0, 1 yok
-  let out = "";
-  for (let i = 0; i < len; i++) {
-    out += alphabet[crypto.randomInt(0, alphabet.length)];
-  }
-  return out;
+function clientMeta(req) {
+  return {
+    ip: req.ip || null,
+    user_agent: String(req.headers["user-agent"] || "").slice(0, 300) || null,
+    device_name: String(req.body?.device_name || "").trim().slice(0, 100) || null
+  };
 }
 
-async function ensureUserCodeForUser(userId) {
-  const row = await get(`SELECT user_code FROM users WHERE id=$1`, [userId]);
-  if (!row) return null;
-  if (row.user_code) return row.user_code;
+/** Yeni cihaz oturumu açar; access + refresh token döner */
+async function createUserSession(userId, req) {
+  const meta = clientMeta(req);
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const row = await get(
+    `INSERT INTO user_sessions (user_id, refresh_hash, device_name, user_agent, ip, expires_at)
+     VALUES ($1,$2,$3,$4,$5, timezone('Europe/Istanbul', now()) + make_interval(secs => $6))
+     RETURNING id, expires_at`,
+    [userId, sha256Hex(secret), meta.device_name, meta.user_agent, meta.ip, AUTH_REFRESH_TTL_SEC]
+  );
+  return {
+    ...issueAccessToken(userId, row.id),
+    refresh_token: `${row.id}.${secret}`,
+    refresh_expires_at: row.expires_at,
+    session_id: Number(row.id)
+  };
+}
 
-  // Çakışmaları önlemek için 10 kez dene
-  for (let i = 0; i < 10; i++) {
-    const code = randomReadableCode(6);
-    const upd = await get(
-      `UPDATE users
-          SET user_code = $2
-        WHERE id = $1
-          AND user_code IS NULL
-          AND NOT EXISTS (SELECT 1 FROM users WHERE user_code = $2)
-      RETURNING user_code`,
-      [userId, code]
-    );
-    if (upd?.user_code) return upd.user_code;
+/**
+ * Refresh token'ı döndürür (eskisi geçersiz olur).
+ * Eski bir token tekrar kullanılırsa çalınmış sayılır ve oturum kapatılır.
+ */
+async function rotateUserSession(refreshToken, req) {
+  const [sidRaw, secret] = String(refreshToken || "").split(".");
+  const sid = Number(sidRaw);
+  if (!sid || !secret) return null;
+
+  const s = await get(
+    `SELECT id, user_id, refresh_hash, revoked_at,
+            (expires_at <= timezone('Europe/Istanbul', now())) AS expired
+       FROM user_sessions WHERE id=$1`,
+    [sid]
+  );
+  if (!s || s.revoked_at || s.expired) return null;
+  if (s.refresh_hash !== sha256Hex(secret)) {
+    await revokeUserSession(s.user_id, sid, "refresh_reuse");
+    return null;
   }
-  // eşzamanlı üretim olduysa son halini dön
-  const last = await get(`SELECT user_code FROM users WHERE id=$1`, [userId]);
-  return last?.user_code || null;
-}
 
-// E-posta var mı? uçlarını kapatmak/açmak için
-const FEATURE_EMAIL_CHECK = process.env.FEATURE_EMAIL_CHECK === "1";
+  const meta = clientMeta(req);
+  const next = crypto.randomBytes(32).toString("base64url");
+  const upd = await get(
+    `UPDATE user_sessions
+        SET refresh_hash=$2, last_used_at=timezone('Europe/Istanbul', now()),
+            ip=COALESCE($3, ip), user_agent=COALESCE($4, user_agent)
+      WHERE id=$1 AND refresh_hash=$5 AND revoked_at IS NULL
+    RETURNING id, user_id, expires_at`,
+    [sid, sha256Hex(next), meta.ip, meta.user_agent, s.refresh_hash]
+  );
+  if (!upd) return null; // eşzamanlı rotasyon
 
+  return {
+    ...issueAccessToken(upd.user_id, upd.id),
+    refresh_token: `${upd.id}.${next}`,
+    refresh_expires_at: upd.expires_at,
+    session_id: Number(upd.id)
+  };
+}
 
-/* ---------- ENV (Günlük Yarışma) ---------- */
-const DAILY_CONTEST_SIZE = Math.max(1, parseInt(process.env.DAILY_CONTEST_SIZE || "128", 10));
-async function getDailyContestSizeFor(dayKey) {
-  // 1) Kalıcı default: admin panelden anında değişsin
-  const def = await appGetRaw('daily_contest_size'); // sayı beklenir (JSONB number ya da "42")
-  const defNum = Number(def);
-  const defaultSize = Number.isFinite(defNum) && defNum > 0
-    ? Math.min(200, Math.max(1, defNum))
-    : DAILY_CONTEST_SIZE; // ENV fallback
+async function revokeUserSession(userId, sessionId, reason = "revoked") {
+  const row = await get(
+    `UPDATE user_sessions
+        SET revoked_at=timezone('Europe/Istanbul', now()), revoked_reason=$3
+      WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL
+    RETURNING id`,
+    [sessionId, userId, reason]
+  );
+  return !!row;
+}
 
-  // 2) Günlük tek seferlik override (yalnızca ilgili gün için)
-  const ov = await appGetRaw('daily_contest_size_next');
-  const s  = Number(ov?.size);
-  if (ov && ov.day_key === dayKey && Number.isFinite(s) && s > 0) {
-    return Math.min(200, Math.max(1, s));
+/** Kullanıcının tüm açık oturumlarını kapatır (isteğe bağlı biri hariç) */
+async function revokeAllUserSessions(userId, reason = "revoked", exceptSessionId = null) {
+  const rows = await all(
+    `UPDATE user_sessions
+        SET revoked_at=timezone('Europe/Istanbul', now()), revoked_reason=$2
+      WHERE user_id=$1 AND revoked_at IS NULL
+        AND ($3::bigint IS NULL OR id <> $3)
+    RETURNING id`,
+    [userId, reason, exceptSessionId]
+  );
+  return rows.length;
+}
+
+/* ---------- GİRİŞ KORUMASI (hesap bazlı kilit + login_events) ---------- */
+// 3. hatadan sonra artan bekleme (1,2,4.. sn, en çok 60), eşikte geçici kilit
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_LOCK_THRESHOLD = Math.max(LOGIN_DELAY_AFTER + 1, parseInt(process.env.LOGIN_LOCK_THRESHOLD || "10", 10));
+const LOGIN_LOCK_MINUTES = Math.max(1, parseInt(process.env.LOGIN_LOCK_MINUTES || "15", 10));
+
+/** Şu an şifre denemesine izin var mı? -> { blocked, retry_after, reason } */
+async function checkLoginGuard(userId) {
+  const g = await get(
+    `SELECT COALESCE(failed_login_count,0)::int AS fails,
+            CEIL(EXTRACT(EPOCH FROM (locked_until - timezone('Europe/Istanbul', now()))))::int AS lock_left,
+            FLOOR(EXTRACT(EPOCH FROM (timezone('Europe/Istanbul', now()) - last_failed_login_at)))::int AS since_fail
+       FROM users WHERE id=$1`,
+    [userId]
+  );
+  if (!g) return { blocked: false };
+  if (g.lock_left > 0) return { blocked: true, retry_after: g.lock_left, reason: "locked" };
+  if (g.fails >= LOGIN_DELAY_AFTER && g.since_fail != null) {
+    const delay = Math.min(60, 2 ** (g.fails - LOGIN_DELAY_AFTER));
+    if (g.since_fail < delay) return { blocked: true, retry_after: delay - g.since_fail, reason: "throttled" };
   }
+  return { blocked: false };
+}
 
-  return defaultSize;
+async function recordLoginFailure(userId) {
+  await run(
+    `UPDATE users
+        SET failed_login_count = COALESCE(failed_login_count,0) + 1,
+            last_failed_login_at = timezone('Europe/Istanbul', now()),
+            locked_until = CASE
+              WHEN COALESCE(failed_login_count,0) + 1 >= $2
+                THEN timezone('Europe/Istanbul', now()) + make_interval(mins => $3)
+              ELSE locked_until END
+      WHERE id=$1`,
+    [userId, LOGIN_LOCK_THRESHOLD, LOGIN_LOCK_MINUTES]
+  );
 }
 
+async function recordLoginSuccess(userId) {
+  await run(
+    `UPDATE users
+        SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id=$1 AND (COALESCE(failed_login_count,0) > 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+}
 
-const DAILY_CONTEST_SECRET = process.env.DAILY_CONTEST_SECRET || "felox-secret";
+/** Giriş denemesini kaydet (log hatası girişi bozmaz) */
+async function logLoginEvent(req, { user_id = null, email = null, success, reason = null, context = "login" }) {
+  try {
+    const meta = clientMeta(req);
+    await run(
+      `INSERT INTO login_events (user_id, email, success, reason, context, ip, user_agent)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [user_id, email, !!success, reason, context, meta.ip, meta.user_agent]
+    );
+  } catch (e) {
+    console.error("login_events fail:", e.message);
+  }
+}
 
-/* ---------- ENV (Düello) ---------- */
-// Idle kalan maçları kaç saniyede "abandoned" yapalım? (min 30, max 600)
-const DUELLO_IDLE_ABORT_SEC = Math.max(
-  30,
-  Math.min(600, parseInt(process.env.DUELLO_IDLE_ABORT_SEC || "90", 10))
-);
+/* ---------- HESAP SİLME (bekleme süresi + anonimleştirme) ---------- */
+// Silme isteği hesabı hemen silmez: süre dolunca purge job kişisel veriyi anonimleştirir.
+// Cevaplar/ödüller/maçlar kalır; geçmiş sıralamalar değişmez.
+const ACCOUNT_DELETE_GRACE_DAYS = Math.max(0, parseInt(process.env.ACCOUNT_DELETE_GRACE_DAYS || "14", 10));
+const ACCOUNT_RESTORE_ON_LOGIN = process.env.ACCOUNT_RESTORE_ON_LOGIN !== "0";
 
-/* ---------- ENV (Düello zamanlama) ---------- */
-const DUELLO_PER_Q_SEC  = Math.max(5, parseInt(process.env.DUELLO_PER_Q_SEC || "16", 10));
-const DUELLO_REVEAL_SEC = Math.max(1, parseInt(process.env.DUELLO_REVEAL_SEC || "3", 10));
-const SSE_RETRY_MS = Math.max(1000, parseInt(process.env.SSE_RETRY_MS || "3000", 10));
-// Günlük ödülü aynı güne iki kez yazmamak için
-let lastAwardedFor = null;
+async function getAccountDeletionConfig() {
+  const restore = await appGetRaw('account_restore_on_login');
+  return {
+    graceDays: Math.max(0, await appGetInt('account_delete_grace_days', ACCOUNT_DELETE_GRACE_DAYS)),
+    restoreOnLogin: typeof restore === 'boolean' ? restore : ACCOUNT_RESTORE_ON_LOGIN
+  };
+}
 
+/** Silmeyi planla; planlanan tarihi döner */
+async function scheduleAccountDeletion(userId) {
+  const { graceDays } = await getAccountDeletionConfig();
+  const row = await get(
+    `UPDATE users
+        SET deletion_requested_at = timezone('Europe/Istanbul', now()),
+            deletion_scheduled_for = timezone('Europe/Istanbul', now()) + make_interval(days => $2)
+      WHERE id=$1 AND deleted_at IS NULL
+    RETURNING deletion_scheduled_for`,
+    [userId, graceDays]
+  );
+  await revokeAllUserSessions(userId, "account_deleted");
+  return row?.deletion_scheduled_for || null;
+}
 
+async function cancelAccountDeletion(userId) {
+  const row = await get(
+    `UPDATE users
+        SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+      WHERE id=$1 AND deleted_at IS NULL AND deletion_scheduled_for IS NOT NULL
+    RETURNING id`,
+    [userId]
+  );
+  return !!row;
+}
 
-/* ---------- HEALTH ---------- */
-app.get("/", (_req, res) => res.send("OK"));
-app.get("/healthz", (_req, res) => res.send("healthy"));
+/** Tek kullanıcıyı anonimleştirir (kişisel alanlar + kimlik kayıtları temizlenir) */
+async function anonymizeUser(userId) {
+  const client = await pool.connect();
+  let exportFiles = [];
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE users
+          SET ad = 'Silinmiş', soyad = 'Kullanıcı', yas = NULL, cinsiyet = NULL,
+              meslek = NULL, sehir = NULL, email = NULL, password = NULL,
+              user_code = NULL, role = 'player', email_verified_at = NULL,
+              totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+              guest_device_hash = NULL,
+              failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL,
+              deleted_at = timezone('Europe/Istanbul', now())
+        WHERE id=$1 AND deleted_at IS NULL`,
+      [userId]
+    );
+    for (const t of ['user_sessions', 'login_events', 'email_verifications', 'password_reset_codes', 'admin_accounts', 'duello_profiles', 'user_identities', 'totp_backup_codes']) {
+      await client.query(`DELETE FROM ${t} WHERE user_id=$1`, [userId]);
+    }
+    ({ rows: exportFiles } = await client.query(
+      `DELETE FROM data_exports WHERE user_id=$1 RETURNING file_path`,
+      [userId]
+    ));
+    await client.query(
+      `UPDATE duello_invites
+          SET status='cancelled', cancelled_at=timezone('Europe/Istanbul', now())
+        WHERE status='pending' AND (from_user_id=$1 OR to_user_id=$1)`,
+      [userId]
+    );
+    await client.query('COMMIT');
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+  // Hazırlanmış dışa aktarım dosyaları da kişisel veri içerir
+  for (const f of exportFiles) {
+    if (f.file_path) await fs.promises.unlink(f.file_path).catch(() => {});
+  }
+}
 
-// Render bazı projelerde /health bekliyor
-app.get("/health", (_req, res) => res.status(200).send("ok"));
 
-// === DUELLO SSE stream ===
-// Tarayıcı: new EventSource(`${API}/api/duello/events/${userId}`)
-app.get("/api/duello/events/:userId", (req, res) => {
-  const uid = Number(req.params.userId);
-  if (!uid) return res.status(400).end();
+/* ---------- ASKIYA ALMA / YASAKLAMA ---------- */
+// Aktif yaptırım: girişi, düello davetlerini ve ödülleri kapatır (geçmiş kayıtlar user_sanctions'ta kalır)
+const SANCTION_KINDS = ["suspend", "ban"];
+const SANCTION_BLOCKED_FEATURES = ["duels", "daily_prizes"];
 
-    // SSE başlıkları
-  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
-  res.setHeader("Cache-Control", "no-cache, no-transform");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("Keep-Alive", "timeout=120, max=1000");
-  res.setHeader("X-Accel-Buffering", "no"); // proxy buffer kapatma
+/** Varsa en ağır aktif yaptırım (ban > suspend, sonra en geç biten) */
+async function getActiveSanction(userId) {
+  return await get(
+    `SELECT id, kind, reason, expires_at, created_at
+       FROM user_sanctions
+      WHERE user_id=$1 AND lifted_at IS NULL
+        AND (expires_at IS NULL OR expires_at > timezone('Europe/Istanbul', now()))
+      ORDER BY (kind='ban') DESC, expires_at DESC NULLS FIRST
+      LIMIT 1`,
+    [userId]
+  );
+}
 
-  // Soket tarafında kopmaları azalt
-  try {
-    req.socket.setTimeout(0);
-    req.socket.setNoDelay(true);
-    req.socket.setKeepAlive(true);
-  } catch {}
+/** Yaptırımlı hesabın giriş yanıtı: 403 ACCOUNT_BANNED | ACCOUNT_SUSPENDED (+ reason, until) */
+function sendSanction(res, s) {
+  return sendError(res, s.kind === "ban" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED", {
+    extra: { reason: s.reason, until: s.expires_at }
+  });
+}
 
+/** Yaptırım uygula: oturumları kapat, düello hazır durumunu ve bekleyen davetleri temizle */
+async function applySanction(userId, { kind, reason, expiresAt, adminUserId }) {
+  const row = await get(
+    `INSERT INTO user_sanctions (user_id, kind, reason, expires_at, created_by)
+     VALUES ($1,$2,$3,$4,$5)
+     RETURNING id, kind, reason, expires_at, created_at`,
+    [userId, kind, reason, expiresAt, adminUserId]
+  );
+  await revokeAllUserSessions(userId, `sanction_${kind}`);
+  await run(`UPDATE duello_profiles SET ready=FALSE, updated_at=timezone('Europe/Istanbul', now()) WHERE user_id=$1`, [userId]);
+  await run(
+    `UPDATE duello_invites
+        SET status='cancelled', cancelled_at=timezone('Europe/Istanbul', now())
+      WHERE status='pending' AND (from_user_id=$1 OR to_user_id=$1)`,
+    [userId]
+  );
+  return row;
+}
 
 
+/* ---------- MİSAFİR HESAPLAR ---------- */
+// E-postasız hesap; cihaz token'ı ile yeniden oturum alır, upgrade ile tam hesaba döner.
+const GUEST_NAME = "Misafir";
 
-  // CORS (bazı proxy katmanlarında gerekli olabiliyor)
-  const reqOrigin = req.headers.origin || "";
-if (!ALLOWED_ORIGINS.length || !reqOrigin || ALLOWED_ORIGINS.includes(reqOrigin)) {
-  res.setHeader("Access-Control-Allow-Origin", reqOrigin || "*");
-  res.setHeader("Vary", "Origin");
-} else {
-  return res.status(403).end();
+async function createGuestAccount() {
+  const deviceToken = crypto.randomBytes(32).toString("base64url");
+  const row = await get(
+    `INSERT INTO users (ad, role, is_guest, guest_device_hash)
+     VALUES ($1, 'player', TRUE, $2)
+     RETURNING id`,
+    [GUEST_NAME, sha256Hex(deviceToken)]
+  );
+  await ensureUserCodeForUser(row.id);
+  return { userId: Number(row.id), deviceToken };
 }
 
+async function findGuestByDeviceToken(deviceToken) {
+  if (!deviceToken) return null;
+  return await get(
+    `SELECT id FROM users WHERE guest_device_hash=$1 AND is_guest AND deleted_at IS NULL`,
+    [sha256Hex(deviceToken)]
+  );
+}
 
 
-  // İlk flush (varsa)
-  try { res.flushHeaders?.(); } catch {}
-
-  // Kayda al
-  sseAdd(uid, res);
+/* ---------- İKİ ADIMLI DOĞRULAMA (TOTP) ---------- */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Felox";
+const TOTP_LOGIN_TTL_SEC = 5 * 60;
+const TOTP_BACKUP_CODE_COUNT = 10;
+// Hangi rollerde zorunlu (app_settings: totp_required_roles ile ezilebilir), ör. "editor,reviewer,admin"
+const TOTP_REQUIRED_ROLES = (process.env.TOTP_REQUIRED_ROLES || "")
+  .split(",").map(s => s.trim()).filter(Boolean);
+// TOTP sırları DB'de AES-256-GCM ile şifreli durur
+const TOTP_ENC_KEY = crypto.createHash("sha256")
+  .update(process.env.TOTP_ENC_KEY || `${AUTH_SECRET}:totp`).digest();
+
+function encryptTotpSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", TOTP_ENC_KEY, iv);
+  const ct = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ct].map(b64url).join(".");
+}
 
-  // Tarayıcıya otomatik yeniden bağlanma öner (ms)
-res.write(`retry: ${SSE_RETRY_MS}\n`);
+function decryptTotpSecret(enc) {
+  const [iv, tag, ct] = String(enc || "").split(".").map(p => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", TOTP_ENC_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString("utf8");
+}
 
-// Hoş geldin olayı + event id
-const firstId = Date.now();
-res.write(`id: ${firstId}\nevent: ready\ndata: {}\n\n`);
+async function getTotpRequiredRoles() {
+  const v = await appGetRaw('totp_required_roles');
+  return Array.isArray(v) ? v.map(normalizeRole) : TOTP_REQUIRED_ROLES.map(normalizeRole);
+}
 
+/** Rol TOTP istiyor ama kullanıcı henüz kurmamış mı? */
+async function isTotpEnrollmentMissing(userId, role) {
+  if (!(await getTotpRequiredRoles()).includes(normalizeRole(role))) return false;
+  const row = await get(`SELECT totp_enabled_at FROM users WHERE id=$1`, [userId]);
+  return !row?.totp_enabled_at;
+}
 
-  // Bağlantıyı canlı tutmak için ping (Render/Vercel timeoutlarını önler)
-  const ping = setInterval(() => {
-    try { res.write(`: ping ${Date.now()}\n\n`); } catch {}
-  }, 25000);
+function hashBackupCode(userId, code) {
+  const norm = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return crypto.createHmac("sha256", AUTH_SECRET).update(`${userId}:backup:${norm}`).digest("hex");
+}
 
-  // Bağlantı kapanınca/abort/error temizle
-const cleanup = () => {
-  clearInterval(ping);
-  sseRemove(uid, res);
-  try { res.end(); } catch {}
-};
-req.on("close", cleanup);
-req.on("aborted", cleanup);
-res.on("error", cleanup);
-});
+/** Yedek kodları yeniler (eskiler geçersiz); düz kodlar yalnızca bir kez gösterilir */
+async function regenerateBackupCodes(userId) {
+  const codes = Array.from({ length: TOTP_BACKUP_CODE_COUNT }, () => `${randomReadableCode(4)}-${randomReadableCode(4)}`);
+  await run(`DELETE FROM totp_backup_codes WHERE user_id=$1`, [userId]);
+  for (const c of codes) {
+    await run(`INSERT INTO totp_backup_codes (user_id, code_hash) VALUES ($1,$2)`, [userId, hashBackupCode(userId, c)]);
+  }
+  return codes;
+}
 
+/**
+ * TOTP kodu ya da yedek kodu doğrular. Aynı TOTP adımı ikinci kez kabul edilmez,
+ * yedek kod tek kullanımlıktır. { ok, method } döner.
+ */
+async function verifySecondFactor(userId, code) {
+  const u = await get(`SELECT totp_secret, totp_last_step FROM users WHERE id=$1 AND totp_enabled_at IS NOT NULL`, [userId]);
+  if (!u) return { ok: false };
 
-/* ---------- HELPERS ---------- */
+  const step = verifyTotp(decryptTotpSecret(u.totp_secret), code, {
+    afterStep: u.totp_last_step != null ? Number(u.totp_last_step) : null
+  });
+  if (step != null) {
+    const upd = await get(
+      `UPDATE users SET totp_last_step=$2
+        WHERE id=$1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+      RETURNING id`,
+      [userId, step]
+    );
+    return { ok: !!upd, method: "totp" };
+  }
 
+  const used = await get(
+    `UPDATE totp_backup_codes SET used_at=timezone('Europe/Istanbul', now())
+      WHERE user_id=$1 AND code_hash=$2 AND used_at IS NULL
+    RETURNING id`,
+    [userId, hashBackupCode(userId, code)]
+  );
+  return { ok: !!used, method: used ? "backup_code" : null };
+}
 
-// --- Streak -> Ağaç aşaması (stage) ---
-// Eşikler: 0,3,7,14,30,60,100,365  (8 seviye)
-const TREE_THRESHOLDS = [0, 3, 7, 14, 30, 60, 100, 365];
+/**
+ * Birinci faktör doğrulandıktan sonraki ortak giriş adımları (şifre, OIDC, 2FA):
+ * TOTP açıksa ara token döner; değilse silinme sürecini işler, olayı loglar ve oturum açar.
+ */
+async function completeLogin(req, res, userId, { context = "login", email = null, mfaPassed = false, extra = {} } = {}) {
+  const row = await get(
+    `SELECT id, ad, soyad, email, role, cinsiyet, user_code, deletion_scheduled_for,
+            is_guest, locale,
+            (totp_enabled_at IS NOT NULL) AS totp_enabled,
+            (email_verified_at IS NOT NULL) AS email_verified
+       FROM users WHERE id=$1`,
+    [userId]
+  );
+  if (!row) return sendError(res, "INVALID_CREDENTIALS");
+  const logEmail = email || row.email;
+  // Giriş yanıtı da kullanıcının kayıtlı dilinde dönsün
+  req.userLocale = row.locale || null;
+
+  const sanction = await getActiveSanction(row.id);
+  if (sanction) {
+    await logLoginEvent(req, { user_id: row.id, email: logEmail, success: false, reason: `sanction_${sanction.kind}`, context });
+    return sendSanction(res, sanction);
+  }
 
-// Bu anahtarları manifest.json’daki isimlerinle AYNI yap.
-// Örn. manifest["tree_seed"] gibi erişeceksin FE'de.
-const TREE_KEYS = [
-  "A1",       // 0+
-  "A2",     // 3+
-  "A3",    // 7+
-  "A4",      // 14+
-  "A5",     // 30+
-  "A6",        // 60+
-  "A7",    // 100+
-  "A8"   // 365+
-];
+  if (row.totp_enabled && !mfaPassed) {
+    await logLoginEvent(req, { user_id: row.id, email: logEmail, success: false, reason: "mfa_required", context });
+    return res.json({
+      success: true,
+      mfa_required: true,
+      mfa_token: signToken({ uid: row.id, typ: "mfa", ctx: context }, TOTP_LOGIN_TTL_SEC),
+      mfa_methods: ["totp", "backup_code"],
+      ...extra
+    });
+  }
 
-/** Verilen streak için ağaç aşaması ve meta döner. */
-function streakTreeStage(streak) {
-  const s = Math.max(0, parseInt(streak || 0, 10));
-  let stage = 0;
-  for (let i = 0; i < TREE_THRESHOLDS.length; i++) {
-    if (s >= TREE_THRESHOLDS[i]) stage = i;
+  await recordLoginSuccess(row.id);
+
+  // Silinme sürecindeki hesap: ayara göre girişte geri al ya da reddet
+  let restored = false;
+  if (row.deletion_scheduled_for) {
+    const { restoreOnLogin } = await getAccountDeletionConfig();
+    if (!restoreOnLogin) {
+      await logLoginEvent(req, { user_id: row.id, email: logEmail, success: false, reason: "pending_deletion", context });
+      return res.status(403).json({
+        error: "Hesabın silinme sürecinde. Geri almak için /api/account/restore kullan.",
+        code: "ACCOUNT_PENDING_DELETION",
+        deletion_scheduled_for: row.deletion_scheduled_for
+      });
+    }
+    restored = await cancelAccountDeletion(row.id);
   }
-  const key = TREE_KEYS[stage] || TREE_KEYS[0];
-  const min = TREE_THRESHOLDS[stage];
-  const next = TREE_THRESHOLDS[stage + 1] ?? null;
-  const to_next = next == null ? null : Math.max(0, next - s);
-  const prevMin = min;
-  const denom = next == null ? 1 : Math.max(1, next - prevMin);
-  const progress = next == null ? 1 : Math.min(1, (s - prevMin) / denom);
-  return { stage, key, min, next_threshold: next, to_next, progress };
+  await logLoginEvent(req, { user_id: row.id, email: logEmail, success: true, reason: restored ? "restored" : null, context });
+
+  // response'a parolayı koyma
+  const user = {
+    id: row.id, ad: row.ad, soyad: row.soyad, email: row.email,
+    role: normalizeRole(row.role), cinsiyet: row.cinsiyet,
+    user_code: row.user_code || await ensureUserCodeForUser(row.id),
+    email_verified: row.email_verified,
+    totp_enabled: row.totp_enabled,
+    is_guest: row.is_guest,
+    locale: row.locale
+  };
+  res.json({
+    success: true, user,
+    ...extra,
+    ...(restored ? { restored: true } : {}),
+    ...(await createUserSession(user.id, req))
+  });
 }
 
 
+/* ---------- OIDC (sosyal giriş) ---------- */
+// Sağlayıcılar oidc.js / OIDC_PROVIDERS ile tanımlanır; bir hesapta birden çok kimlik olabilir.
+const oidcProviders = loadProviders();
+const OIDC_STATE_TTL_MIN = 10;
 
-function periodSql(period, alias = "a") {
-  const col = `${alias}.created_at`;
-  const tzNow = `timezone('Europe/Istanbul', now())`;
-  switch ((period || "all")) {
-    case "today":
-      return `AND ${col} >= date_trunc('day', ${tzNow})
-              AND ${col} <  date_trunc('day', ${tzNow}) + interval '1 day'`;
-    case "week":
-      return `AND ${col} >= date_trunc('week', ${tzNow})
-              AND ${col} <  date_trunc('week', ${tzNow}) + interval '1 week'`;
-    case "month":
-      return `AND ${col} >= date_trunc('month', ${tzNow})
-              AND ${col} <  date_trunc('month', ${tzNow}) + interval '1 month'`;
-    case "year":
-      return `AND ${col} >= date_trunc('year', ${tzNow})
-              AND ${col} <  date_trunc('year', ${tzNow}) + interval '1 year'`;
-    default:
-      return "";
-  }
-}
-
-function normalizeAnswer(v) {
-  if (v == null) return "";
-  let s = String(v).trim().toLowerCase();
-  if (s === "hayir") s = "hayır";
-  if (["evet", "hayır", "bilmem"].includes(s)) return s;
-  if (["yes", "true", "1"].includes(s)) return "evet";
-  if (["no", "false", "0"].includes(s)) return "hayır";
-  if (["dontknow", "unknown", "idk", "skip", "empty", "null"].includes(s)) return "bilmem";
-  return s;
+/** state + nonce + PKCE üretir, verifier'ı sunucuda saklar, yetkilendirme URL'ini döner */
+async function startOidcFlow(provider, { linkUserId = null, loginHint = null } = {}) {
+  const state = b64url(crypto.randomBytes(24));
+  const nonce = b64url(crypto.randomBytes(16));
+  const pkce = createPkce();
+  await run(
+    `INSERT INTO oidc_login_states (state_hash, provider, code_verifier, nonce, link_user_id, expires_at)
+     VALUES ($1,$2,$3,$4,$5, timezone('Europe/Istanbul', now()) + make_interval(mins => $6))`,
+    [sha256Hex(state), provider.name, pkce.verifier, nonce, linkUserId, OIDC_STATE_TTL_MIN]
+  );
+  const authorization_url = await buildAuthorizationUrl(provider, {
+    state, nonce, codeChallenge: pkce.challenge, loginHint
+  });
+  return { authorization_url, state, expires_in: OIDC_STATE_TTL_MIN * 60 };
 }
 
-async function getDayKey() {
-  const row = await get(`SELECT to_char(timezone('Europe/Istanbul', now()), 'YYYY-MM-DD') AS day`);
-  return row?.day || new Date().toISOString().slice(0, 10);
+/** state tek kullanımlık: silinerek alınır */
+async function consumeOidcState(provider, state) {
+  const row = await get(
+    `DELETE FROM oidc_login_states
+      WHERE state_hash=$1 AND provider=$2
+    RETURNING code_verifier, nonce, link_user_id,
+              (expires_at <= timezone('Europe/Istanbul', now())) AS expired`,
+    [sha256Hex(state), provider.name]
+  );
+  if (!row || row.expired) return null;
+  return row;
 }
 
-/* === bonus hesabı + streak güncelleme === */
-function streakBonus(s) {
-  if (s >= 365) return 10;
-  if (s >= 100) return 6;
-  if (s >= 60)  return 5;
-  if (s >= 30)  return 4;
-  if (s >= 14)  return 3;
-  if (s >= 7)   return 2;
-  if (s >= 3)   return 1;
-  return 0;
-}
+/**
+ * Doğrulanmış ID token claim'lerini bir kullanıcıya bağlar.
+ * Sıra: bilinen kimlik -> (bağlama akışı) oturumdaki kullanıcı -> doğrulanmış e-posta ile mevcut hesap -> yeni hesap.
+ * Hata durumunda { error, code, status } döner.
+ */
+async function resolveOidcUser(provider, claims, linkUserId) {
+  const subject = String(claims.sub);
+  const email = normalizeEmail(claims.email) || null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === "true";
+
+  const known = await get(
+    `SELECT i.user_id FROM user_identities i JOIN users u ON u.id=i.user_id
+      WHERE i.provider=$1 AND i.subject=$2 AND u.deleted_at IS NULL`,
+    [provider.name, subject]
+  );
 
-/** Bugünü bitirince streak’i günceller (idempotent) */
-async function upsertDailyStreakOnFinish(userId, dayKey) {
-  const st = await get(
-    `SELECT COALESCE(current_streak,0) AS cur,
-            COALESCE(longest_streak,0) AS best,
-            last_day_key::text         AS last
-       FROM user_daily_streak
-      WHERE user_id=$1`,
-    [userId]
+  const linkIdentity = (userId) => run(
+    `INSERT INTO user_identities (user_id, provider, subject, email, email_verified, last_login_at)
+     VALUES ($1,$2,$3,$4,$5, timezone('Europe/Istanbul', now()))
+     ON CONFLICT (provider, subject) DO UPDATE
+       SET email=EXCLUDED.email, email_verified=EXCLUDED.email_verified,
+           last_login_at=EXCLUDED.last_login_at`,
+    [userId, provider.name, subject, email, emailVerified]
   );
 
-  if (st?.last === dayKey) return;
+  if (linkUserId) {
+    if (known && Number(known.user_id) !== Number(linkUserId)) {
+      return { status: 409, code: "OIDC_IDENTITY_IN_USE", error: "Bu kimlik başka bir hesaba bağlı." };
+    }
+    await linkIdentity(linkUserId);
+    return { userId: Number(linkUserId), linked: true };
+  }
 
-  let next = 1;
-  if (st?.last) {
-    const cont = await get(
-      `SELECT (($1::date - interval '1 day')::date = $2::date) AS ok`,
-      [dayKey, st.last]
-    );
-    next = cont?.ok ? (st.cur + 1) : 1;
+  if (known) {
+    await linkIdentity(known.user_id);
+    return { userId: Number(known.user_id) };
   }
 
-  const longest = Math.max(st?.best || 0, next);
+  // Sağlayıcının doğrulamadığı e-posta ile hesap eşleştirmek ele geçirmeye açık
+  if (!email || !emailVerified) {
+    return { status: 400, code: "OIDC_EMAIL_UNVERIFIED", error: "Sağlayıcı doğrulanmış bir e-posta döndürmedi." };
+  }
 
-  await run(
-    `INSERT INTO user_daily_streak (user_id, current_streak, longest_streak, last_day_key)
-     VALUES ($1,$2,$3,$4)
-     ON CONFLICT (user_id) DO UPDATE
-       SET current_streak = EXCLUDED.current_streak,
-           longest_streak = GREATEST(user_daily_streak.longest_streak, EXCLUDED.longest_streak),
-           last_day_key   = EXCLUDED.last_day_key
-    `,
-    [userId, next, longest, dayKey]
+  const existing = await get(
+    `SELECT id, email_verified_at FROM users WHERE lower(email)=lower($1) AND deleted_at IS NULL`,
+    [email]
+  );
+  if (existing) {
+    // Yerelde doğrulanmamış hesap: e-postayı başkası kaydetmiş olabilir; şifreyi ve oturumları düşür
+    if (!existing.email_verified_at) {
+      await run(
+        `UPDATE users SET email_verified_at=timezone('Europe/Istanbul', now()), password=NULL WHERE id=$1`,
+        [existing.id]
+      );
+      await revokeAllUserSessions(existing.id, "oidc_takeover_guard");
+    }
+    await linkIdentity(existing.id);
+    return { userId: Number(existing.id), linked: true };
+  }
+
+  const created = await get(
+    `INSERT INTO users (ad, soyad, email, password, role, email_verified_at)
+     VALUES ($1,$2,$3,NULL,'player', timezone('Europe/Istanbul', now()))
+     RETURNING id`,
+    [claims.given_name || claims.name || null, claims.family_name || null, email]
   );
+  await linkIdentity(created.id);
+  return { userId: Number(created.id), created: true };
 }
 
-/** Dünkü gün bile oynanmadıysa streak’i hemen sıfırla (idempotent) */
-async function decayDailyStreakIfMissed(userId, todayKey) {
-  // hiç kaydı yoksa dokunma
-  const st = await get(
-    `SELECT COALESCE(current_streak,0) AS cur, last_day_key::date AS last
-       FROM user_daily_streak
-      WHERE user_id=$1`,
+
+/* ---------- KİŞİSEL VERİ DIŞA AKTARIMI (KVKK/GDPR) ---------- */
+// Küçük hesaplar anında indirilir; büyük hesaplar data_exports kuyruğuna düşer.
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || "./tmp/exports");
+const EXPORT_SYNC_MAX_ROWS = Math.max(0, parseInt(process.env.EXPORT_SYNC_MAX_ROWS || "5000", 10));
+const EXPORT_TTL_HOURS = Math.max(1, parseInt(process.env.EXPORT_TTL_HOURS || "72", 10));
+const EXPORT_FORMATS = ["json", "zip"];
+
+/** Kullanıcıya bağlı tüm kayıtları tek nesnede toplar (şifre/oturum sırları hariç) */
+async function collectUserData(userId) {
+  const profile = await get(
+    `SELECT id, ad, soyad, yas, cinsiyet, meslek, sehir, email, role, user_code,
+            books, ladder_best_level, email_verified_at,
+            deletion_requested_at, deletion_scheduled_for
+       FROM users WHERE id=$1`,
     [userId]
   );
-  if (!st?.last) return;
+  if (!profile) return null;
 
-  // today - last_day_key >= 2  => en az bir TAM “boş gün” kaçırılmış
-  const miss = await get(
-    `SELECT (($1::date - $2::date) >= 2) AS missed`,
-    [todayKey, st.last]
-  );
+  const byUser = (table, order = "created_at") =>
+    all(`SELECT * FROM ${table} WHERE user_id=$1 ORDER BY ${order} ASC`, [userId]);
 
-  if (miss?.missed && (st.cur || 0) > 0) {
-    await run(
-      `UPDATE user_daily_streak
-          SET current_streak = 0
-        WHERE user_id = $1`,
+  return {
+    exported_at: new Date().toISOString(),
+    user_id: Number(userId),
+    profile,
+    answers: await byUser("answers", "id"),
+    daily_sessions: await byUser("daily_sessions", "day_key"),
+    daily_finisher_awards: await byUser("daily_finisher_awards", "day_key"),
+    user_daily_streak: await get(`SELECT * FROM user_daily_streak WHERE user_id=$1`, [userId]),
+    ladder_sessions: await byUser("ladder_sessions", "run_started_at"),
+    book_awards: await byUser("book_awards", "id"),
+    book_spends: await byUser("book_spends", "id"),
+    book_adjustments: await all(
+      `SELECT delta, balance_after, reason, created_at FROM book_adjustments WHERE user_id=$1 ORDER BY id ASC`,
       [userId]
-    );
-  }
+    ),
+    sanctions: await all(
+      `SELECT kind, reason, expires_at, created_at, lifted_at FROM user_sanctions WHERE user_id=$1 ORDER BY id ASC`,
+      [userId]
+    ),
+    duello_profile: await get(`SELECT * FROM duello_profiles WHERE user_id=$1`, [userId]),
+    duello_invites: await all(
+      `SELECT * FROM duello_invites WHERE from_user_id=$1 OR to_user_id=$1 ORDER BY id ASC`,
+      [userId]
+    ),
+    duello_matches: await all(
+      `SELECT * FROM duello_matches WHERE user_a_id=$1 OR user_b_id=$1 ORDER BY id ASC`,
+      [userId]
+    ),
+    duello_answers: await byUser("duello_answers", "id"),
+    identities: await all(
+      `SELECT provider, email, email_verified, created_at, last_login_at
+         FROM user_identities WHERE user_id=$1 ORDER BY id ASC`,
+      [userId]
+    )
+  };
 }
 
-
-/* === YESTERDAY KEY === */
-async function getYesterdayKey() {
-  const row = await get(`SELECT to_char(timezone('Europe/Istanbul', now()) - interval '1 day', 'YYYY-MM-DD') AS day`);
-  return row?.day;
+/** Senkron/asenkron kararı için kaba satır sayısı */
+async function countUserDataRows(userId) {
+  const row = await get(
+    `SELECT (SELECT COUNT(*) FROM answers WHERE user_id=$1)
+          + (SELECT COUNT(*) FROM duello_answers WHERE user_id=$1)
+          + (SELECT COUNT(*) FROM book_spends WHERE user_id=$1)
+          + (SELECT COUNT(*) FROM daily_sessions WHERE user_id=$1) AS n`,
+    [userId]
+  );
+  return Number(row?.n || 0);
 }
 
-/* ---------- DB INIT (tablolar) ---------- */
-async function init() {
-  await run(`CREATE TABLE IF NOT EXISTS users (
-    id SERIAL PRIMARY KEY,
-    ad TEXT,
-    soyad TEXT,
-    yas INTEGER,
-    cinsiyet TEXT,
-    meslek TEXT,
-    sehir TEXT,
-    email TEXT UNIQUE,
-    password TEXT,
-    role TEXT
-  )`);
-
-await run(`
-  CREATE UNIQUE INDEX IF NOT EXISTS uq_users_email_ci
-  ON users (lower(email))
-`);
-
-  await run(`
-    CREATE TABLE IF NOT EXISTS app_settings (
-      key        TEXT PRIMARY KEY,
-      value      JSONB NOT NULL,
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
-    )
-  `);
-
-
+/** ZIP: her bölüm ayrı JSON dosyası + manifest */
+function writeExportZip(data, output) {
+  return new Promise((resolve, reject) => {
+    const zip = archiver("zip", { zlib: { level: 9 } });
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    zip.on("error", reject);
+    zip.pipe(output);
+
+    const sections = Object.keys(data).filter(k => !["exported_at", "user_id"].includes(k));
+    zip.append(
+      JSON.stringify({ exported_at: data.exported_at, user_id: data.user_id, files: sections.map(k => `${k}.json`) }, null, 2),
+      { name: "manifest.json" }
+    );
+    for (const k of sections) {
+      zip.append(JSON.stringify(data[k], null, 2), { name: `${k}.json` });
+    }
+    zip.finalize();
+  });
+}
 
-await run(`
-  ALTER TABLE users
-    ADD COLUMN IF NOT EXISTS user_code TEXT
-`);
-await run(`
-  CREATE UNIQUE INDEX IF NOT EXISTS uq_users_user_code
-  ON users(user_code) WHERE user_code IS NOT NULL
-`);
+function exportFileName(userId, format) {
+  return `felox-export-${userId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
 
+async function createExportJob(userId, format) {
+  // Aynı formatta bekleyen/çalışan iş varsa onu dön
+  const open = await get(
+    `SELECT * FROM data_exports
+      WHERE user_id=$1 AND format=$2 AND status IN ('pending','running')
+      ORDER BY id DESC LIMIT 1`,
+    [userId, format]
+  );
+  if (open) return open;
+  const job = await get(
+    `INSERT INTO data_exports (user_id, format) VALUES ($1, $2) RETURNING *`,
+    [userId, format]
+  );
+  setImmediate(() => { runExportJob(job.id).catch(() => {}); });
+  return job;
+}
 
-  await run(`CREATE TABLE IF NOT EXISTS surveys (
-    id SERIAL PRIMARY KEY,
-    editor_id INTEGER REFERENCES users(id),
-    title TEXT,
-    start_date TEXT,
-    end_date TEXT,
-    category TEXT,
-    status TEXT DEFAULT 'pending'
-  )`);
+async function runExportJob(exportId) {
+  const job = await get(
+    `UPDATE data_exports
+        SET status='running', started_at=timezone('Europe/Istanbul', now())
+      WHERE id=$1 AND status='pending'
+    RETURNING *`,
+    [exportId]
+  );
+  if (!job) return; // başka tick almış
 
-  await run(`CREATE TABLE IF NOT EXISTS questions (
-    id SERIAL PRIMARY KEY,
-    survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
-    question TEXT,
-    correct_answer TEXT,
-    point INTEGER DEFAULT 1
-  )`);
+  try {
+    const data = await collectUserData(job.user_id);
+    if (!data) throw new Error("user not found");
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${job.id}-${crypto.randomBytes(8).toString("hex")}.${job.format}`);
+    if (job.format === "zip") {
+      await writeExportZip(data, fs.createWriteStream(filePath));
+    } else {
+      await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+    }
+    const { size } = await fs.promises.stat(filePath);
 
-  await run(`
-    ALTER TABLE questions
-    ADD COLUMN IF NOT EXISTS qtype integer DEFAULT 1
-  `);
+    await run(
+      `UPDATE data_exports
+          SET status='done', file_path=$2, size_bytes=$3,
+              finished_at=timezone('Europe/Istanbul', now()),
+              expires_at=timezone('Europe/Istanbul', now()) + make_interval(hours => $4)
+        WHERE id=$1`,
+      [job.id, filePath, size, EXPORT_TTL_HOURS]
+    );
+  } catch (e) {
+    console.error("runExportJob fail:", job.id, e.message);
+    await run(
+      `UPDATE data_exports
+          SET status='failed', error=$2, finished_at=timezone('Europe/Istanbul', now())
+        WHERE id=$1`,
+      [job.id, String(e.message || e).slice(0, 500)]
+    );
+  }
+}
 
-  await run(`CREATE TABLE IF NOT EXISTS answers (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
-    answer TEXT,
-    is_correct INTEGER,
-    created_at TIMESTAMP DEFAULT NOW(),
-    max_time_seconds integer,
-    time_left_seconds integer,
-    earned_seconds integer,
-    is_daily boolean DEFAULT false,
-    daily_key text
-  )`);
+function publicExportJob(job) {
+  return {
+    id: Number(job.id),
+    format: job.format,
+    status: job.status,
+    size_bytes: job.size_bytes != null ? Number(job.size_bytes) : null,
+    error: job.status === "failed" ? "export_failed" : null,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+    expires_at: job.expires_at,
+    download_url: job.status === "done"
+      ? `/api/user/${job.user_id}/exports/${job.id}/download`
+      : null
+  };
+}
 
-  await run(`
-    ALTER TABLE answers
-      ADD COLUMN IF NOT EXISTS max_time_seconds integer,
-      ADD COLUMN IF NOT EXISTS time_left_seconds integer,
-      ADD COLUMN IF NOT EXISTS earned_seconds integer,
-      ADD COLUMN IF NOT EXISTS is_daily boolean DEFAULT false,
-      ADD COLUMN IF NOT EXISTS daily_key text
-  `);
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS daily_contest_questions (
-      day_key     TEXT NOT NULL,
-      contest_date DATE,
-      pos         INTEGER,
-      seq         INTEGER,
-      question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
-      PRIMARY KEY (day_key, pos)
-    )
-  `);
-  await run(`CREATE INDEX IF NOT EXISTS idx_dcq_day ON daily_contest_questions (day_key)`);
+function randomReadableCode(len = 6) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // O, I, 0, 1 yok
+  let out = "";
+  for (let i = 0; i < len; i++) {
+    out += alphabet[crypto.randomInt(0, alphabet.length)];
+  }
+  return out;
+}
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS daily_sessions (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      day_key TEXT NOT NULL,
-      current_index INTEGER DEFAULT 0,
-      started_at TIMESTAMP DEFAULT NOW(),
-      updated_at TIMESTAMP DEFAULT NOW(),
-      finished BOOLEAN DEFAULT false,
-      UNIQUE(user_id, day_key)
-    )
-  `);
+async function ensureUserCodeForUser(userId) {
+  const row = await get(`SELECT user_code FROM users WHERE id=$1`, [userId]);
+  if (!row) return null;
+  if (row.user_code) return row.user_code;
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS daily_finisher_awards (
-      user_id   INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      day_key   TEXT NOT NULL,
-      amount    INTEGER NOT NULL DEFAULT 2,
-      created_at TIMESTAMP DEFAULT timezone('Europe/Istanbul', now()),
-      PRIMARY KEY (user_id, day_key)
-    )
-  `);
+  // Çakışmaları önlemek için 10 kez dene
+  for (let i = 0; i < 10; i++) {
+    const code = randomReadableCode(6);
+    const upd = await get(
+      `UPDATE users
+          SET user_code = $2
+        WHERE id = $1
+          AND user_code IS NULL
+          AND NOT EXISTS (SELECT 1 FROM users WHERE user_code = $2)
+      RETURNING user_code`,
+      [userId, code]
+    );
+    if (upd?.user_code) return upd.user_code;
+  }
+  // eşzamanlı üretim olduysa son halini dön
+  const last = await get(`SELECT user_code FROM users WHERE id=$1`, [userId]);
+  return last?.user_code || null;
+}
+
+/* ---------- MAIL ---------- */
+const mailer = createMailTransport();
+
+/** Gönderim hatası akışı bozmasın; sadece logla */
+async function sendMail(msg) {
+  try {
+    return await mailer.send(msg);
+  } catch (e) {
+    console.error(`mail (${mailer.name}) fail:`, e.message);
+    return null;
+  }
+}
+
+/* ---------- ŞİFRE SIFIRLAMA (tek kullanımlık kod) ---------- */
+const PASSWORD_RESET_TTL_MIN = Math.max(5, parseInt(process.env.PASSWORD_RESET_TTL_MIN || "15", 10));
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
+
+function hashResetCode(userId, code) {
+  return crypto.createHmac("sha256", AUTH_SECRET).update(`${userId}:${code}`).digest("hex");
+}
+
+/** Kullanıcı için yeni kod üretir (öncekiler geçersiz olur) ve düz kodu döner */
+async function createPasswordResetCode(userId) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  await run(
+    `UPDATE password_reset_codes
+        SET used_at = timezone('Europe/Istanbul', now())
+      WHERE user_id=$1 AND used_at IS NULL`,
+    [userId]
+  );
+  await run(
+    `INSERT INTO password_reset_codes (user_id, code_hash, expires_at)
+     VALUES ($1,$2, timezone('Europe/Istanbul', now()) + make_interval(mins => $3))`,
+    [userId, hashResetCode(userId, code), PASSWORD_RESET_TTL_MIN]
+  );
+  return code;
+}
+
+/** Kodu doğrular ve tüketir; başarılıysa true */
+async function consumePasswordResetCode(userId, code) {
+  const row = await get(
+    `SELECT id, code_hash, attempts
+       FROM password_reset_codes
+      WHERE user_id=$1 AND used_at IS NULL
+        AND expires_at > timezone('Europe/Istanbul', now())
+      ORDER BY id DESC
+      LIMIT 1`,
+    [userId]
+  );
+  if (!row || Number(row.attempts) >= PASSWORD_RESET_MAX_ATTEMPTS) return false;
+
+  const a = Buffer.from(row.code_hash), b = Buffer.from(hashResetCode(userId, String(code || "").trim()));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    await run(`UPDATE password_reset_codes SET attempts = attempts + 1 WHERE id=$1`, [row.id]);
+    return false;
+  }
+
+  const used = await get(
+    `UPDATE password_reset_codes
+        SET used_at = timezone('Europe/Istanbul', now())
+      WHERE id=$1 AND used_at IS NULL
+    RETURNING id`,
+    [row.id]
+  );
+  return !!used;
+}
+
+/* ---------- E-POSTA DOĞRULAMA ---------- */
+const EMAIL_VERIFY_TTL_HOURS = Math.max(1, parseInt(process.env.EMAIL_VERIFY_TTL_HOURS || "48", 10));
+const APP_BASE_URL = (process.env.APP_BASE_URL || "").replace(/\/+$/, "");
+
+// Doğrulanmamış hesapların neye erişebileceği (app_settings: unverified_policy ile ezilebilir)
+const UNVERIFIED_POLICY_DEFAULTS = {
+  practice: true,      // /api/answers, kademeli
+  daily: true,         // günlük yarışmayı oynama
+  daily_prizes: false, // günlük kitap ödülleri (ilk 3 + bitirme)
+  duels: false         // düello daveti/kabulü/hazır listesi
+};
+
+async function getUnverifiedPolicy() {
+  const v = await appGetRaw('unverified_policy');
+  return { ...UNVERIFIED_POLICY_DEFAULTS, ...(v && typeof v === 'object' ? v : {}) };
+}
+
+async function isEmailVerified(userId) {
+  const row = await get(`SELECT email_verified_at FROM users WHERE id=$1`, [userId]);
+  return !!row?.email_verified_at;
+}
+
+// Misafir hesaplar: pratik ve günlük yarışma açık; düello ve ödül yok
+const GUEST_FEATURES = {
+  practice: true,
+  daily: true,
+  daily_prizes: false,
+  duels: false
+};
+
+/** Özellik kapalıysa { code, error } döner, açıksa null */
+async function checkFeatureAccess(userId, feature) {
+  const row = await get(`SELECT is_guest, email_verified_at FROM users WHERE id=$1`, [userId]);
+  if (SANCTION_BLOCKED_FEATURES.includes(feature) && await getActiveSanction(userId)) {
+    return { code: "ACCOUNT_SUSPENDED", error: "Hesabın askıya alındığı için bu özellik kapalı." };
+  }
+  if (row?.is_guest) {
+    return GUEST_FEATURES[feature] !== false
+      ? null
+      : { code: "GUEST_NOT_ALLOWED", error: "Bu özellik için üye olmalısın." };
+  }
+  if (row?.email_verified_at) return null;
+  const policy = await getUnverifiedPolicy();
+  return policy[feature] !== false
+    ? null
+    : { code: "EMAIL_NOT_VERIFIED", error: "Bu işlem için e-posta adresini doğrulamalısın." };
+}
+
+/** Misafir/doğrulanmamış kullanıcı bu özelliği kullanabilir mi? */
+async function canUseFeature(userId, feature) {
+  return !(await checkFeatureAccess(userId, feature));
+}
+
+/** Route middleware: where = "body.user_id" | "query.user_id" | "params.userId" */
+function requireVerifiedFor(feature, where) {
+  const [src, key] = where.split(".");
+  return async (req, res, next) => {
+    const uid = Number(req.authUserId || req[src]?.[key]);
+    if (!uid) return next(); // id kontrolünü handler yapar
+    try {
+      const denied = await checkFeatureAccess(uid, feature);
+      if (!denied) return next();
+      return res.status(403).json(denied);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+/** Yeni doğrulama token'ı üretir ve e-postayı gönderir (öncekiler geçersiz olur) */
+async function sendEmailVerification(userId, email) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await run(
+    `UPDATE email_verifications
+        SET used_at = timezone('Europe/Istanbul', now())
+      WHERE user_id=$1 AND used_at IS NULL`,
+    [userId]
+  );
+  await run(
+    `INSERT INTO email_verifications (user_id, email, token_hash, expires_at)
+     VALUES ($1,$2,$3, timezone('Europe/Istanbul', now()) + make_interval(hours => $4))`,
+    [userId, email, sha256Hex(token), EMAIL_VERIFY_TTL_HOURS]
+  );
+  const link = APP_BASE_URL ? `${APP_BASE_URL}/verify-email?token=${token}` : null;
+  await sendMail({
+    to: email,
+    subject: "Felox e-posta doğrulama",
+    text: link
+      ? `E-posta adresini doğrulamak için bağlantıya tıkla:\n${link}\nBağlantı ${EMAIL_VERIFY_TTL_HOURS} saat geçerlidir.`
+      : `E-posta doğrulama kodun: ${token}\nKod ${EMAIL_VERIFY_TTL_HOURS} saat geçerlidir.`
+  });
+}
+
+/**
+ * Token'ı tüketip e-postayı doğrulanmış yapar; başarılıysa { user_id, email }.
+ * E-posta değişikliğinde token yeni adrese gider; adres ancak burada users'a yazılır.
+ */
+async function consumeEmailVerification(token) {
+  if (!token) return null;
+  const row = await get(
+    `UPDATE email_verifications
+        SET used_at = timezone('Europe/Istanbul', now())
+      WHERE token_hash=$1 AND used_at IS NULL
+        AND expires_at > timezone('Europe/Istanbul', now())
+    RETURNING user_id, email`,
+    [sha256Hex(token)]
+  );
+  if (!row) return null;
+  // Bu arada başka bir hesap aynı adresi almışsa doğrulama boşa düşer
+  const upd = await get(
+    `UPDATE users
+        SET email = $2, email_verified_at = timezone('Europe/Istanbul', now())
+      WHERE id=$1
+        AND NOT EXISTS (SELECT 1 FROM users o WHERE lower(o.email)=lower($2) AND o.id<>$1)
+    RETURNING id`,
+    [row.user_id, row.email]
+  );
+  return upd ? { user_id: Number(row.user_id), email: row.email } : null;
+}
+
+// E-posta var mı? uçlarını kapatmak/açmak için
+const FEATURE_EMAIL_CHECK = process.env.FEATURE_EMAIL_CHECK === "1";
+
+
+/* ---------- ENV (Günlük Yarışma) ---------- */
+const DAILY_CONTEST_SIZE = Math.max(1, parseInt(process.env.DAILY_CONTEST_SIZE || "128", 10));
+async function getDailyContestSizeFor(dayKey) {
+  // 1) Kalıcı default: admin panelden anında değişsin
+  const def = await appGetRaw('daily_contest_size'); // sayı beklenir (JSONB number ya da "42")
+  const defNum = Number(def);
+  const defaultSize = Number.isFinite(defNum) && defNum > 0
+    ? Math.min(200, Math.max(1, defNum))
+    : DAILY_CONTEST_SIZE; // ENV fallback
+
+  // 2) Günlük tek seferlik override (yalnızca ilgili gün için)
+  const ov = await appGetRaw('daily_contest_size_next');
+  const s  = Number(ov?.size);
+  if (ov && ov.day_key === dayKey && Number.isFinite(s) && s > 0) {
+    return Math.min(200, Math.max(1, s));
+  }
+
+  return defaultSize;
+}
+
+
+const DAILY_CONTEST_SECRET = process.env.DAILY_CONTEST_SECRET || "felox-secret";
+
+/* ---------- ENV (Düello) ---------- */
+// Idle kalan maçları kaç saniyede "abandoned" yapalım? (min 30, max 600)
+const DUELLO_IDLE_ABORT_SEC = Math.max(
+  30,
+  Math.min(600, parseInt(process.env.DUELLO_IDLE_ABORT_SEC || "90", 10))
+);
+
+/* ---------- ENV (Düello zamanlama) ---------- */
+const DUELLO_PER_Q_SEC  = Math.max(5, parseInt(process.env.DUELLO_PER_Q_SEC || "16", 10));
+const DUELLO_REVEAL_SEC = Math.max(1, parseInt(process.env.DUELLO_REVEAL_SEC || "3", 10));
+const SSE_RETRY_MS = Math.max(1000, parseInt(process.env.SSE_RETRY_MS || "3000", 10));
+// EventSource header gönderemez: akışa kısa ömürlü, kullanıcıya bağlı imzalı bilet ile girilir
+const SSE_TICKET_TTL_SEC = Math.max(15, parseInt(process.env.SSE_TICKET_TTL_SEC || "120", 10));
+
+/** Bilet geçerli, bu kullanıcıya ait ve bağlı olduğu oturum hâlâ açık mı? */
+async function verifySseTicket(ticket, userId) {
+  const payload = verifyToken(ticket);
+  if (!payload || payload.typ !== "sse" || Number(payload.uid) !== Number(userId) || !Number(payload.sid)) {
+    return false;
+  }
+  const live = await get(
+    `SELECT 1 FROM user_sessions
+      WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL
+        AND expires_at > timezone('Europe/Istanbul', now())`,
+    [payload.sid, payload.uid]
+  );
+  return !!live;
+}
+// Günlük ödülü aynı güne iki kez yazmamak için
+let lastAwardedFor = null;
+
+
+
+/* ---------- HEALTH ---------- */
+app.get("/", (_req, res) => res.send("OK"));
+app.get("/healthz", (_req, res) => res.send("healthy"));
+
+// Render bazı projelerde /health bekliyor
+app.get("/health", (_req, res) => res.status(200).send("ok"));
+
+// === DUELLO SSE stream ===
+// Önce bilet al: POST /api/duello/events/ticket (Authorization: Bearer ...)
+// Bilet süresi dolunca EventSource'un yeniden bağlanması 401 alır; istemci yeni bilet alıp bağlanır.
+app.post("/api/duello/events/ticket", requireAuth, (req, res) => {
+  const ticket = signToken(
+    { uid: req.authUserId, sid: req.authSessionId, typ: "sse" },
+    SSE_TICKET_TTL_SEC
+  );
+  res.json({
+    success: true,
+    ticket,
+    expires_at: new Date(Date.now() + SSE_TICKET_TTL_SEC * 1000).toISOString(),
+    url: `/api/duello/events/${req.authUserId}?ticket=${encodeURIComponent(ticket)}`
+  });
+});
+
+// Tarayıcı: new EventSource(`${API}/api/duello/events/${userId}?ticket=${ticket}`)
+app.get("/api/duello/events/:userId", async (req, res) => {
+  const uid = Number(req.params.userId);
+  if (!uid) return res.status(400).end();
+
+  // Başkasının akışına abone olmayı engelle: bilet bu kullanıcıya ait olmalı
+  try {
+    if (!(await verifySseTicket(req.query.ticket, uid))) {
+      return sendError(res, "SSE_TICKET_INVALID");
+    }
+  } catch {
+    return res.status(500).end();
+  }
+
+    // SSE başlıkları
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("Keep-Alive", "timeout=120, max=1000");
+  res.setHeader("X-Accel-Buffering", "no"); // proxy buffer kapatma
+
+  // Soket tarafında kopmaları azalt
+  try {
+    req.socket.setTimeout(0);
+    req.socket.setNoDelay(true);
+    req.socket.setKeepAlive(true);
+  } catch {}
+
+
+
+
+  // CORS (bazı proxy katmanlarında gerekli olabiliyor)
+  const reqOrigin = req.headers.origin || "";
+if (!ALLOWED_ORIGINS.length || !reqOrigin || ALLOWED_ORIGINS.includes(reqOrigin)) {
+  res.setHeader("Access-Control-Allow-Origin", reqOrigin || "*");
+  res.setHeader("Vary", "Origin");
+} else {
+  return res.status(403).end();
+}
+
+
+
+  // İlk flush (varsa)
+  try { res.flushHeaders?.(); } catch {}
+
+  // Kayda al
+  sseAdd(uid, res);
+
+  // Tarayıcıya otomatik yeniden bağlanma öner (ms)
+res.write(`retry: ${SSE_RETRY_MS}\n`);
+
+// Hoş geldin olayı + event id
+const firstId = Date.now();
+res.write(`id: ${firstId}\nevent: ready\ndata: {}\n\n`);
+
+
+  // Bağlantıyı canlı tutmak için ping (Render/Vercel timeoutlarını önler)
+  const ping = setInterval(() => {
+    try { res.write(`: ping ${Date.now()}\n\n`); } catch {}
+  }, 25000);
+
+  // Bağlantı kapanınca/abort/error temizle
+const cleanup = () => {
+  clearInterval(ping);
+  sseRemove(uid, res);
+  try { res.end(); } catch {}
+};
+req.on("close", cleanup);
+req.on("aborted", cleanup);
+res.on("error", cleanup);
+});
+
+
+/* ---------- HELPERS ---------- */
+
+
+// --- Streak -> Ağaç aşaması (stage) ---
+// Eşikler: 0,3,7,14,30,60,100,365  (8 seviye)
+const TREE_THRESHOLDS = [0, 3, 7, 14, 30, 60, 100, 365];
+
+// Bu anahtarları manifest.json’daki isimlerinle AYNI yap.
+// Örn. manifest["tree_seed"] gibi erişeceksin FE'de.
+const TREE_KEYS = [
+  "A1",       // 0+
+  "A2",     // 3+
+  "A3",    // 7+
+  "A4",      // 14+
+  "A5",     // 30+
+  "A6",        // 60+
+  "A7",    // 100+
+  "A8"   // 365+
+];
+
+/** Verilen streak için ağaç aşaması ve meta döner. */
+function streakTreeStage(streak) {
+  const s = Math.max(0, parseInt(streak || 0, 10));
+  let stage = 0;
+  for (let i = 0; i < TREE_THRESHOLDS.length; i++) {
+    if (s >= TREE_THRESHOLDS[i]) stage = i;
+  }
+  const key = TREE_KEYS[stage] || TREE_KEYS[0];
+  const min = TREE_THRESHOLDS[stage];
+  const next = TREE_THRESHOLDS[stage + 1] ?? null;
+  const to_next = next == null ? null : Math.max(0, next - s);
+  const prevMin = min;
+  const denom = next == null ? 1 : Math.max(1, next - prevMin);
+  const progress = next == null ? 1 : Math.min(1, (s - prevMin) / denom);
+  return { stage, key, min, next_threshold: next, to_next, progress };
+}
+
+
+
+function periodSql(period, alias = "a") {
+  const col = `${alias}.created_at`;
+  const tzNow = `timezone('Europe/Istanbul', now())`;
+  switch ((period || "all")) {
+    case "today":
+      return `AND ${col} >= date_trunc('day', ${tzNow})
+              AND ${col} <  date_trunc('day', ${tzNow}) + interval '1 day'`;
+    case "week":
+      return `AND ${col} >= date_trunc('week', ${tzNow})
+              AND ${col} <  date_trunc('week', ${tzNow}) + interval '1 week'`;
+    case "month":
+      return `AND ${col} >= date_trunc('month', ${tzNow})
+              AND ${col} <  date_trunc('month', ${tzNow}) + interval '1 month'`;
+    case "year":
+      return `AND ${col} >= date_trunc('year', ${tzNow})
+              AND ${col} <  date_trunc('year', ${tzNow}) + interval '1 year'`;
+    default:
+      return "";
+  }
+}
+
+async function getDayKey() {
+  const row = await get(`SELECT to_char(timezone('Europe/Istanbul', now()), 'YYYY-MM-DD') AS day`);
+  return row?.day || new Date().toISOString().slice(0, 10);
+}
+
+/** İki "YYYY-MM-DD" gün anahtarı arasındaki gün farkı (a - b) */
+function dayKeyDiff(a, b) {
+  const t = (k) => Date.UTC(+k.slice(0, 4), +k.slice(5, 7) - 1, +k.slice(8, 10));
+  return Math.round((t(String(a)) - t(String(b))) / 86400000);
+}
+
+/* === bonus hesabı + streak güncelleme === */
+function streakBonus(s) {
+  if (s >= 365) return 10;
+  if (s >= 100) return 6;
+  if (s >= 60)  return 5;
+  if (s >= 30)  return 4;
+  if (s >= 14)  return 3;
+  if (s >= 7)   return 2;
+  if (s >= 3)   return 1;
+  return 0;
+}
+
+/** Bugünü bitirince streak’i günceller (idempotent) */
+async function upsertDailyStreakOnFinish(userId, dayKey) {
+  const st = await get(
+    `SELECT COALESCE(current_streak,0) AS cur,
+            COALESCE(longest_streak,0) AS best,
+            last_day_key::text         AS last
+       FROM user_daily_streak
+      WHERE user_id=$1`,
+    [userId]
+  );
+
+  if (st?.last === dayKey) return;
+
+  let next = 1;
+  if (st?.last) {
+    next = dayKeyDiff(dayKey, st.last) === 1 ? (st.cur + 1) : 1;
+  }
+
+  const longest = Math.max(st?.best || 0, next);
+
+  await run(
+    `INSERT INTO user_daily_streak (user_id, current_streak, longest_streak, last_day_key)
+     VALUES ($1,$2,$3,$4)
+     ON CONFLICT (user_id) DO UPDATE
+       SET current_streak = EXCLUDED.current_streak,
+           longest_streak = GREATEST(user_daily_streak.longest_streak, EXCLUDED.longest_streak),
+           last_day_key   = EXCLUDED.last_day_key
+    `,
+    [userId, next, longest, dayKey]
+  );
+}
+
+/** Dünkü gün bile oynanmadıysa streak’i hemen sıfırla (idempotent) */
+async function decayDailyStreakIfMissed(userId, todayKey) {
+  // hiç kaydı yoksa dokunma
+  const st = await get(
+    `SELECT COALESCE(current_streak,0) AS cur, last_day_key::text AS last
+       FROM user_daily_streak
+      WHERE user_id=$1`,
+    [userId]
+  );
+  if (!st?.last) return;
+
+  // today - last_day_key >= 2  => en az bir TAM “boş gün” kaçırılmış
+  const missed = dayKeyDiff(todayKey, st.last) >= 2;
+
+  if (missed && (st.cur || 0) > 0) {
+    await run(
+      `UPDATE user_daily_streak
+          SET current_streak = 0
+        WHERE user_id = $1`,
+      [userId]
+    );
+  }
+}
+
+
+/* === YESTERDAY KEY === */
+async function getYesterdayKey() {
+  const row = await get(`SELECT to_char(timezone('Europe/Istanbul', now()) - interval '1 day', 'YYYY-MM-DD') AS day`);
+  return row?.day;
+}
+
+/* ---------- DB ŞEMASI ---------- */
+// Şema migrations/ altındaki sürümlü dosyalarda (bkz. migrate.js, "npm run migrate").
+// Prod'da bekleyen migration varsa uygulama açılmaz; geliştirmede açılışta otomatik uygulanır.
+async function ensureSchema() {
+  const pending = await pendingMigrations(pool);
+  if (!pending.length) return;
+  const list = pending.map(m => `${m.version}_${m.name}`).join(", ");
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(`Bekleyen migration var: ${list}. Önce "npm run migrate" çalıştırın.`);
+  }
+  console.log(`Bekleyen migration'lar uygulanıyor: ${list}`);
+  await migrate(pool);
+}
+
+ensureSchema()
+  .then(() => {
+    console.log(`${DB_LABEL} şeması güncel`);
+    awardSchedulerTick();
+    setInterval(awardSchedulerTick, 5 * 60 * 1000);
+       // Düello: idle/abandon süpürücü (her 30 sn’de bir)
+    const idleSweepMs = 30 * 1000;
+    duelloIdleAbortTick();               // bir defa hemen çalıştır
+    setInterval(duelloIdleAbortTick, idleSweepMs);
+    // Davet/maç süpürücü (her 60 sn)
+const sweepMs = 60 * 1000;
+setInterval(async () => {
+  try { await expireOldInvites(); } catch {}
+  try {
+    await run(`
+      UPDATE duello_matches
+         SET state='finished',
+             finished_at = timezone('Europe/Istanbul', now())
+       WHERE state='active'
+         AND current_index >= total_questions
+    `);
+  } catch {}
+}, sweepMs);
+
+    // Süresi dolan hesap silmeleri + yarım kalmış OIDC state'leri (saatte bir)
+    accountPurgeTick();
+    setInterval(accountPurgeTick, 60 * 60 * 1000);
+
+    // Veri dışa aktarım kuyruğu (her 60 sn): yarım kalanları tamamla, süresi dolanları sil
+    exportJobTick();
+    setInterval(exportJobTick, 60 * 1000);
+
+    startServer();
+  })
+  .catch(e => { console.error(e.message || e); process.exit(1); });
+
+/**
+ * Günlük yarışmanın ödül alacak ilk 3'ü (eşitlikte daha hızlı bitiren öne).
+ * Misafirler ve aktif yaptırımı olanlar hariç; doğrulanmamış hesaplar unverified politikasına göre.
+ */
+async function dailyPrizeWinners(dayKey) {
+  return all(
+    `
+    SELECT
+      u.id,
+      COALESCE(SUM(
+        CASE
+          WHEN a.answer = 'bilmem' THEN 0
+          WHEN a.is_correct = 1 THEN q.point + COALESCE(a.bonus_points,0)
+          WHEN a.is_correct = 0 THEN -q.point
+          ELSE 0
+        END
+      ),0)::int AS total_points,
+      COALESCE(SUM(GREATEST(a.max_time_seconds,0) - GREATEST(a.time_left_seconds,0)),0)::int AS time_spent
+    FROM users u
+    INNER JOIN answers a ON a.user_id = u.id
+    INNER JOIN questions q ON q.id = a.question_id
+    WHERE a.is_daily = true
+      AND a.daily_key = $1
+      AND (u.email_verified_at IS NOT NULL OR $2::boolean)
+      AND NOT u.is_guest
+      AND NOT EXISTS (
+        SELECT 1 FROM user_sanctions s
+         WHERE s.user_id = u.id AND s.lifted_at IS NULL
+           AND (s.expires_at IS NULL OR s.expires_at > timezone('Europe/Istanbul', now()))
+      )
+    GROUP BY u.id
+    HAVING COUNT(a.*) > 0
+    ORDER BY total_points DESC, time_spent ASC, u.id ASC
+    LIMIT 3
+    `,
+    [dayKey, (await getUnverifiedPolicy()).daily_prizes !== false]
+  );
+}
+
+// Günlük ödül/temizlik scheduler'ı (şimdilik güvenli no-op + hafif temizlik)
+// Not: dosyanın sonundaki boş awardSchedulerTick bu tanımı geçersiz kılar; otomatik ödül şimdilik
+// kapalı, ödüller POST /api/daily/award-books ile verilir.
+async function awardSchedulerTick() {
+  try {
+    // küçük temizlikler (opsiyonel)
+    try { await duelloRefreshFinished(); } catch (_) {}
+    try { await expireOldInvites(); } catch (_) {}
+
+    const yKey = await getYesterdayKey();
+    if (!yKey) return;
+
+    // Aynı günü ikinci kez ödüllendirme
+    if (lastAwardedFor === yKey) return;
+
+    // Bu gün için daha önce ödül yazıldıysa çık
+    const already = await get(`SELECT 1 FROM book_awards WHERE day_key=$1 LIMIT 1`, [yKey]);
+    if (already) { lastAwardedFor = yKey; return; }
+
+    // Dünkü günlük yarışma puanlarını topla (eşitlikte daha hızlı bitiren öne)
+    const winners = await dailyPrizeWinners(yKey);
+
+    const prizes = [5, 3, 1];
+    for (let i = 0; i < winners.length; i++) {
+      const u = winners[i];
+      const amount = prizes[i] || 0;
+      if (amount <= 0) continue;
+
+      // aynı kullanıcıya aynı gün bir daha yazmamak için ON CONFLICT
+      const ins = await get(
+        `INSERT INTO book_awards (user_id, day_key, rank, amount)
+         VALUES ($1,$2,$3,$4)
+         ON CONFLICT (user_id, day_key) DO NOTHING
+         RETURNING 1 AS ok`,
+        [u.id, yKey, i + 1, amount]
+      );
+
+      if (ins?.ok) {
+        await run(`UPDATE users SET books = COALESCE(books,0) + $1 WHERE id=$2`, [amount, u.id]);
+        console.log("Ödül verildi:", yKey, "user", u.id, "rank", i + 1, "amount", amount);
+      }
+    }
+
+    lastAwardedFor = yKey;
+  } catch (e) {
+    console.error("awardSchedulerTick hata:", e.message);
+  }
+}
+
+
+// --- DUELLO: idle-timeout yardımcı fonksiyon (şimdilik sadece tanımlı) ---
+async function duelloIdleAbortTick() {
+  try {
+    const sec = DUELLO_IDLE_ABORT_SEC;
+    const updated = await all(`
+      UPDATE duello_matches
+         SET state='abandoned',
+             ended_reason='idle_timeout',
+             finished_at = timezone('Europe/Istanbul', now()),
+             abandoned_at = timezone('Europe/Istanbul', now())
+       WHERE state='active'
+         AND (
+              COALESCE(last_seen_a, TIMESTAMP 'epoch') < timezone('Europe/Istanbul', now()) - interval '${sec} seconds'
+           OR COALESCE(last_seen_b, TIMESTAMP 'epoch') < timezone('Europe/Istanbul', now()) - interval '${sec} seconds'
+         )
+         AND current_index < total_questions
+       RETURNING id, user_a_id, user_b_id
+    `);
+
+    if (updated?.length) {
+      for (const m of updated) {
+        try {
+          sseEmit(Number(m.user_a_id), "match:abandoned", { match_id: Number(m.id) });
+          sseEmit(Number(m.user_b_id), "match:abandoned", { match_id: Number(m.id) });
+        } catch (_) {}
+      }
+    }
+  } catch (e) {
+    console.error("duelloIdleAbortTick hata:", e.message);
+  }
+}
+
+
+// Bekleme süresi dolan hesapları anonimleştir
+async function accountPurgeTick() {
+  try {
+    const due = await all(
+      `SELECT id FROM users
+        WHERE deleted_at IS NULL
+          AND deletion_scheduled_for IS NOT NULL
+          AND deletion_scheduled_for <= timezone('Europe/Istanbul', now())
+        ORDER BY deletion_scheduled_for ASC
+        LIMIT 100`
+    );
+    for (const u of due) {
+      try {
+        await anonymizeUser(u.id);
+        console.log("Hesap anonimleştirildi:", u.id);
+      } catch (e) {
+        console.error("anonymizeUser fail:", u.id, e.message);
+      }
+    }
+    await run(`DELETE FROM oidc_login_states WHERE expires_at <= timezone('Europe/Istanbul', now())`);
+  } catch (e) {
+    console.error("accountPurgeTick hata:", e.message);
+  }
+}
+
+async function exportJobTick() {
+  try {
+    // Süreç yeniden başladıysa 'running' kalmış işleri kuyruğa geri al
+    await run(
+      `UPDATE data_exports SET status='pending', started_at=NULL
+        WHERE status='running' AND started_at < timezone('Europe/Istanbul', now()) - interval '30 minutes'`
+    );
+    const pending = await all(`SELECT id FROM data_exports WHERE status='pending' ORDER BY id ASC LIMIT 5`);
+    for (const j of pending) await runExportJob(j.id);
+
+    const expired = await all(
+      `UPDATE data_exports SET status='expired'
+        WHERE status='done' AND expires_at <= timezone('Europe/Istanbul', now())
+      RETURNING file_path`
+    );
+    for (const e of expired) {
+      if (e.file_path) await fs.promises.unlink(e.file_path).catch(() => {});
+    }
+  } catch (e) {
+    console.error("exportJobTick hata:", e.message);
+  }
+}
+
+
+/* ---------- İSTEK ŞEMALARI ---------- */
+// Kural sözlüğü validate.js'te; burada ortak alan tanımları. Rota şemaları rotanın yanında durur.
+const CINSIYETLER = ["erkek", "kadın", "diğer"];
+const FIELDS = {
+  email:       { type: "email", required: true, maxLength: 254 },
+  password:    { type: "string", required: true, trim: false, maxLength: 200 },
+  newPassword: { type: "string", required: true, trim: false, minLength: 6, maxLength: 200 },
+  name:        { type: "string", maxLength: 60 },
+  optText:     { type: "string", nullable: true, maxLength: 60 },
+  yas:         { type: "integer", min: 5, max: 120 },
+  cinsiyet:    { type: "string", lowercase: "tr", enum: CINSIYETLER, nullable: true },
+  code:        { type: "string", required: true, maxLength: 32 },
+  reason:      { type: "string", required: true, maxLength: 500 },
+  optReason:   { type: "string", maxLength: 500 },
+  userId:      { type: "id", required: true },
+  questionId:  { type: "id", required: true },
+  page:        { type: "integer", min: 1, default: 1 },
+  locale:      { type: "string", lowercase: true, enum: LOCALES, nullable: true },
+};
+
+// Profil alanları (kayıt, misafir yükseltme, profil güncelleme)
+const PROFILE_SCHEMA = {
+  ad: FIELDS.name, soyad: FIELDS.name, sehir: FIELDS.optText, meslek: FIELDS.optText,
+  yas: FIELDS.yas, cinsiyet: FIELDS.cinsiyet,
+};
+const CREDENTIALS_SCHEMA = { body: { email: FIELDS.email, password: FIELDS.password } };
+
+
+/* ---------- AUTH ---------- */
+
+
+// Kapalıyken uçlar yokmuş gibi 404 döner (doğrulamadan önce)
+function requireEmailCheck(req, res, next) {
+  if (!FEATURE_EMAIL_CHECK) return sendError(res, "NOT_FOUND");
+  next();
+}
+
+app.post("/api/auth/check-email", requireEmailCheck, validate({ body: { email: FIELDS.email } }), async (req, res) => {
+  try {
+    const { email } = req.valid.body;
+    const row = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [email]);
+    res.json({ exists: !!row, normalized: email });
+  } catch {
+    res.status(500).json({ error: "Kontrol edilemedi" });
+  }
+});
+
+app.get("/api/check-email", requireEmailCheck, validate({ query: { email: FIELDS.email } }), async (req, res) => {
+  try {
+    const row = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [req.valid.query.email]);
+    res.json({ exists: !!row });
+  } catch {
+    res.status(500).json({ error: "Kontrol edilemedi" });
+  }
+});
+
+app.get("/api/users/exists", requireEmailCheck, validate({ query: { email: FIELDS.email } }), async (req, res) => {
+  try {
+    const row = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [req.valid.query.email]);
+    res.json({ exists: !!row });
+  } catch {
+    res.status(500).json({ error: "Kontrol edilemedi" });
+  }
+});
+
+// role istemciden alınmaz: yeni hesaplar "player", yükseltme admin ucundan.
+// Eski istemciler "user" gönderebildiği için yalnızca bu iki değer kabul edilir, diğerleri 400.
+app.post("/api/register", validate({
+  body: { ...PROFILE_SCHEMA, email: FIELDS.email, password: FIELDS.newPassword,
+          role: { type: "string", lowercase: true, enum: ["player", "user"] } }
+}), async (req, res) => {
+  try {
+    const { ad, soyad, yas, cinsiyet, meslek, sehir, email: emailNorm, password } = req.valid.body;
+const hashed = await hashPassword(password);
+await run(
+  `INSERT INTO users (ad, soyad, yas, cinsiyet, meslek, sehir, email, password, role)
+   VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+  [ad ?? null, soyad ?? null, yas ?? null, cinsiyet ?? null, meslek ?? null, sehir ?? null, emailNorm, hashed, "player"]
+);
+
+const user = await get(
+  `SELECT id, ad, soyad, email, role, cinsiyet, user_code,
+          (email_verified_at IS NOT NULL) AS email_verified
+     FROM users
+    WHERE lower(email)=lower($1)`,
+  [emailNorm]
+);
+
+
+    if (user && !user.user_code) {
+      user.user_code = await ensureUserCodeForUser(user.id);
+    }
+
+    // Doğrulama e-postası (gönderim hatası kaydı bozmaz)
+    await sendEmailVerification(user.id, user.email);
+
+    res.json({ success: true, user, ...(await createUserSession(user.id, req)) });
+  } catch (err) {
+    if (String(err.message).includes("duplicate key")) {
+      return sendError(res, "EMAIL_TAKEN");
+    }
+    res.status(500).json({ error: "Kayıt başarısız." });
+  }
+});
+// Misafir girişi: body: { device_token? }
+// device_token yoksa yeni misafir açılır ve token bir kez döner; varsa aynı misafire oturum açılır.
+app.post("/api/auth/guest", validate({ body: { device_token: { type: "string", maxLength: 200 } } }), async (req, res) => {
+  try {
+    const deviceToken = req.valid.body.device_token || null;
+    if (deviceToken) {
+      const guest = await findGuestByDeviceToken(deviceToken);
+      if (!guest) return sendError(res, "GUEST_NOT_FOUND");
+      return await completeLogin(req, res, guest.id, { context: "guest" });
+    }
+
+    const created = await createGuestAccount();
+    await completeLogin(req, res, created.userId, {
+      context: "guest",
+      extra: { created: true, device_token: created.deviceToken }
+    });
+  } catch (e) {
+    console.error("guest fail:", e.message);
+    res.status(500).json({ error: "Misafir hesabı açılamadı." });
+  }
+});
+
+// Misafiri tam hesaba çevir (cevaplar, seri ve kitaplar aynı id'de kalır)
+// body: { email, password, ad?, soyad?, yas?, cinsiyet?, meslek?, sehir? }
+app.post("/api/user/:userId/upgrade", requireAuth, requireSelf("params.userId"), validate({
+  body: { ...PROFILE_SCHEMA, email: FIELDS.email, password: FIELDS.newPassword }
+}), async (req, res) => {
+  try {
+    const u = await get(`SELECT id, is_guest FROM users WHERE id=$1`, [req.authUserId]);
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+    if (!u.is_guest) return sendError(res, "ACCOUNT_ALREADY_MEMBER");
+
+    const { email: emailNorm, password, ...f } = req.valid.body;
+
+    const taken = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [emailNorm]);
+    if (taken) return sendError(res, "EMAIL_TAKEN");
+
+    await run(
+      `UPDATE users
+          SET email=$2, password=$3, is_guest=FALSE, guest_device_hash=NULL,
+              upgraded_at=timezone('Europe/Istanbul', now()),
+              ad=COALESCE($4, ad), soyad=COALESCE($5, soyad), yas=COALESCE($6, yas),
+              meslek=COALESCE($7, meslek), sehir=COALESCE($8, sehir), cinsiyet=COALESCE($9, cinsiyet)
+        WHERE id=$1 AND is_guest`,
+      [u.id, emailNorm, await hashPassword(password),
+       f.ad ?? null, f.soyad ?? null, f.yas ?? null, f.meslek ?? null, f.sehir ?? null, f.cinsiyet ?? null]
+    );
+
+    await sendEmailVerification(u.id, emailNorm);
+
+    const user = await get(
+      `SELECT id, ad, soyad, email, role, cinsiyet, user_code, is_guest,
+              (email_verified_at IS NOT NULL) AS email_verified
+         FROM users WHERE id=$1`,
+      [u.id]
+    );
+    res.json({ success: true, user: { ...user, role: normalizeRole(user.role) } });
+  } catch (err) {
+    if (String(err.message).includes("duplicate key")) {
+      return sendError(res, "EMAIL_TAKEN");
+    }
+    res.status(500).json({ error: "Hesap yükseltilemedi." });
+  }
+});
+
+
+
+app.get("/api/user/:userId/exists", requireSelf("params.userId"), async (req, res) => {
+  const user = await get(`SELECT id FROM users WHERE id=$1`, [req.params.userId]);
+  res.json({ exists: !!user });
+});
+
+app.post("/api/login", validate(CREDENTIALS_SCHEMA), async (req, res) => {
+  try {
+    const { email: emailNorm, password } = req.valid.body;
+
+    const row = await get(
+  `SELECT id, password FROM users WHERE lower(email)=lower($1)`,
+  [emailNorm]
+);
+
+
+if (!row) {
+  await logLoginEvent(req, { email: emailNorm, success: false, reason: "unknown_email" });
+  return sendError(res, "INVALID_CREDENTIALS");
+}
+
+// Hesap bazlı kaba kuvvet koruması (IP'den bağımsız)
+const guard = await checkLoginGuard(row.id);
+if (guard.blocked) {
+  await logLoginEvent(req, { user_id: row.id, email: emailNorm, success: false, reason: guard.reason });
+  res.set("Retry-After", String(guard.retry_after));
+  return sendError(res, "LOGIN_THROTTLED", { extra: { retry_after_seconds: guard.retry_after } });
+}
+
+const ok = await verifyPassword(password, row.password);
+if (!ok) {
+  await recordLoginFailure(row.id);
+  await logLoginEvent(req, { user_id: row.id, email: emailNorm, success: false, reason: "bad_password" });
+  return sendError(res, "INVALID_CREDENTIALS");
+}
+
+// Eski düz-metinden bcrypt'e sessiz geçiş
+await maybeUpgradePassword(row.id, password, row.password);
+
+    await completeLogin(req, res, row.id, { email: emailNorm });
+  } catch {
+    res.status(500).json({ error: "Sunucu hatası." });
+  }
+});
+// İkinci adım: body: { mfa_token, code }  (code: 6 haneli TOTP ya da yedek kod)
+app.post("/api/login/2fa", validate({
+  body: { mfa_token: { type: "string", required: true, maxLength: 2000 }, code: FIELDS.code }
+}), async (req, res) => {
+  try {
+    const { mfa_token, code } = req.valid.body;
+    const payload = verifyToken(mfa_token);
+    if (!payload || payload.typ !== "mfa" || !Number(payload.uid)) {
+      return sendError(res, "MFA_TOKEN_INVALID");
+    }
+    const userId = Number(payload.uid);
+    const context = payload.ctx || "login";
+
+    const guard = await checkLoginGuard(userId);
+    if (guard.blocked) {
+      await logLoginEvent(req, { user_id: userId, success: false, reason: guard.reason, context });
+      res.set("Retry-After", String(guard.retry_after));
+      return sendError(res, "LOGIN_THROTTLED", { extra: { retry_after_seconds: guard.retry_after } });
+    }
+
+    const check = await verifySecondFactor(userId, code);
+    if (!check.ok) {
+      await recordLoginFailure(userId);
+      await logLoginEvent(req, { user_id: userId, success: false, reason: "bad_mfa_code", context });
+      return sendError(res, "MFA_CODE_INVALID");
+    }
+
+    await completeLogin(req, res, userId, {
+      context,
+      mfaPassed: true,
+      extra: check.method === "backup_code" ? { used_backup_code: true } : {}
+    });
+  } catch {
+    res.status(500).json({ error: "Sunucu hatası." });
+  }
+});
+
+
+// Hesap silme (bekleme süreli): body: { email, password }
+app.post("/api/account/delete", validate(CREDENTIALS_SCHEMA), async (req, res) => {
+  try {
+    const { email: emailNorm, password } = req.valid.body;
+
+
+    const u = await get(
+  `SELECT id, email, password FROM users WHERE lower(email)=lower($1)`,
+  [emailNorm]
+);
+
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+
+    const guard = await checkLoginGuard(u.id);
+    if (guard.blocked) {
+      await logLoginEvent(req, { user_id: u.id, email: emailNorm, success: false, reason: guard.reason, context: "account_delete" });
+      res.set("Retry-After", String(guard.retry_after));
+      return sendError(res, "LOGIN_THROTTLED", { extra: { retry_after_seconds: guard.retry_after } });
+    }
+
+    const ok = await verifyPassword(password, u.password);
+    if (!ok) {
+      await recordLoginFailure(u.id);
+      await logLoginEvent(req, { user_id: u.id, email: emailNorm, success: false, reason: "bad_password", context: "account_delete" });
+      return sendError(res, "REAUTH_FAILED");
+    }
+
+    // Hemen silmek yerine planla (oturumlar kapanır); süre dolunca purge job anonimleştirir
+    const scheduledFor = await scheduleAccountDeletion(u.id);
+
+    return res.json({
+      success: true,
+      deletion_scheduled_for: scheduledFor,
+      message: "Hesabın silinmek üzere işaretlendi. Bu tarihe kadar geri alabilirsin."
+    });
+  } catch (e) {
+    console.error("account/delete fail:", e.message);
+    return res.status(500).json({ error: "Hesap silinemedi." });
+  }
+});
+
+// Silme isteğini geri al: body: { email, password }
+app.post("/api/account/restore", validate(CREDENTIALS_SCHEMA), async (req, res) => {
+  try {
+    const { email: emailNorm, password } = req.valid.body;
+
+    const u = await get(
+      `SELECT id, email, password, deletion_scheduled_for FROM users WHERE lower(email)=lower($1)`,
+      [emailNorm]
+    );
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+
+    const guard = await checkLoginGuard(u.id);
+    if (guard.blocked) {
+      res.set("Retry-After", String(guard.retry_after));
+      return sendError(res, "LOGIN_THROTTLED", { extra: { retry_after_seconds: guard.retry_after } });
+    }
+    if (!(await verifyPassword(password, u.password))) {
+      await recordLoginFailure(u.id);
+      await logLoginEvent(req, { user_id: u.id, email: emailNorm, success: false, reason: "bad_password", context: "account_restore" });
+      return sendError(res, "REAUTH_FAILED");
+    }
+    await recordLoginSuccess(u.id);
+
+    if (!u.deletion_scheduled_for) return sendError(res, "ACCOUNT_NOT_PENDING_DELETION");
+    await cancelAccountDeletion(u.id);
+    res.json({ success: true, restored: true });
+  } catch (e) {
+    console.error("account/restore fail:", e.message);
+    res.status(500).json({ error: "Hesap geri alınamadı." });
+  }
+});
+
+// Şifre sıfırlama kodu iste: body: { email }
+// Kayıt olup olmadığını sızdırmamak için her durumda aynı cevap döner.
+app.post("/api/auth/password-reset/request", validate({ body: { email: FIELDS.email } }), async (req, res) => {
+  try {
+    const emailNorm = req.valid.body.email;
+
+    const u = await get(`SELECT id, email FROM users WHERE lower(email)=lower($1)`, [emailNorm]);
+    if (u) {
+      const code = await createPasswordResetCode(u.id);
+      await sendMail({
+        to: u.email,
+        subject: "Felox şifre sıfırlama kodu",
+        text: `Şifre sıfırlama kodun: ${code}\nKod ${PASSWORD_RESET_TTL_MIN} dakika geçerlidir. Bu isteği sen yapmadıysan bu e-postayı yok sayabilirsin.`
+      });
+    }
+
+    res.json({ success: true, message: "Kayıtlı bir hesap varsa sıfırlama kodu gönderildi." });
+  } catch (e) {
+    console.error("password-reset/request fail:", e.message);
+    res.status(500).json({ error: "Sıfırlama kodu gönderilemedi." });
+  }
+});
+
+// Kodla yeni şifre belirle: body: { email, code, new_password }
+app.post("/api/auth/password-reset/confirm", validate({
+  body: { email: FIELDS.email, code: FIELDS.code, new_password: FIELDS.newPassword }
+}), async (req, res) => {
+  try {
+    const { email: emailNorm, code, new_password } = req.valid.body;
+
+    const u = await get(`SELECT id FROM users WHERE lower(email)=lower($1)`, [emailNorm]);
+    const ok = u ? await consumePasswordResetCode(u.id, code) : false;
+    if (!ok) return sendError(res, "CODE_INVALID");
+
+    const hashed = await hashPassword(new_password);
+    await run(`UPDATE users SET password=$2 WHERE id=$1`, [u.id, hashed]);
+    await recordLoginSuccess(u.id); // hatalı deneme sayacı/kilit sıfırlanır
+    // Şifre değişti: tüm cihazlardan çıkış
+    await revokeAllUserSessions(u.id, "password_reset");
+
+    res.json({ success: true });
+  } catch (e) {
+    console.error("password-reset/confirm fail:", e.message);
+    res.status(500).json({ error: "Şifre sıfırlanamadı." });
+  }
+});
+
+// E-posta doğrulama: body { token } veya bağlantı ?token=...
+async function handleVerifyEmail(req, res) {
+  try {
+    const token = String(req.body?.token || req.query.token || "").trim();
+    if (!token) return sendError(res, "VALIDATION_FAILED", { message: "token zorunlu." });
+    const out = await consumeEmailVerification(token);
+    if (!out) return sendError(res, "VERIFY_LINK_INVALID");
+    res.json({ success: true, user_id: out.user_id, email: out.email, email_verified: true });
+  } catch (e) {
+    console.error("verify-email fail:", e.message);
+    res.status(500).json({ error: "E-posta doğrulanamadı." });
+  }
+}
+app.post("/api/auth/verify-email", handleVerifyEmail);
+app.get("/api/auth/verify-email", handleVerifyEmail);
+
+// Doğrulama e-postasını yeniden gönder: body { email } (kayıt sızdırmaz)
+app.post("/api/auth/verify-email/resend", validate({ body: { email: FIELDS.email } }), async (req, res) => {
+  try {
+    const emailNorm = req.valid.body.email;
+    const u = await get(
+      `SELECT id, email FROM users WHERE lower(email)=lower($1) AND email_verified_at IS NULL`,
+      [emailNorm]
+    );
+    if (u) await sendEmailVerification(u.id, u.email);
+    res.json({ success: true, message: "Doğrulanmamış bir hesap varsa e-posta gönderildi." });
+  } catch (e) {
+    console.error("verify-email/resend fail:", e.message);
+    res.status(500).json({ error: "Doğrulama e-postası gönderilemedi." });
+  }
+});
+
+
+/* ---------- OTURUM YÖNETİMİ (cihazlar) ---------- */
+
+// body: { refresh_token } -> yeni access + refresh (eskisi geçersiz)
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const out = await rotateUserSession(req.body?.refresh_token, req);
+    if (!out) return sendError(res, "SESSION_INVALID");
+    res.json({ success: true, ...out });
+  } catch (e) {
+    console.error("auth/refresh fail:", e.message);
+    res.status(500).json({ error: "Oturum yenilenemedi." });
+  }
+});
+
+// Mevcut oturumu kapat
+app.post("/api/auth/logout", requireAuth, async (req, res) => {
+  try {
+    await revokeUserSession(req.authUserId, req.authSessionId, "logout");
+    res.json({ success: true });
+  } catch {
+    res.status(500).json({ error: "Çıkış yapılamadı." });
+  }
+});
+/* ---------- OIDC ---------- */
+function getOidcProvider(req, res) {
+  const provider = oidcProviders.get(String(req.params.provider || "").toLowerCase());
+  if (!provider) {
+    sendError(res, "OIDC_PROVIDER_UNKNOWN");
+    return null;
+  }
+  return provider;
+}
 
-  await run(`CREATE TABLE IF NOT EXISTS quotes (
-    id SERIAL PRIMARY KEY,
-    text TEXT NOT NULL,
-    author TEXT
-  )`);
+app.get("/api/auth/oidc/providers", (req, res) => {
+  res.json({
+    success: true,
+    providers: [...oidcProviders.values()].map(p => ({ name: p.name, label: p.label }))
+  });
+});
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS impdays (
-      day_key TEXT PRIMARY KEY,
-      daytitle TEXT NOT NULL,
-      description TEXT
-    )
-  `);
+// Girişi başlat: istemci authorization_url'e yönlenir, dönüşte code+state ile /callback çağırır
+app.get("/api/auth/oidc/:provider/start", async (req, res) => {
+  const provider = getOidcProvider(req, res);
+  if (!provider) return;
+  try {
+    const out = await startOidcFlow(provider, { loginHint: req.query.login_hint || null });
+    if (req.query.redirect === "1") return res.redirect(302, out.authorization_url);
+    res.json({ success: true, ...out });
+  } catch (e) {
+    console.error("oidc start fail:", provider.name, e.message);
+    sendError(res, "OIDC_PROVIDER_UNAVAILABLE");
+  }
+});
 
-  await run(`
-    ALTER TABLE users
-    ADD COLUMN IF NOT EXISTS books integer DEFAULT 0
-  `);
+// body: { code, state }
+app.post("/api/auth/oidc/:provider/callback", validate({
+  body: {
+    code:  { type: "string", required: true, maxLength: 2048 },
+    state: { type: "string", required: true, maxLength: 256 },
+  }
+}), async (req, res) => {
+  const provider = getOidcProvider(req, res);
+  if (!provider) return;
+  try {
+    const { code, state } = req.valid.body;
 
-  await run(`
-    ALTER TABLE users
-    ADD COLUMN IF NOT EXISTS ladder_best_level integer DEFAULT 0
-  `);
+    const st = await consumeOidcState(provider, state);
+    if (!st) return sendError(res, "OIDC_STATE_INVALID");
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS book_awards (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      day_key TEXT NOT NULL,
-      rank INTEGER NOT NULL,
-      amount INTEGER NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW(),
-      UNIQUE(user_id, day_key)
-    )
-  `);
+    let claims;
+    try {
+      const tokens = await exchangeCode(provider, { code, codeVerifier: st.code_verifier });
+      claims = await verifyIdToken(provider, tokens.id_token, { nonce: st.nonce });
+    } catch (e) {
+      await logLoginEvent(req, { user_id: st.link_user_id, success: false, reason: "oidc_rejected", context: `oidc:${provider.name}` });
+      console.warn("oidc callback rejected:", provider.name, e.message);
+      return sendError(res, "OIDC_TOKEN_INVALID");
+    }
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS book_spends (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      question_id INTEGER REFERENCES questions(id) ON DELETE SET NULL,
-      day_key TEXT,
-      amount INTEGER DEFAULT 1,
-      created_at TIMESTAMP DEFAULT NOW()
-    )
-  `);
+    const out = await resolveOidcUser(provider, claims, st.link_user_id);
+    if (out.error) {
+      await logLoginEvent(req, { user_id: st.link_user_id, email: normalizeEmail(claims.email) || null, success: false, reason: out.code, context: `oidc:${provider.name}` });
+      return sendError(res, out.code);
+    }
 
-  await run(`
-    ALTER TABLE answers
-      ADD COLUMN IF NOT EXISTS bonus_points integer DEFAULT 0,
-      ADD COLUMN IF NOT EXISTS streak_len_at_answer integer
-  `);
+    // Bağlama akışı: oturum zaten açık, yeni token gerekmez
+    if (st.link_user_id) {
+      return res.json({ success: true, linked: true, provider: provider.name });
+    }
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS user_daily_streak (
-      user_id        INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
-      current_streak INTEGER NOT NULL DEFAULT 0,
-      longest_streak INTEGER NOT NULL DEFAULT 0,
-      last_day_key   DATE
-    )
-  `);
+    await completeLogin(req, res, out.userId, {
+      context: `oidc:${provider.name}`,
+      extra: { ...(out.created ? { created: true } : {}), ...(out.linked ? { linked: true } : {}) }
+    });
+  } catch (e) {
+    console.error("oidc callback fail:", provider.name, e.message);
+    res.status(500).json({ error: "Sunucu hatası." });
+  }
+});
 
-  await run(`
-    CREATE TABLE IF NOT EXISTS ladder_sessions (
-      user_id        INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
-      run_started_at TIMESTAMP DEFAULT timezone('Europe/Istanbul', now()),
-      current_level  INTEGER NOT NULL DEFAULT 1,
-      attempts       INTEGER NOT NULL DEFAULT 0,  -- bilmem hariç deneme
-      correct        INTEGER NOT NULL DEFAULT 0,  -- doğru sayısı
-      updated_at     TIMESTAMP DEFAULT timezone('Europe/Istanbul', now())
-    )
-  `);
+// Oturumdaki hesaba yeni kimlik bağla (callback aynı uç)
+app.post("/api/user/:userId/identities/:provider/link", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  const provider = getOidcProvider(req, res);
+  if (!provider) return;
+  try {
+    res.json({ success: true, ...(await startOidcFlow(provider, { linkUserId: req.authUserId })) });
+  } catch (e) {
+    console.error("oidc link start fail:", provider.name, e.message);
+    sendError(res, "OIDC_PROVIDER_UNAVAILABLE");
+  }
+});
 
-  await run(`CREATE INDEX IF NOT EXISTS idx_answers_daily ON answers (is_daily, daily_key, user_id)`);
-  await run(`CREATE INDEX IF NOT EXISTS idx_answers_user_q ON answers (user_id, question_id)`);
-  await run(`CREATE INDEX IF NOT EXISTS idx_book_awards_rank_day ON book_awards (rank, day_key)`);
-  await run(`CREATE INDEX IF NOT EXISTS idx_book_awards_user ON book_awards (user_id)`);
-  await run(`CREATE INDEX IF NOT EXISTS idx_ladder_sessions_user_level ON ladder_sessions (user_id, current_level)`);
-
-// === DUELLO SCHEMA ===
-
-// 1) MATCHES (önce ana tablo)
-await run(`
-  CREATE TABLE IF NOT EXISTS duello_matches (
-    id               BIGSERIAL PRIMARY KEY,
-    mode             TEXT    NOT NULL CHECK (mode IN ('info','speed')),
-    user_a_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    user_b_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    created_at       TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
-    finished_at      TIMESTAMPTZ,
-    state            TEXT    NOT NULL DEFAULT 'active' CHECK (state IN ('active','finished','abandoned')),
-    total_questions  INTEGER NOT NULL DEFAULT 12,
-    current_index    INTEGER NOT NULL DEFAULT 0,
-    last_seen_a      TIMESTAMPTZ,
-    last_seen_b      TIMESTAMPTZ,
-    last_activity_at TIMESTAMPTZ,
-    abandoned_at     TIMESTAMPTZ,
-    ended_reason     TEXT,
-    CHECK (user_a_id <> user_b_id)
-  )
-`);
-
-// 2) INVITES
-await run(`
-  CREATE TABLE IF NOT EXISTS duello_invites (
-    id            BIGSERIAL PRIMARY KEY,
-    from_user_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    to_user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    mode          TEXT    NOT NULL CHECK (mode IN ('info','speed')),
-    status        TEXT    NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','accepted','rejected','cancelled','expired')),
-    created_at    TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
-    expire_at     TIMESTAMPTZ NOT NULL DEFAULT (timezone('Europe/Istanbul', now()) + interval '5 minutes'),
-    accepted_at   TIMESTAMPTZ,
-    rejected_at   TIMESTAMPTZ,
-    cancelled_at  TIMESTAMPTZ,
-    match_id      INTEGER  -- isteğe bağlı; FK yok
-  )
-`);
-
-// 3) MATCH_QUESTIONS (matches -> questions FK)
-await run(`
-  CREATE TABLE IF NOT EXISTS duello_match_questions (
-    match_id    INTEGER NOT NULL REFERENCES duello_matches(id) ON DELETE CASCADE,
-    pos         INTEGER NOT NULL,
-    question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
-    PRIMARY KEY (match_id, pos)
-  )
-`);
-
-// 4) ANSWERS (matches & questions FK)
-await run(`
-  CREATE TABLE IF NOT EXISTS duello_answers (
-    id                BIGSERIAL PRIMARY KEY,
-    match_id          INTEGER NOT NULL REFERENCES duello_matches(id) ON DELETE CASCADE,
-    question_id       INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
-    user_id           INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    answer            TEXT    NOT NULL,
-    is_correct        INTEGER NOT NULL DEFAULT 0,
-    created_at        TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
-    max_time_seconds  INTEGER,
-    time_left_seconds INTEGER,
-    earned_seconds    INTEGER
-  )
-`);
-
-// 5) PROFILES
-await run(`
-  CREATE TABLE IF NOT EXISTS duello_profiles (
-    user_id         INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
-    ready           BOOLEAN NOT NULL DEFAULT FALSE,
-    visibility_mode TEXT    NOT NULL DEFAULT 'public' CHECK (visibility_mode IN ('public','friends','none')),
-    last_ready_at   TIMESTAMPTZ,
-    created_at      TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
-    updated_at      TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
-  )
-`);
-
-// --- DUELLO: Eski tablolar için güvenli migrasyonlar (kolon eklemeleri) ---
-await run(`
-  ALTER TABLE duello_matches
-    ADD COLUMN IF NOT EXISTS finished_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS state TEXT,
-    ADD COLUMN IF NOT EXISTS total_questions INTEGER,
-    ADD COLUMN IF NOT EXISTS current_index INTEGER,
-    ADD COLUMN IF NOT EXISTS last_seen_a TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS last_seen_b TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS abandoned_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS ended_reason TEXT
-`);
-
-
-await run(`UPDATE duello_matches SET state = COALESCE(state,'active')`);
-await run(`ALTER TABLE duello_matches ALTER COLUMN state SET DEFAULT 'active'`);
-await run(`ALTER TABLE duello_matches ALTER COLUMN state SET NOT NULL`);
-
-await run(`UPDATE duello_matches SET total_questions = COALESCE(total_questions,12)`);
-await run(`ALTER TABLE duello_matches ALTER COLUMN total_questions SET DEFAULT 12`);
-await run(`ALTER TABLE duello_matches ALTER COLUMN total_questions SET NOT NULL`);
-
-await run(`UPDATE duello_matches SET current_index = COALESCE(current_index,0)`);
-await run(`ALTER TABLE duello_matches ALTER COLUMN current_index SET DEFAULT 0`);
-await run(`ALTER TABLE duello_matches ALTER COLUMN current_index SET NOT NULL`);
-
-await run(`
-  ALTER TABLE duello_invites
-    ADD COLUMN IF NOT EXISTS mode TEXT,
-    ADD COLUMN IF NOT EXISTS status TEXT,
-    ADD COLUMN IF NOT EXISTS expire_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
-    ADD COLUMN IF NOT EXISTS match_id INTEGER
-`);
-await run(`UPDATE duello_invites SET mode = COALESCE(mode,'info')`);
-await run(`UPDATE duello_invites SET status = COALESCE(status,'pending')`);
-await run(`UPDATE duello_invites SET expire_at = COALESCE(expire_at, timezone('Europe/Istanbul', now()) + interval '5 minutes')`);
-
-await run(`
-  ALTER TABLE duello_answers
-    ADD COLUMN IF NOT EXISTS max_time_seconds INTEGER,
-    ADD COLUMN IF NOT EXISTS time_left_seconds INTEGER,
-    ADD COLUMN IF NOT EXISTS earned_seconds INTEGER
-`);
-
-// --- DUELLO: CHECK constraint düzeltmeleri + veri normalizasyonu ---
-try {
-  // state değerlerini güvene al
-  await run(`UPDATE duello_matches
-               SET state = COALESCE(state,'active')
-             WHERE state IS NULL
-                OR state NOT IN ('active','finished','abandoned')`);
-
-  // mevcut "state" CHECK kısıtını kaldır ve yenisini ekle
-  await run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_state_chk`);
-  await run(`ALTER TABLE duello_matches
-               ADD CONSTRAINT duello_matches_state_chk
-               CHECK (state IN ('active','finished','abandoned'))`);
-  await run(`ALTER TABLE duello_matches ALTER COLUMN state SET DEFAULT 'active'`);
-
-  // mode için de benzer güvenlik (eski şemalardan gelebilir)
-  await run(`UPDATE duello_matches
-               SET mode = CASE WHEN mode IN ('info','speed') THEN mode ELSE 'info' END`);
-  await run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_mode_check`);
-  await run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_mode_chk`);
-  await run(`ALTER TABLE duello_matches
-               ADD CONSTRAINT duello_matches_mode_chk
-               CHECK (mode IN ('info','speed'))`);
-} catch (e) {
-  console.error("duello_matches constraint fix:", e.message);
-}
-
-
-// --- Indexler ---
-await run(`
-  CREATE UNIQUE INDEX IF NOT EXISTS uq_duello_invites_pending_pair
-    ON duello_invites (from_user_id, to_user_id)
-    WHERE status = 'pending'
-`);
-await run(`
-  CREATE INDEX IF NOT EXISTS idx_duello_invites_to_pending
-    ON duello_invites (to_user_id, status, expire_at DESC)
-`);
-await run(`
-  CREATE INDEX IF NOT EXISTS idx_duello_invites_from_pending
-    ON duello_invites (from_user_id, status, expire_at DESC)
-`);
-await run(`
-  CREATE UNIQUE INDEX IF NOT EXISTS uq_duello_answers_once
-    ON duello_answers (match_id, question_id, user_id)
-`);
-await run(`
-  CREATE INDEX IF NOT EXISTS idx_duello_answers_q
-    ON duello_answers (match_id, question_id)
-`);
-await run(`
-  CREATE INDEX IF NOT EXISTS idx_duello_answers_u
-    ON duello_answers (match_id, user_id)
-`);
-await run(`CREATE INDEX IF NOT EXISTS idx_duello_active_a   ON duello_matches (user_a_id) WHERE state='active'`);
-await run(`CREATE INDEX IF NOT EXISTS idx_duello_active_b   ON duello_matches (user_b_id) WHERE state='active'`);
-await run(`CREATE INDEX IF NOT EXISTS idx_duello_active_last ON duello_matches (state, last_activity_at)`);
-
-}
-
-
-
-init()
-  .then(() => {
-    console.log("PostgreSQL tablolar hazır");
-    awardSchedulerTick();
-    setInterval(awardSchedulerTick, 5 * 60 * 1000);
-       // Düello: idle/abandon süpürücü (her 30 sn’de bir)
-    const idleSweepMs = 30 * 1000;
-    duelloIdleAbortTick();               // bir defa hemen çalıştır
-    setInterval(duelloIdleAbortTick, idleSweepMs);
-    // Davet/maç süpürücü (her 60 sn)
-const sweepMs = 60 * 1000;
-setInterval(async () => {
-  try { await expireOldInvites(); } catch {}
+app.get("/api/user/:userId/identities", requireAuth, requireSelf("params.userId"), async (req, res) => {
   try {
-    await run(`
-      UPDATE duello_matches
-         SET state='finished',
-             finished_at = timezone('Europe/Istanbul', now())
-       WHERE state='active'
-         AND current_index >= total_questions
-    `);
-  } catch {}
-}, sweepMs);
+    const rows = await all(
+      `SELECT id, provider, email, email_verified, created_at, last_login_at
+         FROM user_identities WHERE user_id=$1 ORDER BY id ASC`,
+      [req.authUserId]
+    );
+    res.json({ success: true, identities: rows });
+  } catch {
+    res.status(500).json({ error: "Bağlı hesaplar alınamadı." });
+  }
+});
 
+app.post("/api/user/:userId/identities/:identityId/unlink", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const u = await get(
+      `SELECT password, (SELECT COUNT(*) FROM user_identities WHERE user_id=$1)::int AS identity_count
+         FROM users WHERE id=$1`,
+      [req.authUserId]
+    );
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+    // Son giriş yolunu kaldırmak hesabı erişilemez bırakır
+    if (!u.password && u.identity_count <= 1) {
+      return sendError(res, "LAST_LOGIN_METHOD", { message: "Son giriş yöntemi kaldırılamaz. Önce şifre sıfırlama ile bir şifre belirle." });
+    }
+    const del = await get(
+      `DELETE FROM user_identities WHERE id=$1 AND user_id=$2 RETURNING provider`,
+      [req.params.identityId, req.authUserId]
+    );
+    if (!del) return sendError(res, "IDENTITY_NOT_FOUND");
+    res.json({ success: true, provider: del.provider });
+  } catch {
+    res.status(500).json({ error: "Bağlantı kaldırılamadı." });
+  }
+});
+/* ---------- 2FA (TOTP) yönetimi ---------- */
+app.get("/api/user/:userId/2fa", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const u = await get(
+      `SELECT role, totp_enabled_at,
+              (SELECT COUNT(*) FROM totp_backup_codes WHERE user_id=$1 AND used_at IS NULL)::int AS backup_codes_remaining
+         FROM users WHERE id=$1`,
+      [req.authUserId]
+    );
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+    res.json({
+      success: true,
+      enabled: !!u.totp_enabled_at,
+      enabled_at: u.totp_enabled_at,
+      required: (await getTotpRequiredRoles()).includes(normalizeRole(u.role)),
+      backup_codes_remaining: u.totp_enabled_at ? u.backup_codes_remaining : 0
+    });
+  } catch {
+    res.status(500).json({ error: "2FA durumu alınamadı." });
+  }
+});
 
-  })
-  .catch(e => { console.error(e); process.exit(1); });
+// Kurulumu başlat: sır üretilir, enable ile doğrulanana kadar beklemede kalır
+app.post("/api/user/:userId/2fa/setup", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const u = await get(`SELECT email, user_code, totp_enabled_at FROM users WHERE id=$1`, [req.authUserId]);
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+    if (u.totp_enabled_at) return sendError(res, "MFA_ALREADY_ENABLED");
 
-// Günlük ödül/temizlik scheduler'ı (şimdilik güvenli no-op + hafif temizlik)
-async function awardSchedulerTick() {
+    const secret = generateSecret();
+    await run(`UPDATE users SET totp_pending_secret=$2 WHERE id=$1`, [req.authUserId, encryptTotpSecret(secret)]);
+    res.json({
+      success: true,
+      secret,
+      otpauth_url: otpauthUrl({ secret, account: u.email || u.user_code || String(req.authUserId), issuer: TOTP_ISSUER })
+    });
+  } catch {
+    res.status(500).json({ error: "2FA kurulumu başlatılamadı." });
+  }
+});
+
+// Kurulumu tamamla: body: { code } -> yedek kodlar bir kez döner
+app.post("/api/user/:userId/2fa/enable", requireAuth, requireSelf("params.userId"), async (req, res) => {
   try {
-    // küçük temizlikler (opsiyonel)
-    try { await duelloRefreshFinished(); } catch (_) {}
-    try { await expireOldInvites(); } catch (_) {}
+    const u = await get(`SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id=$1`, [req.authUserId]);
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+    if (u.totp_enabled_at) return sendError(res, "MFA_ALREADY_ENABLED");
+    if (!u.totp_pending_secret) return sendError(res, "MFA_SETUP_NOT_STARTED");
 
-    const yKey = await getYesterdayKey();
-    if (!yKey) return;
+    const step = verifyTotp(decryptTotpSecret(u.totp_pending_secret), req.body?.code);
+    if (step == null) return sendError(res, "MFA_CODE_INVALID", { status: 400 });
 
-    // Aynı günü ikinci kez ödüllendirme
-    if (lastAwardedFor === yKey) return;
+    await run(
+      `UPDATE users
+          SET totp_secret=totp_pending_secret, totp_pending_secret=NULL,
+              totp_enabled_at=timezone('Europe/Istanbul', now()), totp_last_step=$2
+        WHERE id=$1`,
+      [req.authUserId, step]
+    );
+    const backup_codes = await regenerateBackupCodes(req.authUserId);
+    res.json({ success: true, enabled: true, backup_codes });
+  } catch {
+    res.status(500).json({ error: "2FA açılamadı." });
+  }
+});
 
-    // Bu gün için daha önce ödül yazıldıysa çık
-    const already = await get(`SELECT 1 FROM book_awards WHERE day_key=$1 LIMIT 1`, [yKey]);
-    if (already) { lastAwardedFor = yKey; return; }
+// body: { code } (TOTP ya da yedek kod)
+app.post("/api/user/:userId/2fa/disable", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const role = await getUserRole(req.authUserId);
+    if ((await getTotpRequiredRoles()).includes(role)) {
+      return sendError(res, "MFA_REQUIRED_FOR_ROLE");
+    }
+    const check = await verifySecondFactor(req.authUserId, req.body?.code);
+    if (!check.ok) {
+      await recordLoginFailure(req.authUserId);
+      return sendError(res, "MFA_CODE_INVALID");
+    }
+    await run(
+      `UPDATE users
+          SET totp_secret=NULL, totp_pending_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL
+        WHERE id=$1`,
+      [req.authUserId]
+    );
+    await run(`DELETE FROM totp_backup_codes WHERE user_id=$1`, [req.authUserId]);
+    res.json({ success: true, enabled: false });
+  } catch {
+    res.status(500).json({ error: "2FA kapatılamadı." });
+  }
+});
 
-    // Dünkü günlük yarışma puanlarını topla (eşitlikte daha hızlı bitiren öne)
-    const winners = await all(
-      `
-      SELECT
-        u.id,
-        COALESCE(SUM(
-          CASE
-            WHEN a.answer = 'bilmem' THEN 0
-            WHEN a.is_correct = 1 THEN q.point + COALESCE(a.bonus_points,0)
-            WHEN a.is_correct = 0 THEN -q.point
-            ELSE 0
-          END
-        ),0)::int AS total_points,
-        COALESCE(SUM(GREATEST(a.max_time_seconds,0) - GREATEST(a.time_left_seconds,0)),0)::int AS time_spent
-      FROM users u
-      INNER JOIN answers a ON a.user_id = u.id
-      INNER JOIN questions q ON q.id = a.question_id
-      WHERE a.is_daily = true
-        AND a.daily_key = $1
-      GROUP BY u.id
-      HAVING COUNT(a.*) > 0
-      ORDER BY total_points DESC, time_spent ASC, u.id ASC
-      LIMIT 3
-      `,
-      [yKey]
+// Yedek kodları yenile: body: { code }
+app.post("/api/user/:userId/2fa/backup-codes", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const check = await verifySecondFactor(req.authUserId, req.body?.code);
+    if (!check.ok) {
+      await recordLoginFailure(req.authUserId);
+      return sendError(res, "MFA_CODE_INVALID");
+    }
+    res.json({ success: true, backup_codes: await regenerateBackupCodes(req.authUserId) });
+  } catch {
+    res.status(500).json({ error: "Yedek kodlar yenilenemedi." });
+  }
+});
+
+
+
+// Açık cihaz oturumları
+app.get("/api/user/:userId/sessions", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const rows = await all(
+      `SELECT id, device_name, user_agent, ip, created_at, last_used_at, expires_at
+         FROM user_sessions
+        WHERE user_id=$1 AND revoked_at IS NULL
+          AND expires_at > timezone('Europe/Istanbul', now())
+        ORDER BY last_used_at DESC`,
+      [req.authUserId]
+    );
+    const sessions = rows.map(r => ({ ...r, id: Number(r.id), current: Number(r.id) === req.authSessionId }));
+    res.json({ success: true, sessions });
+  } catch {
+    res.status(500).json({ error: "Oturumlar alınamadı" });
+  }
+});
+
+app.post("/api/user/:userId/sessions/:sessionId/revoke", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const sid = Number(req.params.sessionId);
+    if (!sid) return sendError(res, "VALIDATION_FAILED", { message: "Geçersiz sessionId" });
+    const ok = await revokeUserSession(req.authUserId, sid, "revoked");
+    if (!ok) return sendError(res, "SESSION_NOT_FOUND");
+    res.json({ success: true, current: sid === req.authSessionId });
+  } catch {
+    res.status(500).json({ error: "Oturum kapatılamadı" });
+  }
+});
+
+// body: { keep_current?: boolean } — varsayılan: bu cihaz dahil hepsi
+app.post("/api/user/:userId/sessions/revoke-all", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const keep = req.body?.keep_current === true || String(req.body?.keep_current) === "true";
+    const revoked = await revokeAllUserSessions(req.authUserId, "revoked", keep ? req.authSessionId : null);
+    res.json({ success: true, revoked });
+  } catch {
+    res.status(500).json({ error: "Oturumlar kapatılamadı" });
+  }
+});
+
+// Son giriş hareketleri: GET /api/user/:userId/login-activity?limit=20
+app.get("/api/user/:userId/login-activity", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || "20", 10)));
+    const rows = await all(
+      `SELECT id, success, reason, context, ip, user_agent, created_at
+         FROM login_events
+        WHERE user_id=$1
+        ORDER BY created_at DESC
+        LIMIT $2`,
+      [req.authUserId, limit]
+    );
+    res.json({ success: true, events: rows });
+  } catch {
+    res.status(500).json({ error: "Giriş hareketleri alınamadı" });
+  }
+});
+
+
+/* ---------- PROFİL ---------- */
+
+app.get("/api/user/:userId/profile", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const row = await get(
+      `SELECT id, ad, soyad, yas, cinsiyet, meslek, sehir, email, role, user_code, is_guest, locale,
+              (email_verified_at IS NOT NULL) AS email_verified
+         FROM users WHERE id=$1`,
+      [req.authUserId]
+    );
+    if (!row) return sendError(res, "USER_NOT_FOUND");
+    res.json({ success: true, profile: { ...row, role: normalizeRole(row.role) } });
+  } catch {
+    res.status(500).json({ error: "Profil alınamadı" });
+  }
+});
+
+// body: { ad?, soyad?, sehir?, meslek?, yas?, cinsiyet?, locale? } — yalnızca gelen alanlar güncellenir
+// locale: "tr" | "en"; null gönderilirse tercih silinir ve Accept-Language'a dönülür
+app.post("/api/user/:userId/profile", requireAuth, requireSelf("params.userId"), validate({
+  body: { ...PROFILE_SCHEMA, locale: FIELDS.locale }
+}), async (req, res) => {
+  try {
+    const fields = req.valid.body;
+    const keys = Object.keys(fields);
+    if (!keys.length) return sendError(res, "NOTHING_TO_UPDATE");
+
+    const sets = keys.map((k, i) => `${k}=$${i + 2}`).join(", ");
+    const row = await get(
+      `UPDATE users SET ${sets} WHERE id=$1
+       RETURNING id, ad, soyad, yas, cinsiyet, meslek, sehir, locale`,
+      [req.authUserId, ...keys.map(k => fields[k])]
+    );
+    if (!row) return sendError(res, "USER_NOT_FOUND");
+    req.userLocale = row.locale;
+    res.json({ success: true, profile: row });
+  } catch {
+    res.status(500).json({ error: "Profil güncellenemedi" });
+  }
+});
+
+// Şifre değiştir: body: { current_password, new_password }
+// Tüm oturumlar kapanır; bu cihaz için yeni oturum döner.
+app.post("/api/user/:userId/password", requireAuth, requireSelf("params.userId"), validate({
+  body: { current_password: FIELDS.password, new_password: FIELDS.newPassword }
+}), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.valid.body;
+
+    const u = await get(`SELECT id, email, password FROM users WHERE id=$1`, [req.authUserId]);
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+
+    const guard = await checkLoginGuard(u.id);
+    if (guard.blocked) {
+      res.set("Retry-After", String(guard.retry_after));
+      return sendError(res, "LOGIN_THROTTLED", { extra: { retry_after_seconds: guard.retry_after } });
+    }
+    if (!(await verifyPassword(current_password, u.password))) {
+      await recordLoginFailure(u.id);
+      await logLoginEvent(req, { user_id: u.id, email: u.email, success: false, reason: "bad_password", context: "password_change" });
+      return sendError(res, "WRONG_PASSWORD", { message: "Mevcut şifre yanlış." });
+    }
+
+    await run(`UPDATE users SET password=$2 WHERE id=$1`, [u.id, await hashPassword(new_password)]);
+    await recordLoginSuccess(u.id);
+    await revokeAllUserSessions(u.id, "password_change");
+
+    res.json({ success: true, ...(await createUserSession(u.id, req)) });
+  } catch {
+    res.status(500).json({ error: "Şifre değiştirilemedi." });
+  }
+});
+
+// E-posta değiştir: body: { new_email, current_password } (şifre değiştirmedeki ad)
+// Yeni adres doğrulanana kadar eski adres geçerli kalır; eski adrese bilgi gider.
+app.post("/api/user/:userId/email", requireAuth, requireSelf("params.userId"), validate({
+  body: { new_email: FIELDS.email, current_password: FIELDS.password }
+}), async (req, res) => {
+  try {
+    const { new_email: newEmail, current_password } = req.valid.body;
+
+    const u = await get(`SELECT id, email, password FROM users WHERE id=$1`, [req.authUserId]);
+    if (!u) return sendError(res, "USER_NOT_FOUND");
+    if (normalizeEmail(u.email) === newEmail) return sendError(res, "EMAIL_UNCHANGED");
+
+    const guard = await checkLoginGuard(u.id);
+    if (guard.blocked) {
+      res.set("Retry-After", String(guard.retry_after));
+      return sendError(res, "LOGIN_THROTTLED", { extra: { retry_after_seconds: guard.retry_after } });
+    }
+    if (!(await verifyPassword(current_password, u.password))) {
+      await recordLoginFailure(u.id);
+      await logLoginEvent(req, { user_id: u.id, email: u.email, success: false, reason: "bad_password", context: "email_change" });
+      return sendError(res, "WRONG_PASSWORD");
+    }
+    await recordLoginSuccess(u.id);
+
+    const taken = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [newEmail]);
+    if (taken) return sendError(res, "EMAIL_TAKEN");
+
+    await sendEmailVerification(u.id, newEmail);
+    await sendMail({
+      to: u.email,
+      subject: "Felox e-posta değişikliği",
+      text: `Hesabının e-posta adresini ${newEmail} olarak değiştirme isteği alındı. Değişiklik yeni adres doğrulanınca geçerli olur.\nBu isteği sen yapmadıysan şifreni hemen değiştir.`
+    });
+
+    res.json({ success: true, pending_email: newEmail, message: "Yeni adrese doğrulama e-postası gönderildi." });
+  } catch {
+    res.status(500).json({ error: "E-posta değiştirilemedi." });
+  }
+});
+
+
+/* ---------- KİŞİSEL VERİ DIŞA AKTARIMI ---------- */
+// GET /api/user/:userId/export?format=json|zip
+// Küçük hesap: dosya hemen iner. Büyük hesap: 202 + iş kaydı (durum: /exports/:exportId)
+app.get("/api/user/:userId/export", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return sendError(res, "VALIDATION_FAILED", { message: "format json veya zip olmalı." });
+
+    const userId = req.authUserId;
+    if ((await countUserDataRows(userId)) > EXPORT_SYNC_MAX_ROWS) {
+      const job = await createExportJob(userId, format);
+      return res.status(202).json({ success: true, async: true, export: publicExportJob(job) });
+    }
+
+    const data = await collectUserData(userId);
+    if (!data) return sendError(res, "USER_NOT_FOUND");
+
+    res.attachment(exportFileName(userId, format));
+    if (format === "zip") {
+      res.type("application/zip");
+      return await writeExportZip(data, res);
+    }
+    res.type("application/json").send(JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error("export fail:", e.message);
+    if (!res.headersSent) res.status(500).json({ error: "Veriler dışa aktarılamadı." });
+  }
+});
+
+// Asenkron dışa aktarım başlat: body: { format }
+app.post("/api/user/:userId/exports", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const format = String(req.body?.format || "json").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return sendError(res, "VALIDATION_FAILED", { message: "format json veya zip olmalı." });
+    const job = await createExportJob(req.authUserId, format);
+    res.status(202).json({ success: true, export: publicExportJob(job) });
+  } catch {
+    res.status(500).json({ error: "Dışa aktarım başlatılamadı." });
+  }
+});
+
+app.get("/api/user/:userId/exports", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const rows = await all(
+      `SELECT * FROM data_exports WHERE user_id=$1 ORDER BY id DESC LIMIT 20`,
+      [req.authUserId]
+    );
+    res.json({ success: true, exports: rows.map(publicExportJob) });
+  } catch {
+    res.status(500).json({ error: "Dışa aktarımlar alınamadı." });
+  }
+});
+
+app.get("/api/user/:userId/exports/:exportId", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const job = await get(
+      `SELECT * FROM data_exports WHERE id=$1 AND user_id=$2`,
+      [req.params.exportId, req.authUserId]
+    );
+    if (!job) return sendError(res, "EXPORT_NOT_FOUND");
+    res.json({ success: true, export: publicExportJob(job) });
+  } catch {
+    res.status(500).json({ error: "Dışa aktarım durumu alınamadı." });
+  }
+});
+
+app.get("/api/user/:userId/exports/:exportId/download", requireAuth, requireSelf("params.userId"), async (req, res) => {
+  try {
+    const job = await get(
+      `SELECT * FROM data_exports WHERE id=$1 AND user_id=$2`,
+      [req.params.exportId, req.authUserId]
     );
+    if (!job) return sendError(res, "EXPORT_NOT_FOUND");
+    if (job.status !== "done" || !job.file_path) {
+      return sendError(res, "EXPORT_NOT_READY", { extra: { status: job.status } });
+    }
+    res.download(job.file_path, exportFileName(job.user_id, job.format));
+  } catch {
+    res.status(500).json({ error: "Dosya indirilemedi." });
+  }
+});
 
-    const prizes = [5, 3, 1];
-    for (let i = 0; i < winners.length; i++) {
-      const u = winners[i];
-      const amount = prizes[i] || 0;
-      if (amount <= 0) continue;
 
-      // aynı kullanıcıya aynı gün bir daha yazmamak için ON CONFLICT
-      const ins = await get(
-        `INSERT INTO book_awards (user_id, day_key, rank, amount)
-         VALUES ($1,$2,$3,$4)
-         ON CONFLICT (user_id, day_key) DO NOTHING
-         RETURNING 1 AS ok`,
-        [u.id, yKey, i + 1, amount]
-      );
+/* ---------- MEDYA (soru görselleri / sesleri) ---------- */
+// Yükleme: POST /api/media (gövde dosyanın kendisi, Content-Type dosya türü; ?name= özgün ad)
+// Dosyalar herkese açık değildir; soru uçları kısa ömürlü imzalı URL döner (MEDIA_URL_TTL_SEC).
+const mediaStorage = createMediaStorage();
+const MEDIA_URL_TTL_SEC = Math.max(60, parseInt(process.env.MEDIA_URL_TTL_SEC || "3600", 10));
+// İmzalı URL'lerin önüne eklenir (API farklı bir alan adındaysa); boşsa göreli yol döner
+const MEDIA_PUBLIC_BASE_URL = (process.env.MEDIA_PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const MEDIA_VARIANTS = ["original", "thumb"];
 
-      if (ins?.ok) {
-        await run(`UPDATE users SET books = COALESCE(books,0) + $1 WHERE id=$2`, [amount, u.id]);
-        console.log("Ödül verildi:", yKey, "user", u.id, "rank", i + 1, "amount", amount);
-      }
-    }
+function signedMediaUrl(mediaId, variant) {
+  const token = signToken({ typ: "media", mid: Number(mediaId), v: variant }, MEDIA_URL_TTL_SEC);
+  return `${MEDIA_PUBLIC_BASE_URL}/api/media/${mediaId}/file?variant=${variant}&token=${token}`;
+}
 
-    lastAwardedFor = yKey;
-  } catch (e) {
-    console.error("awardSchedulerTick hata:", e.message);
-  }
+/** İstemciye dönen medya bilgisi (depolama anahtarları olmadan) */
+function mediaPayload(m) {
+  if (!m) return null;
+  return {
+    id: Number(m.id),
+    kind: m.kind,
+    content_type: m.content_type,
+    byte_size: m.byte_size,
+    width: m.width ?? null,
+    height: m.height ?? null,
+    url: signedMediaUrl(m.id, "original"),
+    thumb_url: m.thumb_key ? signedMediaUrl(m.id, "thumb") : null,
+    expires_at: new Date(Date.now() + MEDIA_URL_TTL_SEC * 1000).toISOString(),
+  };
 }
 
+/** Soru satırlarına media ekler (media_id yoksa null) */
+async function withQuestionMedia(rows) {
+  const list = rows.filter(Boolean);
+  const ids = [...new Set(list.map(q => Number(q.media_id)).filter(Boolean))];
+  const media = ids.length
+    ? await all(`SELECT * FROM media WHERE id = ANY($1::int[])`, [ids])
+    : [];
+  const byId = new Map(media.map(m => [Number(m.id), m]));
+  for (const q of list) q.media = mediaPayload(byId.get(Number(q.media_id)));
+  return rows;
+}
 
-// --- DUELLO: idle-timeout yardımcı fonksiyon (şimdilik sadece tanımlı) ---
-async function duelloIdleAbortTick() {
-  try {
-    const sec = DUELLO_IDLE_ABORT_SEC;
-    const updated = await all(`
-      WITH upd AS (
-        UPDATE duello_matches
-           SET state='abandoned',
-               ended_reason='idle_timeout',
-               finished_at = timezone('Europe/Istanbul', now()),
-               abandoned_at = timezone('Europe/Istanbul', now())
-         WHERE state='active'
-           AND (
-                COALESCE(last_seen_a, TIMESTAMP 'epoch') < timezone('Europe/Istanbul', now()) - interval '${sec} seconds'
-             OR COALESCE(last_seen_b, TIMESTAMP 'epoch') < timezone('Europe/Istanbul', now()) - interval '${sec} seconds'
-           )
-           AND current_index < total_questions
-         RETURNING id, user_a_id, user_b_id
-      )
-      SELECT id, user_a_id, user_b_id FROM upd
-    `);
+/** Soru tanımındaki media_id'yi doğrular -> { media_id } | { error } */
+async function checkQuestionMedia(raw) {
+  if (raw == null || raw === "") return { media_id: null };
+  const id = Number(raw);
+  if (!Number.isSafeInteger(id) || id <= 0) return { error: "Medya bulunamadı." };
+  const m = await get(`SELECT id FROM media WHERE id=$1`, [id]);
+  return m ? { media_id: id } : { error: "Medya bulunamadı." };
+}
 
-    if (updated?.length) {
-      for (const m of updated) {
+app.post("/api/media", requirePermission("surveys.create"),
+  express.raw({ type: () => true, limit: Math.max(MEDIA_MAX_IMAGE_BYTES, MEDIA_MAX_AUDIO_BYTES) }),
+  async (req, res) => {
+    try {
+      const info = inspectMedia(req.body, req.headers["content-type"]);
+      if (info.code) return sendError(res, info.code, { message: info.error });
+
+      let dims = { width: null, height: null, thumb: null };
+      if (info.kind === "image") {
         try {
-          sseEmit(Number(m.user_a_id), "match:abandoned", { match_id: Number(m.id) });
-          sseEmit(Number(m.user_b_id), "match:abandoned", { match_id: Number(m.id) });
-        } catch (_) {}
+          dims = await makeThumbnail(req.body);
+        } catch {
+          return sendError(res, "MEDIA_TYPE_UNSUPPORTED", { message: "Görsel okunamadı." });
+        }
       }
+
+      const thumbKey = dims.thumb ? thumbKeyFor(info.key) : null;
+      await mediaStorage.put(info.key, req.body, info.content_type);
+      if (thumbKey) await mediaStorage.put(thumbKey, dims.thumb, "image/webp");
+
+      const originalName = String(req.query.name || "").trim().slice(0, 200) || null;
+      const row = await get(
+        `INSERT INTO media (owner_user_id, kind, content_type, byte_size, sha256, storage_key, thumb_key, width, height, original_name)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+         RETURNING *`,
+        [req.authUserId || null, info.kind, info.content_type, info.byte_size, info.sha256,
+         info.key, thumbKey, dims.width, dims.height, originalName]
+      );
+      res.status(201).json({ success: true, media: mediaPayload(row) });
+    } catch (e) {
+      res.status(500).json(internalError(e, "Medya yüklenemedi."));
+    }
+  }
+);
+
+// İmzalı URL ile dosya servisi (oturum gerekmez; yetki token'dadır)
+app.get("/api/media/:mediaId/file", validate({
+  params: { mediaId: { type: "id", required: true } },
+  query: {
+    variant: { type: "string", lowercase: true, enum: MEDIA_VARIANTS, default: "original" },
+    token: { type: "string", required: true, maxLength: 1000 },
+  }
+}), async (req, res) => {
+  try {
+    const { mediaId } = req.valid.params;
+    const { variant, token } = req.valid.query;
+    const p = verifyToken(token);
+    if (!p || p.typ !== "media" || Number(p.mid) !== mediaId || p.v !== variant) {
+      return sendError(res, "MEDIA_URL_INVALID");
     }
+    const m = await get(`SELECT id, content_type, storage_key, thumb_key FROM media WHERE id=$1`, [mediaId]);
+    const key = variant === "thumb" ? m?.thumb_key : m?.storage_key;
+    const file = key ? await mediaStorage.open(key) : null;
+    if (!file) return sendError(res, "MEDIA_NOT_FOUND");
+
+    res.set({
+      "Content-Type": variant === "thumb" ? "image/webp" : m.content_type,
+      "Content-Length": String(file.size),
+      // URL süresi dolana kadar tarayıcı önbelleği kullanabilir
+      "Cache-Control": `private, max-age=${Math.max(0, p.exp - Math.floor(Date.now() / 1000))}`,
+      // FE başka bir origin'den <img>/<audio> ile yükler (helmet varsayılanı same-origin)
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+    file.stream.on("error", (err) => {
+      logger.error({ err, mediaId }, "medya okunamadı");
+      res.destroy(err);
+    });
+    file.stream.pipe(res);
   } catch (e) {
-    console.error("duelloIdleAbortTick hata:", e.message);
+    res.status(500).json(internalError(e, "Medya alınamadı."));
   }
+});
+
+
+/* ---------- SORU TÜRLERİ ---------- */
+// Tür doğrulaması ve puanlama grading.js'te; burada yalnızca seçeneklerin okunup yazılması var.
+
+/** Soruların seçenekleri: Map<question_id, [{ id, position, label, is_correct }]> (position sırasıyla) */
+async function loadQuestionOptions(questionIds, db = pool) {
+  const ids = [...new Set(questionIds.map(Number).filter(Boolean))];
+  const out = new Map(ids.map(id => [id, []]));
+  if (!ids.length) return out;
+  const { rows } = await db.query(
+    `SELECT id::int AS id, question_id, position, label, is_correct
+       FROM question_options
+      WHERE question_id = ANY($1::int[])
+      ORDER BY question_id, position`,
+    [ids]
+  );
+  for (const r of rows) out.get(Number(r.question_id))?.push({ id: r.id, position: r.position, label: r.label, is_correct: !!r.is_correct });
+  return out;
 }
 
+/** Oyuncuya gösterilecek seçenekler (doğru bilgisi olmadan) */
+function publicOptions(options = []) {
+  return options.map(({ id, position, label }) => ({ id, position, label }));
+}
 
+/** Soru satırlarına kind + options ekler (seçenekler yalnızca choice türünde dolu) */
+async function withQuestionKinds(rows) {
+  const list = rows.filter(Boolean);
+  const opts = await loadQuestionOptions(list.filter(q => q.kind === "choice").map(q => q.id));
+  for (const q of list) {
+    q.kind = q.kind || "yesno";
+    q.options = publicOptions(opts.get(Number(q.id)));
+  }
+  return rows;
+}
 
-/* ---------- AUTH ---------- */
+/**
+ * Cevabı sorunun türüne göre puanlar.
+ * -> { question, options, answer, is_correct } | null (soru yoksa)
+ */
+async function gradeQuestionAnswer(questionId, raw) {
+  const question = await get(
+    `SELECT id, point, kind, correct_answer, numeric_tolerance, accepted_answers, explanation, source_url
+       FROM questions WHERE id=$1`,
+    [questionId]
+  );
+  if (!question) return null;
+  const options = question.kind === "choice" ? (await loadQuestionOptions([question.id])).get(Number(question.id)) : [];
+  return { question, options, ...gradeAnswer(question, raw, options) };
+}
 
+/** Cevap kaydedildikten sonra gösterilen açıklama alanları */
+function answerReveal(q) {
+  return { explanation: q?.explanation ?? null, source_url: q?.source_url ?? null };
+}
 
-app.post("/api/auth/check-email", async (req, res) => {
-    if (!FEATURE_EMAIL_CHECK) return res.status(404).json({ error: "Not found" });
+/** checkQuestion'dan geçmiş soruyu (+ media_id) ve seçeneklerini yazar; yeni id'yi döner */
+async function insertQuestion(surveyId, v, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO questions
+       (survey_id, question, correct_answer, point, kind, numeric_tolerance, accepted_answers, media_id, explanation, source_url)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
+    [surveyId, v.question, v.correct_answer, v.point, v.kind, v.numeric_tolerance, v.accepted_answers, v.media_id ?? null,
+     v.explanation ?? null, v.source_url ?? null]
+  );
+  await writeQuestionOptions(rows[0].id, v.options, db);
+  return rows[0].id;
+}
 
-  try {
-    const email = normalizeEmail(req.body?.email);
-    if (!email) return res.status(400).json({ error: "email zorunlu" });
-    const row = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [email]);
-    res.json({ exists: !!row, normalized: email });
-  } catch {
-    res.status(500).json({ error: "Kontrol edilemedi" });
+/**
+ * Seçenekleri verilen sırayla yazar; eşleştirme id ile yapılır, sırayla değil.
+ * Bu sorunun mevcut bir seçeneğinin id'sini taşıyan seçenek o satırı günceller (metin, doğruluk, sıra);
+ * id'siz ya da başka soruya ait id'li seçenek yeni satır olur, listede olmayan satırlar silinir.
+ * answers.answer seçenek id'lerini tuttuğu için verilmiş cevaplar sıralama değişse de aynı seçeneği gösterir;
+ * silinen seçeneğe verilmiş cevap hiçbir seçeneği göstermez, başka birine kaymaz.
+ */
+async function writeQuestionOptions(questionId, options = [], db = pool) {
+  const { rows } = await db.query(`SELECT id::int AS id FROM question_options WHERE question_id=$1`, [questionId]);
+  const existing = new Set(rows.map(r => r.id));
+  const keep = options.map(o => Number(o.id)).filter(id => existing.has(id));
+  await db.query(
+    `DELETE FROM question_options WHERE question_id=$1 AND NOT (id = ANY($2::int[]))`,
+    [questionId, keep]
+  );
+  // Kalan satırlar (question_id, position) tekilliğine takılmasın diye önce negatif sıraya alınır
+  if (keep.length) await db.query(`UPDATE question_options SET position = -position WHERE question_id=$1`, [questionId]);
+  for (let i = 0; i < options.length; i++) {
+    const o = options[i];
+    if (existing.has(Number(o.id))) {
+      await db.query(
+        `UPDATE question_options SET position=$3, label=$4, is_correct=$5 WHERE id=$2 AND question_id=$1`,
+        [questionId, Number(o.id), i + 1, o.label, !!o.is_correct]
+      );
+    } else {
+      await db.query(
+        `INSERT INTO question_options (question_id, position, label, is_correct) VALUES ($1,$2,$3,$4)`,
+        [questionId, i + 1, o.label, !!o.is_correct]
+      );
+    }
   }
-});
+}
 
-app.get("/api/check-email", async (req, res) => {
-    if (!FEATURE_EMAIL_CHECK) return res.status(404).json({ error: "Not found" });
 
-  try {
-    const email = normalizeEmail(req.query.email);
-    if (!email) return res.status(400).json({ error: "email zorunlu" });
-    const row = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [email]);
-    res.json({ exists: !!row });
-  } catch {
-    res.status(500).json({ error: "Kontrol edilemedi" });
+/* ---------- EDITOR ---------- */
+/** Editör yalnızca kendi adına anket açar; admin başkası adına açabilir -> { editor_id } | { code } (errors.js kodu) */
+function resolveSurveyEditor(req, requested) {
+  let editor_id = req.authUserId || Number(requested) || null;
+  if (requested && Number(requested) !== Number(editor_id)) {
+    if (!hasPermission(req.authRole, "surveys.edit_any")) {
+      return { code: "SURVEY_EDITOR_FORBIDDEN" };
+    }
+    editor_id = Number(requested);
   }
-});
+  return { editor_id };
+}
 
-app.get("/api/users/exists", async (req, res) => {
-    if (!FEATURE_EMAIL_CHECK) return res.status(404).json({ error: "Not found" });
+// Tek istekte yazılabilecek en fazla soru (POST /api/surveys, içe aktarma)
+const SURVEY_IMPORT_MAX_ROWS = Math.max(1, parseInt(process.env.SURVEY_IMPORT_MAX_ROWS || "10000", 10));
+// Anket bilgisi (POST /api/surveys gövdesi, içe aktarmada survey / query)
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SURVEY_META_SCHEMA = {
+  title:      { type: "string", required: true, maxLength: 200 },
+  category:   { type: "string", maxLength: 100 },
+  start_date: { type: "string", pattern: DATE_RE },
+  end_date:   { type: "string", pattern: DATE_RE },
+};
 
-  try {
-    const email = normalizeEmail(req.query.email);
-    if (!email) return res.status(400).json({ error: "email zorunlu" });
-    const row = await get(`SELECT 1 FROM users WHERE lower(email)=lower($1)`, [email]);
-    res.json({ exists: !!row });
-  } catch {
-    res.status(500).json({ error: "Kontrol edilemedi" });
+const isDryRun = (req) =>
+  ["1", "true"].includes(String(req.query.dry_run || "").toLowerCase()) || req.body?.dry_run === true;
+
+/**
+ * Soru tanımlarını satır satır doğrular (medya referansları dahil); hiçbir şey yazmaz.
+ * items: [{ row, input }] -> { rows: [{ row, value, warnings }], errors: [{ row, message }] }
+ */
+async function checkQuestionRows(items) {
+  const rows = [], errors = [];
+  for (const { row, input } of items) {
+    const c = checkQuestion(input || {});
+    const media = await checkQuestionMedia(input?.media_id);
+    const messages = [...(c.errors || []), ...(media.error ? [media.error] : [])];
+    if (messages.length) { errors.push(...messages.map(message => ({ row, message }))); continue; }
+    rows.push({ row, value: { ...c.value, media_id: media.media_id }, warnings: c.warnings });
   }
-});
+  return { rows, errors };
+}
 
-app.post("/api/register", async (req, res) => {
-  try {
-    const { ad, soyad, yas, cinsiyet, meslek, sehir, email, password, role } = req.body;
-const emailNorm = normalizeEmail(email);
-if (!emailNorm || !password) {
-  return res.status(400).json({ error: "email ve password zorunlu." });
+/**
+ * dry_run yanıtı: her satır için { row, ok, question, warnings } ya da { row, ok: false, error, errors }
+ *   errors: satırdaki bütün hatalar; error ilki (eski istemciler için)
+ * meta: anketle birlikte yazılacaksa validateObject(SURVEY_META_SCHEMA) sonucu -> survey, survey_errors eklenir
+ */
+function questionRowsReport(total, { rows, errors }, meta = null) {
+  const failed = new Map();
+  for (const e of errors) failed.set(e.row, [...(failed.get(e.row) || []), e.message]);
+  const results = [
+    ...rows.map(r => ({ row: r.row, ok: true, question: r.value, warnings: r.warnings })),
+    ...[...failed].map(([row, messages]) => ({ row, ok: false, error: messages[0], errors: messages })),
+  ].sort((a, b) => a.row - b.row);
+  return {
+    success: true, dry_run: true,
+    valid: errors.length === 0 && !meta?.errors.length,
+    ...(meta && { survey: meta.value, survey_errors: meta.errors }),
+    results,
+    summary: { total, valid: rows.length, invalid: failed.size, warnings: rows.filter(r => r.warnings.length).length },
+  };
 }
-const hashed = await hashPassword(password);
-await run(
-  `INSERT INTO users (ad, soyad, yas, cinsiyet, meslek, sehir, email, password, role)
-   VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-  [ad, soyad, yas, cinsiyet, meslek, sehir, emailNorm, hashed, role]
-);
 
-const user = await get(
-  `SELECT id, ad, soyad, email, role, cinsiyet, user_code
-     FROM users
-    WHERE lower(email)=lower($1)`,
-  [emailNorm]
-);
+/** Soruları tek transaction'da ekler; biri bile yazılamazsa hiçbiri kalmaz -> question_ids */
+async function insertQuestionsAtomic(surveyId, questions) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const ids = [];
+    for (const v of questions) ids.push(await insertQuestion(surveyId, v, client));
+    await client.query('COMMIT');
+    return ids;
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
 
+/** Anketi ve sorularını tek transaction'da yazar -> { survey_id, question_ids } */
+async function createSurveyWithQuestions(survey, questions, editorId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO surveys (editor_id, title, start_date, end_date, category, status)
+       VALUES ($1,$2,$3,$4,$5,'pending') RETURNING id`,
+      [editorId, survey.title, survey.start_date ?? null, survey.end_date ?? null, survey.category ?? null]
+    );
+    const question_ids = [];
+    for (const v of questions) question_ids.push(await insertQuestion(rows[0].id, v, client));
+    await client.query('COMMIT');
+    return { survey_id: rows[0].id, question_ids };
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
 
-    if (user && !user.user_code) {
-      user.user_code = await ensureUserCodeForUser(user.id);
+// Anket + sorular tek transaction'da yazılır; anket bilgisi ya da bir satır hatalıysa hiçbiri yazılmaz
+// (details: [{ field, rule, message }] ve [{ row, message }]).
+// dry_run: true -> içe aktarmayla aynı rapor (survey_errors + satırlar) döner, yazmaz.
+// Anket bilgisi burada değil handler'da doğrulanır ki dry_run raporunda görünsün.
+app.post("/api/surveys", requirePermission("surveys.create"), validate({
+  body: {
+    questions: { type: "array", maxLength: SURVEY_IMPORT_MAX_ROWS, items: { type: "object" } },
+    editor_id: { type: "id" },
+  }
+}), async (req, res) => {
+  try {
+    const { questions = [], editor_id } = req.valid.body;
+    const items = questions.map((input, i) => ({ row: i + 1, input }));
+    const editor = resolveSurveyEditor(req, editor_id);
+    if (editor.code) return sendError(res, editor.code);
+
+    const meta = validateObject("body", SURVEY_META_SCHEMA, req.body);
+    const checked = await checkQuestionRows(items);
+    if (isDryRun(req)) return res.json(questionRowsReport(items.length, checked, meta));
+    if (meta.errors.length || checked.errors.length) {
+      return sendError(res, "VALIDATION_FAILED", { details: [...meta.errors, ...checked.errors] });
     }
 
-    res.json({ success: true, user });
-  } catch (err) {
-    if (String(err.message).includes("duplicate key")) {
-      return res.status(400).json({ error: "Bu e-posta zaten kayıtlı." });
-    }
-    res.status(500).json({ error: "Kayıt başarısız." });
+    const out = await createSurveyWithQuestions(meta.value, checked.rows.map(r => r.value), editor.editor_id);
+    res.json({ success: true, ...out });
+  } catch {
+    res.status(500).json({ error: "Anket kaydedilemedi!" });
   }
 });
 
+app.get("/api/editor/:editorId/surveys", requirePermission("surveys.create"), async (req, res) => {
+  try {
+    if (Number(req.params.editorId) !== Number(req.authUserId) && !hasPermission(req.authRole, "surveys.view_any")) {
+      return sendError(res, "FORBIDDEN");
+    }
+    const rows = await all(
+      `SELECT * FROM surveys WHERE editor_id=$1 AND status!='deleted' ORDER BY id DESC`,
+      [req.params.editorId]
+    );
+    res.json({ success: true, surveys: rows });
+  } catch { res.status(500).json({ error: "Listeleme hatası!" }); }
+});
 
-app.get("/api/user/:userId/exists", async (req, res) => {
-  const user = await get(`SELECT id FROM users WHERE id=$1`, [req.params.userId]);
-  res.json({ exists: !!user });
+app.get("/api/surveys/:surveyId/details", requirePermission("surveys.create"), async (req, res) => {
+  try {
+    const surveyId = req.params.surveyId;
+    const survey = await get(`SELECT * FROM surveys WHERE id=$1`, [surveyId]);
+    if (!survey) return sendError(res, "SURVEY_NOT_FOUND");
+    if (!canManageSurvey(req, survey) && !hasPermission(req.authRole, "surveys.view_any")) {
+      return sendError(res, "FORBIDDEN");
+    }
+    const questions = await all(`SELECT * FROM questions WHERE survey_id=$1 ORDER BY id ASC`, [surveyId]);
+    // Editör doğru seçenekleri de görür
+    const opts = await loadQuestionOptions(questions.filter(q => q.kind === "choice").map(q => q.id));
+    for (const q of questions) q.options = opts.get(Number(q.id)) || [];
+    await withQuestionMedia(questions);
+    res.json({ success: true, survey, questions });
+  } catch { res.status(500).json({ error: "Sorular bulunamadı!" }); }
 });
 
-app.post("/api/login", async (req, res) => {
+// === SURVEY QUESTIONS (FE'nin beklediği uç) ===
+app.get("/api/surveys/:surveyId/questions", async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const emailNorm = normalizeEmail(email);
+    const surveyId = req.params.surveyId;
 
-    const row = await get(
-  `SELECT id, ad, soyad, email, role, cinsiyet, user_code, password
-     FROM users
-    WHERE lower(email)=lower($1)`,
-  [emailNorm]
-);
+    // Anket var mı? (silinmemiş)
+    const sv = await get(
+      `SELECT id FROM surveys WHERE id = $1 AND status != 'deleted'`,
+      [surveyId]
+    );
+    if (!sv) return sendError(res, "SURVEY_NOT_FOUND");
 
+    // FE'nin kullandığı alanlar: id, survey_id, question, point, kind, options, media
+    const rows = await all(
+      `SELECT id, survey_id, question, point, kind, media_id
+         FROM questions
+        WHERE survey_id = $1
+        ORDER BY id ASC`,
+      [surveyId]
+    );
+    await withQuestionKinds(rows);
+    await withQuestionMedia(rows);
 
-if (!row) return res.status(401).json({ error: "E-posta veya şifre yanlış." });
+    res.json({ success: true, questions: rows });
+  } catch (e) {
+    res.status(500).json(internalError(e, "Sorular alınamadı."));
+  }
+});
 
-const ok = await verifyPassword(password, row.password);
-if (!ok) return res.status(401).json({ error: "E-posta veya şifre yanlış." });
+app.post("/api/surveys/:surveyId/delete", requireAdmin("moderation"), validate({
+  body: { reason: FIELDS.optReason }
+}), async (req, res) => {
+  try {
+    const before = await get(`SELECT status FROM surveys WHERE id=$1`, [req.params.surveyId]);
+    await run(`UPDATE surveys SET status='deleted' WHERE id=$1`, [req.params.surveyId]);
+    if (before) {
+      await auditAdmin(req, { action: "survey.delete", target_type: "survey", target_id: req.params.surveyId, before, after: { status: "deleted" }, reason: req.valid.body.reason || null });
+    }
+    res.json({ success: true });
+  }
+  catch { res.status(500).json({ error: "Silinemedi." }); }
+});
 
-// Eski düz-metinden bcrypt'e sessiz geçiş
-await maybeUpgradePassword(row.id, password, row.password);
+// Onay bekleyenleri görebilmek için reviewer da erişir
+app.get("/api/admin/surveys", requirePermission("surveys.view_any"), async (_req, res) => {
 
-// response'a parolayı koyma
-const user = {
-  id: row.id, ad: row.ad, soyad: row.soyad, email: row.email,
-  role: row.role, cinsiyet: row.cinsiyet, user_code: row.user_code
-};
+  try {
+    const rows = await all(
+      `SELECT surveys.*, users.ad as editor_ad, users.soyad as editor_soyad
+       FROM surveys
+       LEFT JOIN users ON surveys.editor_id = users.id
+       WHERE surveys.status != 'deleted'
+       ORDER BY surveys.id DESC`
+    );
+    res.json({ success: true, surveys: rows });
+  } catch { res.status(500).json({ error: "Listeleme hatası!" }); }
+});
 
+// Kullanıcı rolü: POST /api/admin/users/:userId/role  body: { role, reason? }
+app.post("/api/admin/users/:userId/role", requireAdmin("users"), validate({
+  params: { userId: FIELDS.userId },
+  body: { role: { type: "string", required: true, lowercase: true, enum: ROLES }, reason: FIELDS.optReason }
+}), async (req, res) => {
+  try {
+    const { role } = req.valid.body;
+    if (role === "admin") return sendError(res, "ADMIN_ROLE_MANAGED", { status: 400 });
+    const before = await get(`SELECT role FROM users WHERE id=$1`, [req.params.userId]);
+    if (!before) return sendError(res, "USER_NOT_FOUND");
+    if (before.role === "admin") return sendError(res, "ADMIN_ROLE_MANAGED");
+    const row = await get(
+      `UPDATE users SET role=$2 WHERE id=$1 AND role <> 'admin' RETURNING id, role`,
+      [req.params.userId, role]
+    );
+    // arada admin yapıldıysa
+    if (!row) return sendError(res, "ADMIN_ROLE_MANAGED");
+    await auditAdmin(req, {
+      action: "user.role_change", target_type: "user", target_id: row.id,
+      before: { role: normalizeRole(before?.role) }, after: { role }, reason: req.valid.body.reason || null
+    });
+    res.json({ success: true, user: row });
+  } catch {
+    res.status(500).json({ error: "Rol güncellenemedi." });
+  }
+});
+// --- Kullanıcı yönetimi ---
+// GET /api/admin/users?q=&role=&status=active|suspended|banned|guest|deleted&page=1&limit=25
+app.get("/api/admin/users", requireAdmin("users"), validate({
+  query: {
+    q: { type: "string", maxLength: 100 },
+    role: { type: "string", lowercase: true, enum: ROLES },
+    status: { type: "string", lowercase: true, enum: ["active", "suspended", "banned", "guest", "deleted"] },
+    page: FIELDS.page,
+    limit: { type: "integer", min: 1, max: 100, default: 25 },
+  }
+}), async (req, res) => {
+  try {
+    const { page, limit, q = "", role = "", status = "" } = req.valid.query;
 
-    if (user && !user.user_code) {
-      user.user_code = await ensureUserCodeForUser(user.id);
+    const where = [];
+    const params = [];
+    if (q) {
+      params.push(`%${q.replace(/[\\%_]/g, m => "\\" + m)}%`);
+      const p = `$${params.length}`;
+      where.push(`(u.email ILIKE ${p} OR u.user_code ILIKE ${p} OR (COALESCE(u.ad,'') || ' ' || COALESCE(u.soyad,'')) ILIKE ${p})`);
+      if (/^\d+$/.test(q)) {
+        params.push(Number(q));
+        where[where.length - 1] = `(${where[where.length - 1]} OR u.id = $${params.length})`;
+      }
+    }
+    if (role) {
+      params.push(role);
+      where.push(`u.role = $${params.length}`);
+    }
+    const activeSanction = (kind) => `EXISTS (
+      SELECT 1 FROM user_sanctions s
+       WHERE s.user_id = u.id AND s.lifted_at IS NULL AND s.kind = '${kind}'
+         AND (s.expires_at IS NULL OR s.expires_at > timezone('Europe/Istanbul', now())))`;
+    switch (status) {
+      case "": break;
+      case "active": where.push(`u.deleted_at IS NULL AND NOT ${activeSanction("suspend")} AND NOT ${activeSanction("ban")}`); break;
+      case "suspended": where.push(activeSanction("suspend")); break;
+      case "banned": where.push(activeSanction("ban")); break;
+      case "guest": where.push(`u.is_guest`); break;
+      case "deleted": where.push(`(u.deleted_at IS NOT NULL OR u.deletion_scheduled_for IS NOT NULL)`); break;
     }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
-    if (!user) return res.status(401).json({ error: "E-posta veya şifre yanlış." });
-    res.json({ success: true, user });
-  } catch {
-    res.status(500).json({ error: "Sunucu hatası." });
+    const total = await get(`SELECT COUNT(*)::int AS n FROM users u ${whereSql}`, params);
+    const rows = await all(
+      `SELECT u.id, u.ad, u.soyad, u.email, u.user_code, u.role, u.is_guest,
+              COALESCE(u.books,0)::int AS books,
+              (u.email_verified_at IS NOT NULL) AS email_verified,
+              u.deletion_scheduled_for, u.deleted_at,
+              ${activeSanction("suspend")} AS suspended,
+              ${activeSanction("ban")} AS banned
+         FROM users u
+         ${whereSql}
+        ORDER BY u.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+    res.json({
+      success: true, page, limit, total: total.n,
+      users: rows.map(r => ({ ...r, role: normalizeRole(r.role) }))
+    });
+  } catch (e) {
+    console.error("admin users search fail:", e.message);
+    res.status(500).json({ error: "Kullanıcılar listelenemedi" });
   }
 });
 
-// Hesap silme (hard delete): body: { email, password }
-app.post("/api/account/delete", async (req, res) => {
+// Kullanıcı detayı + etkinlik özeti
+app.get("/api/admin/users/:userId", requireAdmin("users"), validate({ params: { userId: FIELDS.userId } }), async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-const emailNorm = normalizeEmail(email);
-if (!emailNorm || !password) {
-  return res.status(400).json({ error: "email ve password zorunlu." });
-}
+    const uid = Number(req.params.userId);
+    const user = await get(
+      `SELECT id, ad, soyad, yas, cinsiyet, meslek, sehir, email, user_code, role, is_guest, upgraded_at,
+              COALESCE(books,0)::int AS books, ladder_best_level,
+              email_verified_at, (totp_enabled_at IS NOT NULL) AS totp_enabled,
+              failed_login_count, locked_until,
+              deletion_requested_at, deletion_scheduled_for, deleted_at
+         FROM users WHERE id=$1`,
+      [uid]
+    );
+    if (!user) return sendError(res, "USER_NOT_FOUND");
 
+    const activity = await get(
+      `SELECT
+         (SELECT COUNT(*) FROM answers WHERE user_id=$1)::int AS answers,
+         (SELECT COUNT(*) FROM answers WHERE user_id=$1 AND is_correct=1)::int AS correct_answers,
+         (SELECT MAX(created_at) FROM answers WHERE user_id=$1) AS last_answer_at,
+         (SELECT COUNT(*) FROM daily_sessions WHERE user_id=$1 AND finished)::int AS daily_finished,
+         (SELECT COUNT(*) FROM duello_matches WHERE user_a_id=$1 OR user_b_id=$1)::int AS duels,
+         (SELECT COALESCE(SUM(amount),0) FROM book_awards WHERE user_id=$1)::int AS books_awarded,
+         (SELECT COALESCE(SUM(amount),0) FROM book_spends WHERE user_id=$1)::int AS books_spent,
+         (SELECT COUNT(*) FROM user_sessions WHERE user_id=$1 AND revoked_at IS NULL
+             AND expires_at > timezone('Europe/Istanbul', now()))::int AS active_sessions,
+         (SELECT MAX(created_at) FROM login_events WHERE user_id=$1 AND success) AS last_login_at`,
+      [uid]
+    );
+    const streak = await get(`SELECT current_streak, longest_streak, last_day_key FROM user_daily_streak WHERE user_id=$1`, [uid]);
+    const sanctions = await all(
+      `SELECT id, kind, reason, expires_at, created_by, created_at, lifted_at, lifted_by, lift_reason
+         FROM user_sanctions WHERE user_id=$1 ORDER BY id DESC LIMIT 20`,
+      [uid]
+    );
+    const book_adjustments = await all(
+      `SELECT id, delta, balance_after, reason, created_by, created_at
+         FROM book_adjustments WHERE user_id=$1 ORDER BY id DESC LIMIT 20`,
+      [uid]
+    );
+    const identities = await all(`SELECT provider, email, created_at, last_login_at FROM user_identities WHERE user_id=$1`, [uid]);
 
-    const u = await get(
-  `SELECT id, email, password FROM users WHERE lower(email)=lower($1)`,
-  [emailNorm]
-);
+    res.json({
+      success: true,
+      user: { ...user, role: normalizeRole(user.role) },
+      active_sanction: await getActiveSanction(uid),
+      activity: { ...activity, streak },
+      sanctions,
+      book_adjustments,
+      identities
+    });
+  } catch (e) {
+    console.error("admin user detail fail:", e.message);
+    res.status(500).json({ error: "Kullanıcı alınamadı" });
+  }
+});
 
-    if (!u) return res.status(404).json({ error: "Kullanıcı bulunamadı." });
+// Askıya al / yasakla: body: { reason, expires_at? | duration_hours? }
+// suspend için bitiş zorunlu; ban bitişsiz verilirse kalıcıdır.
+const SANCTION_SCHEMA = {
+  params: { userId: FIELDS.userId },
+  body: {
+    reason: FIELDS.reason,
+    expires_at: { type: "date" },
+    duration_hours: { type: "number", min: 0.01, max: 24 * 3650 },
+  }
+};
 
-    const ok = await verifyPassword(password, u.password);
-    if (!ok) return res.status(401).json({ error: "Kimlik doğrulaması başarısız." });
+async function handleSanction(kind, req, res) {
+  try {
+    const uid = req.valid.params.userId;
+    const { reason } = req.valid.body;
+    if (uid && uid === req.admin.user_id) return sendError(res, "SANCTION_SELF");
+
+    let expiresAt = null;
+    if (req.valid.body.expires_at) {
+      expiresAt = req.valid.body.expires_at;
+      if (new Date(expiresAt).getTime() <= Date.now()) {
+        return sendError(res, "VALIDATION_FAILED", {
+          details: [{ field: "body.expires_at", rule: "future", message: "gelecekte bir tarih olmalı" }]
+        });
+      }
+    } else if (req.valid.body.duration_hours != null) {
+      expiresAt = new Date(Date.now() + req.valid.body.duration_hours * 3600 * 1000).toISOString();
+    }
+    if (kind === "suspend" && !expiresAt) return sendError(res, "VALIDATION_FAILED", { message: "Askıya alma için expires_at ya da duration_hours zorunlu" });
 
-    // ON DELETE CASCADE ile tüm ilişkili kayıtlar silinecek
-    await run(`DELETE FROM users WHERE id=$1`, [u.id]);
+    const target = await get(
+      `SELECT u.id, EXISTS (SELECT 1 FROM admin_accounts a WHERE a.user_id=u.id AND a.disabled_at IS NULL) AS is_admin
+         FROM users u WHERE u.id=$1 AND u.deleted_at IS NULL`,
+      [uid]
+    );
+    if (!target) return sendError(res, "USER_NOT_FOUND");
+    if (target.is_admin && !req.admin.scopes.includes("admins")) {
+      return sendError(res, "SANCTION_ADMIN_SCOPE");
+    }
 
-    return res.json({ success: true, message: "Hesabın ve ilişkili verilerin silindi." });
+    const sanction = await applySanction(uid, { kind, reason, expiresAt, adminUserId: req.admin.user_id });
+    await auditAdmin(req, {
+      action: `user.${kind}`, target_type: "user", target_id: uid,
+      after: { sanction_id: Number(sanction.id), kind, expires_at: sanction.expires_at }, reason
+    });
+    res.json({ success: true, sanction });
   } catch (e) {
-    console.error("account/delete fail:", e.message);
-    return res.status(500).json({ error: "Hesap silinemedi." });
+    console.error("admin sanction fail:", e.message);
+    res.status(500).json({ error: "Yaptırım uygulanamadı" });
   }
-});
+}
 
+app.post("/api/admin/users/:userId/suspend", requireAdmin("users"), validate(SANCTION_SCHEMA), (req, res) => handleSanction("suspend", req, res));
+app.post("/api/admin/users/:userId/ban", requireAdmin("users"), validate(SANCTION_SCHEMA), (req, res) => handleSanction("ban", req, res));
 
-/* ---------- EDITOR ---------- */
-app.post("/api/surveys", async (req, res) => {
+// Aktif yaptırımları kaldır: body: { reason }
+app.post("/api/admin/users/:userId/unsuspend", requireAdmin("users"), validate({
+  params: { userId: FIELDS.userId }, body: { reason: FIELDS.reason }
+}), async (req, res) => {
   try {
-    const { editor_id, title, start_date, end_date, category, questions } = req.body;
-    const ins = await get(
-      `INSERT INTO surveys (editor_id, title, start_date, end_date, category, status)
-       VALUES ($1,$2,$3,$4,$5,'pending') RETURNING id`,
-      [editor_id, title, start_date, end_date, category]
+    const { reason } = req.valid.body;
+    const rows = await all(
+      `UPDATE user_sanctions
+          SET lifted_at=timezone('Europe/Istanbul', now()), lifted_by=$2, lift_reason=$3
+        WHERE user_id=$1 AND lifted_at IS NULL
+          AND (expires_at IS NULL OR expires_at > timezone('Europe/Istanbul', now()))
+      RETURNING id, kind`,
+      [req.params.userId, req.admin.user_id, reason]
     );
-    const surveyId = ins.id;
-    if (Array.isArray(questions) && questions.length) {
-      for (const q of questions) {
-        let p = 1;
-        if (typeof q.point === "number" && q.point >= 1 && q.point <= 10) p = q.point;
-        const ca = normalizeAnswer(q.correct_answer);
-        await run(
-          `INSERT INTO questions (survey_id, question, correct_answer, point) VALUES ($1,$2,$3,$4)`,
-          [surveyId, q.question, ca, p]
-        );
+    if (!rows.length) return sendError(res, "SANCTION_NOT_FOUND");
+    await auditAdmin(req, {
+      action: "user.unsuspend", target_type: "user", target_id: req.params.userId,
+      before: { sanctions: rows }, reason
+    });
+    res.json({ success: true, lifted: rows });
+  } catch {
+    res.status(500).json({ error: "Yaptırım kaldırılamadı" });
+  }
+});
+
+// Kitap bakiyesi düzelt: body: { delta, reason }  (bakiye 0'ın altına inemez)
+app.post("/api/admin/users/:userId/books", requireAdmin("users"), validate({
+  params: { userId: FIELDS.userId },
+  body: { delta: { type: "integer", required: true, min: -10000, max: 10000 }, reason: FIELDS.reason }
+}), async (req, res) => {
+  try {
+    const { delta, reason } = req.valid.body;
+    if (delta === 0) return sendError(res, "VALIDATION_FAILED", { message: "delta sıfırdan farklı olmalı" });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        `UPDATE users SET books = COALESCE(books,0) + $2
+          WHERE id=$1 AND COALESCE(books,0) + $2 >= 0
+        RETURNING COALESCE(books,0)::int AS books`,
+        [req.params.userId, delta]
+      );
+      if (!rows[0]) {
+        await client.query('ROLLBACK');
+        const exists = await get(`SELECT COALESCE(books,0)::int AS books FROM users WHERE id=$1`, [req.params.userId]);
+        if (!exists) return sendError(res, "USER_NOT_FOUND");
+        return sendError(res, "NOT_ENOUGH_BOOKS", { message: "Bakiye yetersiz", extra: { books: exists.books } });
       }
+      const adj = await client.query(
+        `INSERT INTO book_adjustments (user_id, delta, balance_after, reason, created_by)
+         VALUES ($1,$2,$3,$4,$5)
+         RETURNING id, delta, balance_after, reason, created_at`,
+        [req.params.userId, delta, rows[0].books, reason, req.admin.user_id]
+      );
+      await client.query('COMMIT');
+      await auditAdmin(req, {
+        action: "user.books_adjust", target_type: "user", target_id: req.params.userId,
+        before: { books: rows[0].books - delta }, after: { books: rows[0].books, delta }, reason
+      });
+      res.json({ success: true, books: rows[0].books, adjustment: adj.rows[0] });
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      throw e;
+    } finally {
+      client.release();
     }
-    res.json({ success: true, survey_id: surveyId });
   } catch {
-    res.status(500).json({ error: "Anket kaydedilemedi!" });
+    res.status(500).json({ error: "Kitap bakiyesi güncellenemedi" });
   }
 });
 
-app.get("/api/editor/:editorId/surveys", async (req, res) => {
-  try {
-    const rows = await all(
-      `SELECT * FROM surveys WHERE editor_id=$1 AND status!='deleted' ORDER BY id DESC`,
-      [req.params.editorId]
-    );
-    res.json({ success: true, surveys: rows });
-  } catch { res.status(500).json({ error: "Listeleme hatası!" }); }
+
+// --- Admin hesapları (kişisel kimlik + kapsamlar) ---
+// GET /api/admin/me
+app.get("/api/admin/me", requireAdmin(), async (req, res) => {
+  res.json({ success: true, admin: req.admin });
 });
 
-app.get("/api/surveys/:surveyId/details", async (req, res) => {
+// GET /api/admin/accounts
+app.get("/api/admin/accounts", requireAdmin("admins"), async (_req, res) => {
   try {
-    const surveyId = req.params.surveyId;
-    const survey = await get(`SELECT * FROM surveys WHERE id=$1`, [surveyId]);
-    if (!survey) return res.status(404).json({ error: "Anket bulunamadı" });
-    const questions = await all(`SELECT * FROM questions WHERE survey_id=$1 ORDER BY id ASC`, [surveyId]);
-    res.json({ success: true, survey, questions });
-  } catch { res.status(500).json({ error: "Sorular bulunamadı!" }); }
+    const rows = await all(
+      `SELECT a.user_id, a.scopes, a.created_at, a.updated_at, a.granted_by, a.disabled_at,
+              u.ad, u.soyad, u.email
+         FROM admin_accounts a
+         JOIN users u ON u.id = a.user_id
+        ORDER BY a.disabled_at IS NOT NULL, a.user_id ASC`
+    );
+    res.json({ success: true, accounts: rows });
+  } catch {
+    res.status(500).json({ error: "Admin listesi alınamadı" });
+  }
 });
 
-// === SURVEY QUESTIONS (FE'nin beklediği uç) ===
-app.get("/api/surveys/:surveyId/questions", async (req, res) => {
+// Admin ver/güncelle: POST /api/admin/accounts  body: { user_id | email, scopes: [...] }
+// İlk admin ADMIN_SECRET (break-glass) ile bu uçtan açılır.
+app.post("/api/admin/accounts", requireAdmin("admins"), validate({
+  body: {
+    user_id: { type: "id" },
+    email:   { type: "email", maxLength: 254 },
+    scopes:  { type: "array", required: true, minLength: 1, items: { type: "string", required: true, lowercase: true, enum: ADMIN_SCOPES } },
+  }
+}), async (req, res) => {
   try {
-    const surveyId = req.params.surveyId;
+    const { user_id, email } = req.valid.body;
+    const scopes = [...new Set(req.valid.body.scopes)];
+    if (!user_id && !email) {
+      return sendError(res, "VALIDATION_FAILED", { message: "user_id ya da email zorunlu." });
+    }
 
-    // Anket var mı? (silinmemiş)
-    const sv = await get(
-      `SELECT id FROM surveys WHERE id = $1 AND status != 'deleted'`,
-      [surveyId]
-    );
-    if (!sv) return res.status(404).json({ error: "Anket bulunamadı" });
+    const u = user_id
+      ? await get(`SELECT id FROM users WHERE id=$1`, [user_id])
+      : await get(`SELECT id FROM users WHERE lower(email)=lower($1)`, [email]);
+    if (!u) return sendError(res, "USER_NOT_FOUND");
 
-    // FE'nin kullandığı alanlar: id, survey_id, question, point
-    const rows = await all(
-      `SELECT id, survey_id, question, point
-         FROM questions
-        WHERE survey_id = $1
-        ORDER BY id ASC`,
-      [surveyId]
+    const prev = await get(`SELECT scopes, disabled_at FROM admin_accounts WHERE user_id=$1`, [u.id]);
+    const row = await get(
+      `INSERT INTO admin_accounts (user_id, scopes, granted_by)
+       VALUES ($1,$2,$3)
+       ON CONFLICT (user_id) DO UPDATE
+         SET scopes=EXCLUDED.scopes, granted_by=EXCLUDED.granted_by,
+             disabled_at=NULL, updated_at=timezone('Europe/Istanbul', now())
+       RETURNING user_id, scopes, granted_by, created_at, updated_at`,
+      [u.id, scopes, req.admin.user_id]
     );
-
-    res.json({ success: true, questions: rows });
-  } catch (e) {
-    res.status(500).json({ error: "Sorular alınamadı: " + e.message });
+    await run(`UPDATE users SET role='admin' WHERE id=$1`, [u.id]);
+    await auditAdmin(req, {
+      action: "admin.grant", target_type: "user", target_id: u.id,
+      before: prev && !prev.disabled_at ? { scopes: prev.scopes } : null, after: { scopes }
+    });
+    res.json({ success: true, account: row });
+  } catch {
+    res.status(500).json({ error: "Admin kaydedilemedi" });
   }
 });
 
-app.post("/api/surveys/:surveyId/delete", requireAdmin, async (req, res) => {
-  try { await run(`UPDATE surveys SET status='deleted' WHERE id=$1`, [req.params.surveyId]); res.json({ success: true }); }
-  catch { res.status(500).json({ error: "Silinemedi." }); }
+// Admin yetkisini kaldır: body: { role?: 'player'|'editor'|'reviewer' }
+app.post("/api/admin/accounts/:userId/revoke", requireAdmin("admins"), validate({
+  body: { reason: FIELDS.optReason }
+}), async (req, res) => {
+  try {
+    const uid = Number(req.params.userId);
+    if (uid && uid === req.admin.user_id) return sendError(res, "ADMIN_SELF_REVOKE");
+    const role = String(req.body?.role || "player").toLowerCase();
+    if (!ROLES.includes(role) || role === "admin") return sendError(res, "VALIDATION_FAILED", { message: "Geçersiz role" });
+
+    const row = await get(
+      `UPDATE admin_accounts
+          SET disabled_at=timezone('Europe/Istanbul', now()), updated_at=timezone('Europe/Istanbul', now())
+        WHERE user_id=$1 AND disabled_at IS NULL
+      RETURNING user_id, scopes`,
+      [uid]
+    );
+    if (!row) return sendError(res, "ADMIN_ACCOUNT_NOT_FOUND");
+    await run(`UPDATE users SET role=$2 WHERE id=$1 AND role='admin'`, [uid, role]);
+    await auditAdmin(req, {
+      action: "admin.revoke", target_type: "user", target_id: uid,
+      before: { role: "admin" }, after: { role }, reason: req.valid.body.reason || null
+    });
+    res.json({ success: true });
+  } catch {
+    res.status(500).json({ error: "Admin yetkisi kaldırılamadı" });
+  }
 });
+// Denetim kaydı: GET /api/admin/audit-log?actor=&action=&target_type=&target_id=&from=&to=&page=&limit=
+// action sonunda * ile önek araması yapılır (ör. user.*)
+app.get("/api/admin/audit-log", requireAdmin("audit"), validate({
+  query: {
+    actor: { type: "id" },
+    via: { type: "string", maxLength: 20 },
+    action: { type: "string", maxLength: 100 },
+    target_type: { type: "string", maxLength: 50 },
+    target_id: { type: "string", maxLength: 100 },
+    from: { type: "date" },
+    to: { type: "date" },
+    page: FIELDS.page,
+    limit: { type: "integer", min: 1, max: 200, default: 50 },
+  }
+}), async (req, res) => {
+  try {
+    const query = req.valid.query;
+    const { page, limit } = query;
 
-app.get("/api/admin/surveys", requireAdmin, async (_req, res) => {
+    const where = [];
+    const params = [];
+    const add = (sql, v) => { params.push(v); where.push(sql.replace("?", `$${params.length}`)); };
+
+    if (query.actor) add(`l.actor_user_id = ?`, query.actor);
+    if (query.via) add(`l.actor_via = ?`, query.via);
+    if (query.action) {
+      const a = query.action;
+      if (a.endsWith("*")) add(`l.action LIKE ?`, `${a.slice(0, -1).replace(/[\\%_]/g, m => "\\" + m)}%`);
+      else add(`l.action = ?`, a);
+    }
+    if (query.target_type) add(`l.target_type = ?`, query.target_type);
+    if (query.target_id) add(`l.target_id = ?`, query.target_id);
+    if (query.from) add(`l.created_at >= ?`, query.from);
+    if (query.to) add(`l.created_at < ?`, query.to);
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
-  try {
+    const total = await get(`SELECT COUNT(*)::int AS n FROM admin_audit_log l ${whereSql}`, params);
     const rows = await all(
-      `SELECT surveys.*, users.ad as editor_ad, users.soyad as editor_soyad
-       FROM surveys
-       LEFT JOIN users ON surveys.editor_id = users.id
-       WHERE surveys.status != 'deleted'
-       ORDER BY surveys.id DESC`
+      `SELECT l.*, u.ad AS actor_ad, u.soyad AS actor_soyad, u.email AS actor_email
+         FROM admin_audit_log l
+         LEFT JOIN users u ON u.id = l.actor_user_id
+         ${whereSql}
+        ORDER BY l.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
     );
-    res.json({ success: true, surveys: rows });
-  } catch { res.status(500).json({ error: "Listeleme hatası!" }); }
+    res.json({ success: true, page, limit, total: total.n, entries: rows });
+  } catch (e) {
+    console.error("audit-log fail:", e.message);
+    res.status(500).json({ error: "Denetim kaydı alınamadı" });
+  }
 });
 
+
 // --- Admin Settings KV ---
 // GET /api/admin/settings/:key
-app.get("/api/admin/settings/:key", requireAdmin, async (req, res) => {
+app.get("/api/admin/settings/:key", requireAdmin("settings"), async (req, res) => {
   const { key } = req.params;
   const value = await appGetRaw(key);
   res.json({ success: true, key, value });
 });
 
 // POST /api/admin/settings  body: { key, value }
-app.post("/api/admin/settings", requireAdmin, async (req, res) => {
-  const { key, value } = req.body || {};
-  if (!key) return res.status(400).json({ error: "key required" });
+app.post("/api/admin/settings", requireAdmin("settings"), validate({
+  body: { key: { type: "string", required: true, maxLength: 100, pattern: /^[a-z0-9_.-]+$/i }, reason: FIELDS.optReason }
+}), async (req, res) => {
+  const { key } = req.valid.body;
+  const { value } = req.body;
+  const before = await appGetRaw(key);
   await appSetRaw(key, value);
+  await auditAdmin(req, {
+    action: "settings.write", target_type: "setting", target_id: key,
+    before: before === undefined ? null : { value: before }, after: { value }, reason: req.valid.body.reason || null
+  });
   res.json({ success: true, key, value });
 });
 
 // YARIN için tek seferlik günlük soru sayısı override
 // POST /api/admin/daily/contest-size-next  body: { size: number }
-app.post("/api/admin/daily/contest-size-next", requireAdmin, async (req, res) => {
-  const size = parseInt(req.body?.size, 10);
-  if (!Number.isFinite(size) || size < 1 || size > 200) {
-    return res.status(400).json({ error: "size 1-200 arası olmalı" });
-  }
+app.post("/api/admin/daily/contest-size-next", requireAdmin("settings"), validate({
+  body: { size: { type: "integer", required: true, min: 1, max: 200 } }
+}), async (req, res) => {
+  const { size } = req.valid.body;
   const row = await get(
     `SELECT to_char(timezone('Europe/Istanbul', now()) + interval '1 day', 'YYYY-MM-DD') AS day`
   );
   const tomorrowKey = row?.day;
+  const before = await appGetRaw('daily_contest_size_next');
   await appSetRaw('daily_contest_size_next', { day_key: tomorrowKey, size });
+  await auditAdmin(req, {
+    action: "daily.contest_size_override", target_type: "setting", target_id: "daily_contest_size_next",
+    before: before === undefined ? null : { value: before }, after: { value: { day_key: tomorrowKey, size } }
+  });
   res.json({ success: true, day_key: tomorrowKey, size });
 });
 
 
-app.post("/api/surveys/:surveyId/status", requireAdmin, async (req, res) => {
-  const { status } = req.body;
-  if (!["approved", "rejected"].includes(status)) return res.status(400).json({ error: "Geçersiz durum!" });
-  try { await run(`UPDATE surveys SET status=$1 WHERE id=$2`, [status, req.params.surveyId]); res.json({ success: true }); }
+app.post("/api/surveys/:surveyId/status", requirePermission("surveys.review"), validate({
+  params: { surveyId: { type: "id", required: true } },
+  body: { status: { type: "string", required: true, enum: ["approved", "rejected"] }, reason: FIELDS.optReason }
+}), async (req, res) => {
+  const { status } = req.valid.body;
+  try {
+    const sv = await get(`SELECT id, editor_id, status FROM surveys WHERE id=$1`, [req.params.surveyId]);
+    if (!sv) return sendError(res, "SURVEY_NOT_FOUND");
+    // Reviewer kendi anketini onaylayamaz (admin hariç)
+    if (req.authRole !== "admin" && Number(sv.editor_id) === Number(req.authUserId)) {
+      return sendError(res, "SURVEY_SELF_REVIEW");
+    }
+    await run(`UPDATE surveys SET status=$1 WHERE id=$2`, [status, req.params.surveyId]);
+    await auditAdmin(req, {
+      action: "survey.status_change", target_type: "survey", target_id: sv.id,
+      before: { status: sv.status }, after: { status }, reason: req.valid.body.reason || null
+    });
+    res.json({ success: true });
+  }
   catch { res.status(500).json({ error: "Durum güncellenemedi." }); }
 });
 
-app.post("/api/questions/:questionId/delete", requireAdmin, async (req, res) => {
-  try { await run(`DELETE FROM questions WHERE id=$1`, [req.params.questionId]); res.json({ success: true }); }
+app.post("/api/questions/:questionId/delete", requireAdmin("moderation"), validate({
+  body: { reason: FIELDS.optReason }
+}), async (req, res) => {
+  try {
+    const before = await get(`SELECT * FROM questions WHERE id=$1`, [req.params.questionId]);
+    await run(`DELETE FROM questions WHERE id=$1`, [req.params.questionId]);
+    if (before) {
+      await auditAdmin(req, { action: "question.delete", target_type: "question", target_id: before.id, before, reason: req.valid.body.reason || null });
+    }
+    res.json({ success: true });
+  }
   catch { res.status(500).json({ error: "Soru silinemedi." }); }
 });
 
-app.post("/api/surveys/:surveyId/questions/bulk", async (req, res) => {
-  const surveyId = req.params.surveyId;
-  const { questions } = req.body;
-  if (!Array.isArray(questions) || !questions.length) return res.status(400).json({ error: "questions boş olamaz." });
-  const sv = await get(`SELECT id FROM surveys WHERE id=$1 AND status!='deleted'`, [surveyId]);
-  if (!sv) return res.status(404).json({ error: "Anket bulunamadı." });
-  try {
-    for (const q of questions) {
-      const text = (q.question || "").toString().trim();
-      let point = Number(q.point) || 1; point = Math.min(10, Math.max(1, point));
-      const ca = normalizeAnswer(q.correct_answer);
-      if (!text) return res.status(400).json({ error: "Boş question var" });
-      if (!["evet", "hayır", "bilmem"].includes(ca)) return res.status(400).json({ error: "correct_answer evet/hayır/bilmem olmalı" });
-      await run(`INSERT INTO questions (survey_id, question, correct_answer, point) VALUES ($1,$2,$3,$4)`,
-        [surveyId, text, ca, point]);
+/* ---------- SORU DÜZENLEME + REVİZYON GEÇMİŞİ ---------- */
+const QUESTION_EDIT_FIELDS = ["question", "correct_answer", "point", "qtype", "kind", "numeric_tolerance", "accepted_answers", "options", "media_id", "explanation", "source_url"];
+const QTYPES = [1, 2];
+
+/** Revizyona yazılan hal; options: [{ id, label, is_correct }] (sırasıyla; geri almada id ile eşleşir) */
+function questionSnapshot(q, options = []) {
+  const snap = Object.fromEntries(QUESTION_EDIT_FIELDS.map(f => [f, q[f] ?? null]));
+  snap.kind = snap.kind || "yesno";
+  snap.numeric_tolerance = snap.numeric_tolerance == null ? null : Number(snap.numeric_tolerance);
+  snap.options = options.map(o => (o.id == null ? { label: o.label, is_correct: !!o.is_correct }
+                                                : { id: Number(o.id), label: o.label, is_correct: !!o.is_correct }));
+  return snap;
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Soruyu günceller ve question_revisions'a bir satır yazar (tek transaction).
+ * patch: QUESTION_EDIT_FIELDS'in bir alt kümesi. Birleşmiş hal soru türüne göre doğrulanır.
+ * -> { question, revision } | { errors } (geçersiz tanım; bütün hatalar) | null (soru yoksa); değişiklik yoksa revision null
+ */
+async function applyQuestionEdit(questionId, patch, { editorUserId = null, via = "session", reason = null, revertedFrom = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cur = await client.query(`SELECT * FROM questions WHERE id=$1 FOR UPDATE`, [questionId]);
+    if (!cur.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
     }
-    res.json({ success: true });
-  } catch (e) { res.status(500).json({ error: "Toplu ekleme hatası: " + e.message }); }
+    const curOptions = (await loadQuestionOptions([questionId], client)).get(Number(questionId));
+    const before = questionSnapshot(cur.rows[0], curOptions);
+    const merged = { ...before };
+    for (const f of QUESTION_EDIT_FIELDS) if (patch[f] !== undefined) merged[f] = patch[f];
+    const checked = checkQuestion(merged);
+    if (checked.errors) {
+      await client.query('ROLLBACK');
+      return { errors: checked.errors };
+    }
+    const after = { ...merged, ...checked.value };
+    const changed = QUESTION_EDIT_FIELDS.filter(f => !sameValue(after[f], before[f]));
+    if (!changed.length) {
+      await client.query('ROLLBACK');
+      return { question: { ...cur.rows[0], options: curOptions }, revision: null };
+    }
+
+    const upd = await client.query(
+      `UPDATE questions
+          SET question=$2, correct_answer=$3, point=$4, qtype=$5, kind=$6, numeric_tolerance=$7, accepted_answers=$8,
+              media_id=$9, explanation=$10, source_url=$11
+        WHERE id=$1 RETURNING *`,
+      [questionId, after.question, after.correct_answer, after.point, after.qtype, after.kind, after.numeric_tolerance, after.accepted_answers,
+       after.media_id, after.explanation, after.source_url]
+    );
+    if (changed.includes("options")) await writeQuestionOptions(questionId, after.options, client);
+    const options = (await loadQuestionOptions([questionId], client)).get(Number(questionId));
+    after.options = questionSnapshot(after, options).options; // yeni eklenen seçeneklerin id'leriyle
+    const rev = await client.query(
+      `INSERT INTO question_revisions
+         (question_id, revision, before, after, changed_fields, editor_user_id, editor_via, reason, reverted_from)
+       VALUES ($1,
+               (SELECT COALESCE(MAX(revision),0) + 1 FROM question_revisions WHERE question_id=$1),
+               $2::jsonb, $3::jsonb, $4, $5, $6, $7, $8)
+       RETURNING id, revision, changed_fields, created_at`,
+      [questionId, JSON.stringify(before), JSON.stringify(after), changed, editorUserId, via, reason, revertedFrom]
+    );
+    await client.query('COMMIT');
+    return { question: { ...upd.rows[0], options }, revision: rev.rows[0] };
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Soru güncelle: body: { question?, kind?, correct_answer?, point?, qtype?, numeric_tolerance?,
+//                        accepted_answers?, options?: [{ id?, label, is_correct }], media_id? (null: kaldır),
+//                        explanation?, source_url?, reason? }
+// Tür değişirken yeni türün gerektirdiği alanlar da gönderilmeli (ör. choice -> options).
+// options listenin tamamıdır: korunacak seçenekler id'leriyle gönderilir; id'siz seçenek yeni seçenektir,
+// listede olmayan seçenek silinir (verilmiş cevaplar id ile bağlı, sıraya göre kaymaz).
+// Not: doğru cevap değişince geçmiş cevaplar yeniden puanlanmaz.
+app.post("/api/questions/:questionId/update", requirePermission("surveys.create"), validate({
+  params: { questionId: FIELDS.questionId },
+  body: {
+    question:          { type: "string", minLength: 1, maxLength: 1000 },
+    kind:              { type: "string", lowercase: true, enum: QUESTION_KINDS },
+    correct_answer:    { type: "string", maxLength: 200 },
+    point:             { type: "integer", min: 1, max: 10 },
+    qtype:             { type: "integer", enum: QTYPES },
+    numeric_tolerance: { type: "number", min: 0, nullable: true },
+    accepted_answers:  { type: "array", maxLength: 20, nullable: true, items: { type: "string", maxLength: 200 } },
+    options:           { type: "array", maxLength: 10, items: { type: "object" } },
+    media_id:          { type: "id", nullable: true },
+    explanation:       { type: "string", maxLength: 2000, nullable: true },
+    source_url:        { type: "string", maxLength: 500, nullable: true },
+    reason:            FIELDS.optReason,
+  }
+}), async (req, res) => {
+  try {
+    const { questionId } = req.valid.params;
+    const { reason = null, ...patch } = req.valid.body;
+    if (!Object.keys(patch).length) return sendError(res, "NOTHING_TO_UPDATE");
+    if (patch.media_id) {
+      const media = await checkQuestionMedia(patch.media_id);
+      if (media.error) return sendError(res, "VALIDATION_FAILED", { message: media.error });
+    }
+
+    const sv = await get(
+      `SELECT s.id, s.editor_id FROM questions q JOIN surveys s ON s.id = q.survey_id
+        WHERE q.id=$1 AND s.status!='deleted'`,
+      [questionId]
+    );
+    if (!sv) return sendError(res, "QUESTION_NOT_FOUND");
+    if (!canManageSurvey(req, sv)) return sendError(res, "SURVEY_NOT_OWNED", { message: "Yalnızca kendi anketinizin sorularını düzenleyebilirsiniz." });
+
+    const out = await applyQuestionEdit(questionId, patch, {
+      editorUserId: req.authUserId || null,
+      via: isBreakGlassAdmin(req) ? "break_glass" : "session",
+      reason,
+    });
+    if (!out) return sendError(res, "QUESTION_NOT_FOUND");
+    if (out.errors) return sendError(res, "VALIDATION_FAILED", { message: out.errors[0], details: out.errors.map(message => ({ message })) });
+    res.json({ success: true, question: out.question, revision: out.revision });
+  } catch (e) {
+    res.status(500).json(internalError(e, "Soru güncellenemedi."));
+  }
+});
+
+// Revizyon geçmişi (en yeni önce)
+app.get("/api/admin/questions/:questionId/revisions", requireAdmin("moderation"), validate({
+  params: { questionId: FIELDS.questionId }
+}), async (req, res) => {
+  try {
+    const { questionId } = req.valid.params;
+    const question = await get(`SELECT * FROM questions WHERE id=$1`, [questionId]);
+    if (!question) return sendError(res, "QUESTION_NOT_FOUND");
+    question.options = (await loadQuestionOptions([question.id])).get(Number(question.id));
+    const revisions = await all(
+      `SELECT r.id, r.revision, r.before, r.after, r.changed_fields, r.editor_user_id, r.editor_via,
+              r.reason, r.reverted_from, r.created_at,
+              u.ad AS editor_ad, u.soyad AS editor_soyad, u.email AS editor_email
+         FROM question_revisions r
+         LEFT JOIN users u ON u.id = r.editor_user_id
+        WHERE r.question_id=$1
+        ORDER BY r.revision DESC`,
+      [questionId]
+    );
+    res.json({ success: true, question, revisions });
+  } catch (e) {
+    res.status(500).json(internalError(e, "Revizyonlar alınamadı."));
+  }
+});
+
+// Geri al: soruyu seçilen revizyondan ÖNCEKİ haline döndürür (yeni bir revizyon olarak yazılır)
+app.post("/api/admin/questions/:questionId/revisions/:revision/revert", requireAdmin("moderation"), validate({
+  params: { questionId: FIELDS.questionId, revision: { type: "id", required: true } },
+  body: { reason: FIELDS.optReason }
+}), async (req, res) => {
+  try {
+    const { questionId, revision } = req.valid.params;
+    const reason = req.valid.body.reason || null;
+    const rev = await get(
+      `SELECT revision, before FROM question_revisions WHERE question_id=$1 AND revision=$2`,
+      [questionId, revision]
+    );
+    if (!rev) return sendError(res, "REVISION_NOT_FOUND");
+
+    // Eski revizyonlarda sonradan eklenen alanlar yok: o sorular açıklamasız, medyasız evet/hayır idi
+    const restore = { kind: "yesno", numeric_tolerance: null, accepted_answers: null, options: [], media_id: null,
+                      explanation: null, source_url: null, ...rev.before };
+    const out = await applyQuestionEdit(questionId, restore, {
+      editorUserId: req.admin.user_id, via: req.admin.via, reason, revertedFrom: rev.revision,
+    });
+    if (!out) return sendError(res, "QUESTION_NOT_FOUND");
+    if (out.errors) return sendError(res, "VALIDATION_FAILED", { message: out.errors[0], details: out.errors.map(message => ({ message })) });
+    if (out.revision) {
+      await auditAdmin(req, {
+        action: "question.revert", target_type: "question", target_id: questionId,
+        before: { revision: rev.revision }, after: { revision: out.revision.revision, ...questionSnapshot(out.question, out.question.options) }, reason
+      });
+    }
+    res.json({ success: true, question: out.question, revision: out.revision });
+  } catch (e) {
+    res.status(500).json(internalError(e, "Revizyon geri alınamadı."));
+  }
+});
+
+// Hepsi ya da hiçbiri: önce tüm satırlar doğrulanır, sonra tek transaction'da eklenir.
+// dry_run: true -> satır bazlı doğrulama raporu (boş soru, geçersiz cevap, puan düzeltmesi), yazmaz.
+app.post("/api/surveys/:surveyId/questions/bulk", requirePermission("surveys.create"), validate({
+  params: { surveyId: { type: "id", required: true } },
+  body: { questions: { type: "array", required: true, minLength: 1, maxLength: SURVEY_IMPORT_MAX_ROWS, items: { type: "object" } } }
+}), async (req, res) => {
+  try {
+    const { surveyId } = req.valid.params;
+    const { questions } = req.valid.body;
+    const sv = await get(`SELECT id, editor_id FROM surveys WHERE id=$1 AND status!='deleted'`, [surveyId]);
+    if (!sv) return sendError(res, "SURVEY_NOT_FOUND");
+    if (!canManageSurvey(req, sv)) return sendError(res, "SURVEY_NOT_OWNED");
+
+    const items = questions.map((input, i) => ({ row: i + 1, input }));
+    const checked = await checkQuestionRows(items);
+    if (isDryRun(req)) return res.json(questionRowsReport(items.length, checked));
+    if (checked.errors.length) return sendError(res, "VALIDATION_FAILED", { details: checked.errors });
+
+    const question_ids = await insertQuestionsAtomic(sv.id, checked.rows.map(r => r.value));
+    res.json({ success: true, question_ids, count: question_ids.length });
+  } catch (e) { res.status(500).json(internalError(e, "Toplu ekleme hatası.")); }
+});
+
+/* ---------- ANKET İÇE / DIŞA AKTARIM (CSV / JSON) ---------- */
+// JSON: { survey: { title, category, start_date, end_date }, questions: [...] }  (sorular POST /api/surveys ile aynı)
+// CSV : başlık satırı zorunlu, sütun sırası serbest; anket bilgileri query'den (?title=&category=&start_date=&end_date=).
+//   Sütunlar: question, correct_answer, point, kind, options, numeric_tolerance, accepted_answers,
+//             explanation, source_url, media_id  (id, survey_id gibi diğerleri yok sayılır — test/questions.csv olduğu gibi okunur)
+//   options "|" ile ayrılır, doğru seçenekler "*" ile başlar: "*Ankara|İzmir|İstanbul"; accepted_answers da "|" ile.
+//   Metindeki "|" ve baştaki "*" "\" ile kaçırılır ("a\|b"); = + - @ ile başlayan hücrelere dışa aktarımda ' eklenir.
+// Dışa aktarım aynı biçimleri üretir; çıktı tekrar içe aktarılabilir.
+const SURVEY_IO_COLUMNS = [
+  "question", "correct_answer", "point", "kind", "options", "numeric_tolerance",
+  "accepted_answers", "explanation", "source_url", "media_id",
+];
+const CSV_HEADER_ALIASES = {
+  soru: "question", cevap: "correct_answer", dogru_cevap: "correct_answer", "doğru_cevap": "correct_answer",
+  answer: "correct_answer", puan: "point", tur: "kind", "tür": "kind", secenekler: "options", "seçenekler": "options",
+  aciklama: "explanation", "açıklama": "explanation", kaynak: "source_url",
+};
+
+// Liste hücreleri (options, accepted_answers) "|" ile ayrılır; baştaki "*" doğru seçeneği işaretler.
+// Metnin içindeki "|", "\" ve metnin başındaki "*" önüne "\" konarak yazılır (ör. "a\|b", "\*yıldız").
+// Okurken yalnızca \| \\ \* açılır; başka karakterden önce gelen "\" olduğu gibi kalır.
+const escapeListItem = (x) => String(x).replace(/[\\|]/g, "\\$&").replace(/^\*/, "\\*");
+const unescapeListItem = (x) => x.replace(/\\([\\|*])/g, "$1");
+
+/** "|" ile ayrılmış liste hücresi -> kaçışları henüz açılmamış parçalar */
+function splitListRaw(v) {
+  const s = String(v ?? "");
+  const parts = [];
+  let cur = "";
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "\\" && i + 1 < s.length && "\\|*".includes(s[i + 1])) { cur += s[i] + s[i + 1]; i++; }
+    else if (s[i] === "|") { parts.push(cur); cur = ""; }
+    else cur += s[i];
+  }
+  parts.push(cur);
+  return parts.map(x => x.trim()).filter(Boolean);
+}
+const splitList = (v) => splitListRaw(v).map(unescapeListItem);
+
+/** CSV kaydını soru tanımına çevirir (checkQuestion girdisi) */
+function csvRecordToQuestion(values) {
+  const q = {};
+  for (const [k, v] of Object.entries(values)) {
+    const key = CSV_HEADER_ALIASES[k] || k;
+    if (SURVEY_IO_COLUMNS.includes(key) && q[key] === undefined) q[key] = v;
+  }
+  if (q.options !== undefined) {
+    q.options = splitListRaw(q.options).map(o => (o.startsWith("*")
+      ? { label: unescapeListItem(o.slice(1).trim()), is_correct: true }
+      : { label: unescapeListItem(o), is_correct: false }));
+  }
+  if (q.accepted_answers !== undefined) q.accepted_answers = splitList(q.accepted_answers);
+  return q;
+}
+
+/** Soru satırı (questions + options) -> CSV kaydı */
+function questionToCsvRecord(q) {
+  return {
+    ...q,
+    options: (q.options || []).map(o => `${o.is_correct ? "*" : ""}${escapeListItem(o.label)}`).join("|"),
+    accepted_answers: (q.accepted_answers || []).map(escapeListItem).join("|"),
+  };
+}
+
+// İçe aktar: Content-Type application/json ya da text/csv; ?dry_run=1 yalnızca önizleme döner, yazmaz.
+// Önizleme diğer toplu eklemelerle aynı biçimdedir ({ results, summary }) + survey, survey_errors.
+// Herhangi bir satır hatalıysa hiçbir şey yazılmaz (400 VALIDATION_FAILED, details: [{ row, message }]).
+app.post("/api/surveys/import", requirePermission("surveys.create"),
+  express.text({ type: ["text/csv", "text/plain", "application/csv", "application/vnd.ms-excel"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      const isCsv = typeof req.body === "string";
+      const dryRun = isDryRun(req);
+
+      let meta, items;
+      if (isCsv) {
+        let parsed;
+        try {
+          parsed = parseCsv(req.body);
+        } catch (e) {
+          if (!(e instanceof CsvError)) throw e;
+          return sendError(res, "VALIDATION_FAILED", { details: [{ row: e.line, message: "CSV okunamadı: kapanmamış tırnak." }] });
+        }
+        if (!parsed.header.some(h => (CSV_HEADER_ALIASES[h] || h) === "question")) {
+          return sendError(res, "VALIDATION_FAILED", { message: "CSV başlığında question sütunu olmalı." });
+        }
+        meta = req.query;
+        items = parsed.records.map(r => ({ row: r.line, input: csvRecordToQuestion(r.values) }));
+      } else {
+        meta = req.body?.survey || {};
+        items = (Array.isArray(req.body?.questions) ? req.body.questions : []).map((input, i) => ({ row: i + 1, input }));
+      }
+      if (!items.length) return sendError(res, "VALIDATION_FAILED", { message: "İçe aktarılacak soru yok." });
+      if (items.length > SURVEY_IMPORT_MAX_ROWS) {
+        return sendError(res, "VALIDATION_FAILED", { message: `En fazla ${SURVEY_IMPORT_MAX_ROWS} soru içe aktarılabilir.` });
+      }
+
+      const editor = resolveSurveyEditor(req, isCsv ? req.query.editor_id : req.body?.editor_id);
+      if (editor.code) return sendError(res, editor.code);
+
+      const surveyMeta = validateObject("survey", SURVEY_META_SCHEMA, meta);
+      const checked = await checkQuestionRows(items);
+
+      if (dryRun) return res.json(questionRowsReport(items.length, checked, surveyMeta));
+      if (surveyMeta.errors.length || checked.errors.length) {
+        return sendError(res, "VALIDATION_FAILED", { details: [...surveyMeta.errors, ...checked.errors] });
+      }
+
+      const out = await createSurveyWithQuestions(surveyMeta.value, checked.rows.map(r => r.value), editor.editor_id);
+      res.status(201).json({ success: true, ...out, count: out.question_ids.length });
+    } catch (e) {
+      res.status(500).json(internalError(e, "İçe aktarma başarısız."));
+    }
+  }
+);
+
+// Dışa aktar: ?format=json (varsayılan) | csv
+app.get("/api/surveys/:surveyId/export", requirePermission("surveys.create"), validate({
+  params: { surveyId: { type: "id", required: true } },
+  query: { format: { type: "string", lowercase: true, enum: ["json", "csv"], default: "json" } }
+}), async (req, res) => {
+  try {
+    const { surveyId } = req.valid.params;
+    const survey = await get(
+      `SELECT id, editor_id, title, category, start_date, end_date, status FROM surveys WHERE id=$1 AND status!='deleted'`,
+      [surveyId]
+    );
+    if (!survey) return sendError(res, "SURVEY_NOT_FOUND");
+    if (!canManageSurvey(req, survey) && !hasPermission(req.authRole, "surveys.view_any")) {
+      return sendError(res, "FORBIDDEN");
+    }
+
+    const questions = await all(
+      `SELECT id, question, correct_answer, point, kind, numeric_tolerance, accepted_answers,
+              explanation, source_url, media_id
+         FROM questions WHERE survey_id=$1 ORDER BY id ASC`,
+      [surveyId]
+    );
+    const opts = await loadQuestionOptions(questions.filter(q => q.kind === "choice").map(q => q.id));
+    const out = questions.map(({ id, ...q }) => ({
+      ...q,
+      options: (opts.get(Number(id)) || []).map(o => ({ label: o.label, is_correct: o.is_correct })),
+    }));
+
+    if (req.valid.query.format === "csv") {
+      res.attachment(`survey-${surveyId}.csv`);
+      res.type("text/csv; charset=utf-8");
+      return res.send(toCsv(SURVEY_IO_COLUMNS, out.map(questionToCsvRecord)));
+    }
+    res.attachment(`survey-${surveyId}.json`);
+    res.json({
+      survey: { title: survey.title, category: survey.category, start_date: survey.start_date, end_date: survey.end_date },
+      questions: out,
+    });
+  } catch (e) {
+    res.status(500).json(internalError(e, "Dışa aktarma başarısız."));
+  }
 });
 
 /* ---------- QUOTES ---------- */
 app.get("/api/quotes/random", async (_req, res) => {
   try {
     const row = await get(`SELECT text, author FROM quotes ORDER BY RANDOM() LIMIT 1`);
-    if (!row) return res.status(404).json({ error: "Henüz hiç söz eklenmemiş." });
+    if (!row) return sendError(res, "NO_QUOTES");
     res.json(row);
   } catch (err) {
     console.error("Quote çekme hatası:", err);
@@ -1482,11 +4308,11 @@ app.get("/api/quotes/random", async (_req, res) => {
 /* ---------- USER ---------- */
 
 // -- RO: user_code oku
-app.get("/api/user/:userId/user-code", async (req, res) => {
+app.get("/api/user/:userId/user-code", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
     const u = await get(`SELECT id FROM users WHERE id=$1`, [uid]);
-    if (!u) return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+    if (!u) return sendError(res, "USER_NOT_FOUND");
 
     const code = await ensureUserCodeForUser(uid);
     res.json({ success: true, user_code: code });
@@ -1569,7 +4395,7 @@ app.get("/api/debug/whoami", async (_req, res) => {
       questions: b?.c || 0
     });
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e) });
+    res.status(500).json({ ok: false, ...internalError(e, "Debug bilgisi alınamadı.") });
   }
 });
 
@@ -1593,32 +4419,32 @@ async function ensureDuelloProfile(userId) {
 }
 
 /** Profili getir (yoksa oluştur) */
-app.get("/api/duello/profile/:userId", async (req, res) => {
+app.get("/api/duello/profile/:userId", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
-    if (!uid) return res.status(400).json({ error: "Geçersiz userId" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "Geçersiz userId" });
 
     // kullanıcı var mı?
     const u = await get(`SELECT id FROM users WHERE id=$1`, [uid]);
-    if (!u) return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+    if (!u) return sendError(res, "USER_NOT_FOUND");
 
     const prof = await ensureDuelloProfile(uid);
     return res.json({ success: true, profile: prof });
   } catch (e) {
-    res.status(500).json({ error: "Düello profili alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Düello profili alınamadı."));
   }
 });
 
 /** Hazırım anahtarı: true/false */
-app.post("/api/duello/ready", async (req, res) => {
+app.post("/api/duello/ready", requireSelf("body.user_id"), requireVerifiedFor("duels", "body.user_id"), async (req, res) => {
   try {
     const uid = Number(req.body?.user_id);
     const ready = req.body?.ready === true || String(req.body?.ready) === "true";
-    if (!uid) return res.status(400).json({ error: "user_id zorunlu" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "user_id zorunlu" });
 
     // kullanıcı doğrula
     const u = await get(`SELECT id FROM users WHERE id=$1`, [uid]);
-    if (!u) return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+    if (!u) return sendError(res, "USER_NOT_FOUND");
 
     await ensureDuelloProfile(uid);
 
@@ -1634,22 +4460,22 @@ app.post("/api/duello/ready", async (req, res) => {
 
     return res.json({ success: true, profile: row });
   } catch (e) {
-    res.status(500).json({ error: "Hazır durumu güncellenemedi: " + e.message });
+    res.status(500).json(internalError(e, "Hazır durumu güncellenemedi."));
   }
 });
 
 /** Görünürlük: public | friends | none */
-app.post("/api/duello/visibility", async (req, res) => {
+app.post("/api/duello/visibility", requireSelf("body.user_id"), async (req, res) => {
   try {
     const uid = Number(req.body?.user_id);
     const mode = String(req.body?.visibility_mode || "").toLowerCase();
-    if (!uid) return res.status(400).json({ error: "user_id zorunlu" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "user_id zorunlu" });
     if (!["public", "friends", "none"].includes(mode)) {
-      return res.status(400).json({ error: "visibility_mode public|friends|none olmalı" });
+      return sendError(res, "VALIDATION_FAILED", { message: "visibility_mode public|friends|none olmalı" });
     }
 
     const u = await get(`SELECT id FROM users WHERE id=$1`, [uid]);
-    if (!u) return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+    if (!u) return sendError(res, "USER_NOT_FOUND");
 
     await ensureDuelloProfile(uid);
 
@@ -1663,7 +4489,7 @@ app.post("/api/duello/visibility", async (req, res) => {
 
     return res.json({ success: true, profile: row });
   } catch (e) {
-    res.status(500).json({ error: "Görünürlük güncellenemedi: " + e.message });
+    res.status(500).json(internalError(e, "Görünürlük güncellenemedi."));
   }
 });
 
@@ -1714,7 +4540,7 @@ async function hasFreshPendingInvite(a, b) {
 /** Kullanıcı kodundan kullanıcıyı bulur */
 async function findUserByIdOrCode({ user_id, user_code }) {
   if (user_id) {
-    return await get(`SELECT id, ad, soyad, user_code FROM users WHERE id=$1`, [user_id]);
+    return await get(`SELECT id, ad, soyad, user_code FROM users WHERE id=$1 AND deleted_at IS NULL`, [user_id]);
   }
   if (user_code) {
     const code = String(user_code).trim().toUpperCase();
@@ -1737,6 +4563,13 @@ async function findRandomReadyOpponent(excludeUserId) {
       JOIN users u ON u.id = p.user_id
      WHERE p.ready = TRUE
        AND u.id <> $1
+       AND (u.email_verified_at IS NOT NULL OR $2::boolean)
+       AND NOT u.is_guest
+       AND NOT EXISTS (
+         SELECT 1 FROM user_sanctions s
+          WHERE s.user_id = u.id AND s.lifted_at IS NULL
+            AND (s.expires_at IS NULL OR s.expires_at > timezone('Europe/Istanbul', now()))
+       )
        AND NOT EXISTS (
          SELECT 1 FROM duello_matches m
           WHERE m.state = 'active'
@@ -1745,7 +4578,7 @@ async function findRandomReadyOpponent(excludeUserId) {
      ORDER BY random()
      LIMIT 20
     `,
-    [excludeUserId]
+    [excludeUserId, (await getUnverifiedPolicy()).duels !== false]
   );
 
   // "Oyunda" = bu backend sürecinde SSE bağlantısı açık olan kullanıcı
@@ -1766,15 +4599,13 @@ app.get("/api/duello/random-ready", async (req, res) => {
     const opp = await findRandomReadyOpponent(exclude || 0);
     res.json({ success: true, user: opp || null });
   } catch (e) {
-    res.status(500).json({ error: "random-ready başarısız: " + e.message });
+    res.status(500).json(internalError(e, "random-ready başarısız."));
   }
 });
 
 // POST: eşleşmeyi hemen başlatır ve match_id döner
 app.post("/api/duello/random-ready/start", (req, res) => {
-  return res.status(410).json({
-    error: "Bu uç kapatıldı. Yeni akış: GET /api/duello/random-ready + POST /api/duello/invite"
-  });
+  return sendError(res, "ENDPOINT_GONE");
 });
 
 
@@ -1783,7 +4614,7 @@ app.post("/api/duello/random-ready/start", (req, res) => {
  * Kural: Tek aktif maç — hem gönderenin hem alıcının aktif maçı olmamalı.
  * Not: Alıcı 'ready=OFF' olsa bile user_code ile doğrudan davet GİDER (kuralınız).
  */
-app.post("/api/duello/invite", async (req, res) => {
+app.post("/api/duello/invite", requireSelf("body.from_user_id"), requireVerifiedFor("duels", "body.from_user_id"), async (req, res) => {
   try {
     const fromId = Number(req.body?.from_user_id);
     const mode   = String(req.body?.mode || "info").toLowerCase(); // 'info' | 'speed'
@@ -1792,13 +4623,16 @@ app.post("/api/duello/invite", async (req, res) => {
       user_code: req.body?.to_user_code
     });
 
-    if (!fromId) return res.status(400).json({ error: "from_user_id zorunlu" });
-    if (!toUser) return res.status(404).json({ error: "Hedef kullanıcı bulunamadı" });
+    if (!fromId) return sendError(res, "VALIDATION_FAILED", { message: "from_user_id zorunlu" });
+    if (!toUser) return sendError(res, "USER_NOT_FOUND", { message: "Hedef kullanıcı bulunamadı" });
     if (!["info", "speed"].includes(mode))
-      return res.status(400).json({ error: "mode 'info' veya 'speed' olmalı" });
+      return sendError(res, "VALIDATION_FAILED", { message: "mode 'info' veya 'speed' olmalı" });
 
     const toId = Number(toUser.id);
-    if (fromId === toId) return res.status(400).json({ error: "Kendinize davet gönderemezsiniz" });
+    if (fromId === toId) return sendError(res, "INVITE_SELF");
+    if (!(await canUseFeature(toId, "duels"))) {
+      return sendError(res, "DUEL_NOT_ACCEPTING");
+    }
 
     // durumları tazele
     await expireOldInvites();
@@ -1807,12 +4641,12 @@ app.post("/api/duello/invite", async (req, res) => {
 await duelloRefreshFinished();
 
     // tek aktif maç kuralı
-    if (await hasActiveMatch(fromId)) return res.status(409).json({ error: "Gönderenin aktif düellosu var" });
-    if (await hasActiveMatch(toId))   return res.status(409).json({ error: "Alıcının aktif düellosu var" });
+    if (await hasActiveMatch(fromId)) return sendError(res, "SENDER_IN_DUEL");
+    if (await hasActiveMatch(toId))   return sendError(res, "RECIPIENT_IN_DUEL");
 
     // tekrar eden açık davet engeli
     if (await hasFreshPendingInvite(fromId, toId)) {
-      return res.status(409).json({ error: "Zaten açık bir davet var" });
+      return sendError(res, "INVITE_ALREADY_OPEN");
     }
 
     // 5 dk geçerli
@@ -1861,7 +4695,7 @@ try {
 
     return res.json({ success: true, invite: inv });
   } catch (e) {
-    res.status(500).json({ error: "Davet oluşturulamadı: " + e.message });
+    res.status(500).json(internalError(e, "Davet oluşturulamadı."));
   }
 });
 
@@ -1872,14 +4706,14 @@ try {
  * - Kabulde tek aktif maç kuralı yeniden kontrol
  * - Kabulde duello_matches kaydı oluşturulur (soru seti bir sonraki adımda)
  */
-app.post("/api/duello/invite/respond", async (req, res) => {
+app.post("/api/duello/invite/respond", requireSelf("body.user_id"), requireVerifiedFor("duels", "body.user_id"), async (req, res) => {
   try {
     const inviteId = Number(req.body?.invite_id);
     const userId   = Number(req.body?.user_id);
     const action   = String(req.body?.action || "").toLowerCase(); // 'accept' | 'reject'
-    if (!inviteId || !userId) return res.status(400).json({ error: "invite_id ve user_id zorunlu" });
+    if (!inviteId || !userId) return sendError(res, "VALIDATION_FAILED", { message: "invite_id ve user_id zorunlu" });
     if (!["accept", "reject"].includes(action))
-      return res.status(400).json({ error: "action 'accept' veya 'reject' olmalı" });
+      return sendError(res, "VALIDATION_FAILED", { message: "action 'accept' veya 'reject' olmalı" });
 
     await expireOldInvites();
 
@@ -1889,8 +4723,8 @@ app.post("/api/duello/invite/respond", async (req, res) => {
         WHERE id=$1`,
       [inviteId]
     );
-    if (!inv) return res.status(404).json({ error: "Davet bulunamadı" });
-if (Number(inv.to_user_id) !== userId) return res.status(403).json({ error: "Bu daveti yanıtlama yetkiniz yok" });
+    if (!inv) return sendError(res, "INVITE_NOT_FOUND");
+if (Number(inv.to_user_id) !== userId) return sendError(res, "INVITE_FORBIDDEN");
 
 // --- İDEMPOTENT ACCEPT: davet zaten accepted ise mevcut maçı döndür ---
 if (action === "accept") {
@@ -1908,10 +4742,10 @@ if (action === "accept") {
     });
   }
   if (inv.status === "expired") {
-    return res.status(410).json({ error: "Davetin süresi dolmuş" });
+    return sendError(res, "INVITE_EXPIRED");
   }
   if (inv.status === "rejected" || inv.status === "cancelled") {
-    return res.status(409).json({ error: "Davet artık pending değil" });
+    return sendError(res, "INVITE_NOT_PENDING");
   }
 }
 
@@ -1921,9 +4755,9 @@ if (action === "reject" && inv.status !== "pending") {
     return res.json({ success: true, invite: { id: inviteId, status: "rejected" } });
   }
   if (inv.status === "expired") {
-    return res.status(410).json({ error: "Davetin süresi dolmuş" });
+    return sendError(res, "INVITE_EXPIRED");
   }
-  return res.status(409).json({ error: "Davet artık pending değil" });
+  return sendError(res, "INVITE_NOT_PENDING");
 }
 
 // süresi geçti mi? (halen pending ise expire et)
@@ -1934,7 +4768,7 @@ if (inv.status === "pending") {
   );
   if (expired?.exp) {
     await run(`UPDATE duello_invites SET status='expired' WHERE id=$1`, [inviteId]);
-    return res.status(410).json({ error: "Davetin süresi dolmuş" });
+    return sendError(res, "INVITE_EXPIRED");
   }
 }
 
@@ -1960,6 +4794,9 @@ if (action === "reject") {
     const fromId = Number(inv.from_user_id);
     const toId   = Number(inv.to_user_id);
 
+    // Ayar pool üzerinden okunur; transaction açılmadan önce alınmalı
+    const TOTAL_Q = await appGetInt('duel_questions_per_match', 12);
+
     // === Atomik kabul: transaction + advisory lock ===
     const client = await pool.connect();
     try {
@@ -1980,12 +4817,12 @@ if (action === "reject") {
       );
       if (!invRow.rows.length) {
         await client.query('ROLLBACK');
-        return res.status(404).json({ error: "Davet bulunamadı" });
+        return sendError(res, "INVITE_NOT_FOUND");
       }
       const lockedInv = invRow.rows[0];
       if (lockedInv.status !== 'pending') {
         await client.query('ROLLBACK');
-        return res.status(409).json({ error: "Davet artık pending değil" });
+        return sendError(res, "INVITE_NOT_PENDING");
       }
 
       // Süresi dolmuş mu?
@@ -2002,7 +4839,7 @@ if (action === "reject") {
           [inviteId]
         );
         await client.query('COMMIT');
-        return res.status(410).json({ error: "Davetin süresi dolmuş" });
+        return sendError(res, "INVITE_EXPIRED");
       }
 
       // İki taraf için 'bitmiş' olduğu halde active kalan maçları kapat
@@ -2024,7 +4861,7 @@ if (action === "reject") {
       );
       if (actA.rows.length) {
         await client.query('ROLLBACK');
-        return res.status(409).json({ error: "Gönderenin aktif düellosu var" });
+        return sendError(res, "SENDER_IN_DUEL");
       }
       const actB = await client.query(
         `SELECT 1 FROM duello_matches
@@ -2033,11 +4870,10 @@ if (action === "reject") {
       );
       if (actB.rows.length) {
         await client.query('ROLLBACK');
-        return res.status(409).json({ error: "Alıcının aktif düellosu var" });
+        return sendError(res, "RECIPIENT_IN_DUEL");
       }
 
       // Maçı oluştur
-      const TOTAL_Q = await appGetInt('duel_questions_per_match', 12);
       const matchIns = await client.query(
   `INSERT INTO duello_matches
     (mode, user_a_id, user_b_id, created_at, state, total_questions, current_index,
@@ -2091,17 +4927,17 @@ sseEmit(Number(toId),   "invite:accepted", { invite_id: Number(inviteId), match_
     }
 
   } catch (e) {
-    res.status(500).json({ error: "Davet yanıtlanamadı: " + e.message });
+    res.status(500).json(internalError(e, "Davet yanıtlanamadı."));
   }
 });
 
 // Davet iptali: sadece gönderen (from_user_id) iptal edebilir
-app.post("/api/duello/invite/cancel", async (req, res) => {
+app.post("/api/duello/invite/cancel", requireSelf("body.user_id"), async (req, res) => {
   try {
     const inviteId = Number(req.body?.invite_id);
     const userId   = Number(req.body?.user_id);
     if (!inviteId || !userId) {
-      return res.status(400).json({ error: "invite_id ve user_id zorunlu" });
+      return sendError(res, "VALIDATION_FAILED", { message: "invite_id ve user_id zorunlu" });
     }
 
     // Süresi geçmiş pending'leri temizle (yarış durumlarını güncel tut)
@@ -2113,10 +4949,10 @@ app.post("/api/duello/invite/cancel", async (req, res) => {
         WHERE id = $1`,
       [inviteId]
     );
-    if (!inv) return res.status(404).json({ error: "Davet bulunamadı" });
+    if (!inv) return sendError(res, "INVITE_NOT_FOUND");
 
     if (Number(inv.from_user_id) !== userId) {
-      return res.status(403).json({ error: "Bu daveti iptal etme yetkiniz yok" });
+      return sendError(res, "INVITE_FORBIDDEN", { message: "Bu daveti iptal etme yetkiniz yok" });
     }
 
     // Idempotent davranış: zaten 'cancelled' ise success dön
@@ -2131,7 +4967,7 @@ sseEmit(Number(inv.from_user_id), "invite:cancelled", { invite_id: Number(invite
 
     // Pending değilse (accepted/rejected/expired) iptal edilemez
     if (inv.status !== "pending") {
-      return res.status(409).json({ error: "Davet artık pending değil" });
+      return sendError(res, "INVITE_NOT_PENDING");
     }
 
     // İptal et
@@ -2153,7 +4989,7 @@ sseEmit(Number(inv.from_user_id), "invite:cancelled", { invite_id: Number(invite
 
     return res.json({ success: true, invite: row });
   } catch (e) {
-    return res.status(500).json({ error: "Davet iptal edilemedi: " + e.message });
+    return res.status(500).json(internalError(e, "Davet iptal edilemedi."));
   }
 });
 
@@ -2186,10 +5022,10 @@ async function outboxSig(uid) {
 
 
 // === DUELLO: Inbox (ETag ile hafif polling) ===
-app.get("/api/duello/inbox/:userId", async (req, res) => {
+app.get("/api/duello/inbox/:userId", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
-    if (!uid) return res.status(400).json({ error: "userId zorunlu" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "userId zorunlu" });
 
     // Ucuz imza + ETag
     const sig = await inboxSig(uid);
@@ -2216,15 +5052,15 @@ app.get("/api/duello/inbox/:userId", async (req, res) => {
 
     res.json({ success: true, invites: rows, inbox: rows });
   } catch (e) {
-    res.status(500).json({ error: "Gelen davetler alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Gelen davetler alınamadı."));
   }
 });
 
 // === DUELLO: Outbox (ETag ile hafif polling) ===
-app.get("/api/duello/outbox/:userId", async (req, res) => {
+app.get("/api/duello/outbox/:userId", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
-    if (!uid) return res.status(400).json({ error: "userId zorunlu" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "userId zorunlu" });
 
     // Ucuz imza + ETag
     const sig = await outboxSig(uid);
@@ -2251,7 +5087,7 @@ app.get("/api/duello/outbox/:userId", async (req, res) => {
 
     res.json({ success: true, invites: rows, outbox: rows });
   } catch (e) {
-    res.status(500).json({ error: "Giden davetler alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Giden davetler alınamadı."));
   }
 });
 
@@ -2259,18 +5095,16 @@ app.get("/api/duello/outbox/:userId", async (req, res) => {
 // === DUELLO: Rastgele hazır rakip bul ve maçı başlat ===
 // FE: POST /api/duello/random-ready  body: { user_id, mode: 'info'|'speed' }
 app.post("/api/duello/random-ready", (req, res) => {
-  return res.status(410).json({
-    error: "Bu uç kapatıldı. Yeni akış: GET /api/duello/random-ready + POST /api/duello/invite"
-  });
+  return sendError(res, "ENDPOINT_GONE");
 });
 
 
 
 /* --- DUELLO: kullanıcının aktif maçı var mı? (inviter için polling) --- */
-app.get("/api/duello/active/:userId", async (req, res) => {
+app.get("/api/duello/active/:userId", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
-    if (!uid) return res.status(400).json({ error: "userId zorunlu" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "userId zorunlu" });
     
     const row = await get(
       `SELECT id
@@ -2283,7 +5117,7 @@ app.get("/api/duello/active/:userId", async (req, res) => {
 
     res.json({ success: true, match_id: row?.id || null });
   } catch (e) {
-    res.status(500).json({ error: "Aktif maç kontrolü hatası: " + e.message });
+    res.status(500).json(internalError(e, "Aktif maç kontrolü hatası."));
   }
 });
 
@@ -2395,14 +5229,18 @@ async function duelloScores(matchId, aId, bId) {
   return { score_a: row?.score_a || 0, score_b: row?.score_b || 0 };
 }
 
-/** Cevabı normalize et (bilgi+hız modunda kullanıcıdan 'bilmem' kabul etmeyeceğiz) */
-function normalizeDuelloAnswer(mode, raw) {
-  const s = normalizeAnswer(raw);
-  if (mode === "speed" && s === "bilmem") {
+/**
+ * Cevabı sorunun türüne göre puanlar (hız modunda kullanıcıdan 'bilmem' kabul etmeyeceğiz)
+ * -> { answer, is_correct } | null (hız modunda bilmem) ; soru yoksa undefined
+ */
+async function gradeDuelloAnswer(mode, questionId, raw) {
+  const g = await gradeQuestionAnswer(questionId, raw);
+  if (!g) return undefined;
+  if (mode === "speed" && g.answer === "bilmem") {
     // kullanıcıdan gelen bilmem yok; sistem gerektiğinde otomatik atar
     return null;
   }
-  return s;
+  return { answer: g.answer, is_correct: g.is_correct };
 }
 
 /** Active görünüp fiilen bitmiş maçları 'finished' yapar (idempotent) */
@@ -2428,15 +5266,15 @@ function duelloIsOver(m) {
  * Maç durumunu döner: soru seti, aktif soru, verilen cevaplar, skorlar.
  * FE: 24 sn sayaç sizde; server zaman saymıyor.
  */
-app.get("/api/duello/match/:matchId/status", async (req, res) => {
+app.get("/api/duello/match/:matchId/status", requireSelf("query.user_id"), async (req, res) => {
   try {
     const matchId = Number(req.params.matchId);
     const userId  = Number(req.query.user_id);
-    if (!matchId || !userId) return res.status(400).json({ error: "matchId ve user_id zorunlu" });
+    if (!matchId || !userId) return sendError(res, "VALIDATION_FAILED", { message: "matchId ve user_id zorunlu" });
 
     const m = await duelloGetMatch(matchId);
-    if (!m) return res.status(404).json({ error: "Maç bulunamadı" });
-    if (!inThisMatch(m, userId)) return res.status(403).json({ error: "Bu maça erişiminiz yok" });
+    if (!m) return sendError(res, "MATCH_NOT_FOUND");
+    if (!inThisMatch(m, userId)) return sendError(res, "MATCH_ACCESS_DENIED");
 
 await run(
   `UPDATE duello_matches
@@ -2497,12 +5335,14 @@ if (!qid) {
 
 
     const q = await get(
-      `SELECT q.id, q.question, q.point, q.survey_id, s.title AS survey_title
+      `SELECT q.id, q.question, q.point, q.kind, q.media_id, q.survey_id, s.title AS survey_title
          FROM questions q
          LEFT JOIN surveys s ON s.id = q.survey_id
         WHERE q.id=$1`,
       [qid]
     );
+    await withQuestionKinds([q]);
+    await withQuestionMedia([q]);
 
     const ans = await duelloGetAnswers(m.id, qid);
     const myAns  = ans.find(a => Number(a.user_id) === userId) || null;
@@ -2528,7 +5368,7 @@ if (!qid) {
       ui: { per_question_seconds: DUELLO_PER_Q_SEC, reveal_seconds: DUELLO_REVEAL_SEC }
     });
   } catch (e) {
-    res.status(500).json({ error: "Maç durumu alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Maç durumu alınamadı."));
   }
 });
 
@@ -2539,7 +5379,7 @@ if (!qid) {
  * - Hız modunda ilk gelen cevap soruyu KİLİTLER; rakibe sistem 'bilmem' yazar.
  * Skor güncellemesi ve ilerletme REVEAL ile yapılır (idempotent).
  */
-app.post("/api/duello/match/:matchId/answer", async (req, res) => {
+app.post("/api/duello/match/:matchId/answer", requireSelf("body.user_id"), async (req, res) => {
   try {
     const matchId = Number(req.params.matchId);
     const userId  = Number(req.body?.user_id);
@@ -2547,12 +5387,12 @@ app.post("/api/duello/match/:matchId/answer", async (req, res) => {
     const tls     = Number(req.body?.time_left_seconds);
     const mls     = Number(req.body?.max_time_seconds);
 
-    if (!matchId || !userId) return res.status(400).json({ error: "matchId ve user_id zorunlu" });
+    if (!matchId || !userId) return sendError(res, "VALIDATION_FAILED", { message: "matchId ve user_id zorunlu" });
 
     const m = await duelloGetMatch(matchId);
-    if (!m) return res.status(404).json({ error: "Maç bulunamadı" });
-    if (m.state !== "active") return res.status(409).json({ error: "Maç aktif değil" });
-    if (!inThisMatch(m, userId)) return res.status(403).json({ error: "Bu maça erişiminiz yok" });
+    if (!m) return sendError(res, "MATCH_NOT_FOUND");
+    if (m.state !== "active") return sendError(res, "MATCH_NOT_ACTIVE");
+    if (!inThisMatch(m, userId)) return sendError(res, "MATCH_ACCESS_DENIED");
 
 await run(
   `UPDATE duello_matches
@@ -2568,18 +5408,21 @@ await run(
     // Aktif soru
     const currentPos = Number(m.current_index) + 1;
     const qid = await duelloGetQuestionIdByPos(m.id, currentPos);
-    if (!qid) return res.status(400).json({ error: "Aktif soru yok" });
+    if (!qid) return sendError(res, "NO_ACTIVE_QUESTION");
 
-    // Cevabı normalize et
-    const norm = normalizeDuelloAnswer(String(m.mode), answer);
-    if (norm == null) return res.status(400).json({ error: "Hız modunda 'bilmem' seçeneği yok" });
+    // Cevabı soru türüne göre puanla
+    const graded = await gradeDuelloAnswer(String(m.mode), qid, answer);
+    if (graded === undefined) return sendError(res, "QUESTION_NOT_FOUND");
+    if (graded === null) return sendError(res, "SPEED_NO_SKIP");
+    const norm = graded.answer;
+    const isCorrect = graded.is_correct;
 
     // Zaten cevap vermiş mi?
     const myPrev = await get(
       `SELECT 1 FROM duello_answers WHERE match_id=$1 AND question_id=$2 AND user_id=$3`,
       [matchId, qid, userId]
     );
-    if (myPrev) return res.status(409).json({ error: "Bu soruya zaten cevap verdiniz" });
+    if (myPrev) return sendError(res, "ALREADY_ANSWERED");
 
     // Hız modunda ilk gelen kazanır: önce başka bir cevap var mı?
     const prev = await all(
@@ -2587,10 +5430,6 @@ await run(
       [matchId, qid]
     );
 
-    // Doğruluk
-    const qc = await get(`SELECT correct_answer FROM questions WHERE id=$1`, [qid]);
-    const isCorrect = qc?.correct_answer === norm ? 1 : 0;
-
     // Zaman alanları
     const maxSec = Number.isFinite(mls) ? Math.max(1, Math.min(120, Math.round(mls))) : DUELLO_PER_Q_SEC;
     const leftRaw = Number.isFinite(tls) ? Math.round(tls) : 0;
@@ -2599,22 +5438,19 @@ await run(
     if (String(m.mode) === "speed") {
   // 1) İlk cevabı atomik şekilde yaz (NOT EXISTS ile)
   const ins = await get(`
-    WITH ins AS (
-      INSERT INTO duello_answers
-        (match_id, question_id, user_id, answer, is_correct, created_at,
-         max_time_seconds, time_left_seconds, earned_seconds)
-      SELECT $1,$2,$3,$4,$5, timezone('Europe/Istanbul', now()),
-             $6,$7,$7
-      WHERE NOT EXISTS (
-        SELECT 1 FROM duello_answers WHERE match_id=$1 AND question_id=$2
-      )
-      RETURNING 1 AS ok
+    INSERT INTO duello_answers
+      (match_id, question_id, user_id, answer, is_correct, created_at,
+       max_time_seconds, time_left_seconds, earned_seconds)
+    SELECT $1,$2,$3,$4,$5, timezone('Europe/Istanbul', now()),
+           $6,$7,$7
+    WHERE NOT EXISTS (
+      SELECT 1 FROM duello_answers WHERE match_id=$1 AND question_id=$2
     )
-    SELECT COALESCE((SELECT ok FROM ins), 0) AS ok
+    RETURNING 1 AS ok
   `, [matchId, qid, userId, norm, isCorrect, maxSec, leftSec]);
 
   if (!ins?.ok) {
-    return res.status(409).json({ error: "Soru kilitlendi (hız modu)" });
+    return sendError(res, "QUESTION_LOCKED");
   }
 
   // 2) Rakibe anında 'bilmem' (yoksa)
@@ -2649,35 +5485,56 @@ await run(
 
     return res.json({ success: true, locked: false });
   } catch (e) {
-    res.status(500).json({ error: "Cevap kaydedilemedi: " + e.message });
+    res.status(500).json(internalError(e, "Cevap kaydedilemedi."));
   }
 });
 
 /* ——— REVEAL / NEXT ——— */
+/**
+ * Tamamlanmış düello sorusunun açıklaması (pos: 1'den başlar).
+ * Yalnızca o soruya cevabı (ya da sistemin yazdığı 'bilmem'i) olan oyuncuya döner.
+ */
+async function duelloRevealFor(matchId, pos, userId) {
+  if (!(pos >= 1)) return null;
+  const row = await get(
+    `SELECT mq.pos, q.id AS question_id, q.explanation, q.source_url
+       FROM duello_match_questions mq
+       JOIN questions q ON q.id = mq.question_id
+       JOIN duello_answers da ON da.match_id = mq.match_id AND da.question_id = mq.question_id AND da.user_id = $3
+      WHERE mq.match_id = $1 AND mq.pos = $2`,
+    [matchId, pos, userId]
+  );
+  return row ? { pos: Number(row.pos), question_id: row.question_id, ...answerReveal(row) } : null;
+}
+
 /**
  * 24 sn bittiğinde FE bu ucu çağırır:
  * - Eksik cevap(lar) varsa INFO modunda 'bilmem' ile tamamlanır.
  * - (SCORE) Skor toplamları status'ta hesaplandığı için burada yalnızca ilerletiriz.
  * - Son sorudan sonra maçı bitirir (state='finished').
+ * - reveal: son tamamlanan sorunun açıklaması (iki taraf da aynı soruyu görür; henüz yoksa null).
  * Idempotent: Aynı soruya ikinci kez çağrı ilerletmez.
  */
-app.post("/api/duello/match/:matchId/reveal", async (req, res) => {
+app.post("/api/duello/match/:matchId/reveal", requireSelf("body.user_id"), async (req, res) => {
   try {
     const matchId = Number(req.params.matchId);
     const userId  = Number(req.body?.user_id);
-    if (!matchId || !userId) return res.status(400).json({ error: "matchId ve user_id zorunlu" });
+    if (!matchId || !userId) return sendError(res, "VALIDATION_FAILED", { message: "matchId ve user_id zorunlu" });
 
     const m = await duelloGetMatch(matchId);
-    if (!m) return res.status(404).json({ error: "Maç bulunamadı" });
+    if (!m) return sendError(res, "MATCH_NOT_FOUND");
     if (m.state !== "active") {
       try {
   sseEmit(Number(m.user_a_id), "match:finished", { match_id: Number(m.id) });
   sseEmit(Number(m.user_b_id), "match:finished", { match_id: Number(m.id) });
 } catch (_) {}
 
-      return res.json({ success: true, finished: true, current_index: Number(m.current_index) });
+      return res.json({
+        success: true, finished: true, current_index: Number(m.current_index),
+        reveal: await duelloRevealFor(matchId, Number(m.current_index), userId)
+      });
     }
-    if (!inThisMatch(m, userId)) return res.status(403).json({ error: "Bu maça erişiminiz yok" });
+    if (!inThisMatch(m, userId)) return sendError(res, "MATCH_ACCESS_DENIED");
 
 await run(
   `UPDATE duello_matches
@@ -2697,7 +5554,7 @@ await run(
     sseEmit(Number(m.user_a_id), "match:finished", { match_id: Number(m.id) });
     sseEmit(Number(m.user_b_id), "match:finished", { match_id: Number(m.id) });
   } catch (_) {}
-  return res.json({ success: true, finished: true, current_index: total });
+  return res.json({ success: true, finished: true, current_index: total, reveal: await duelloRevealFor(matchId, total, userId) });
 }
 
 
@@ -2708,7 +5565,7 @@ await run(
     sseEmit(Number(m.user_a_id), "match:finished", { match_id: Number(m.id) });
     sseEmit(Number(m.user_b_id), "match:finished", { match_id: Number(m.id) });
   } catch (_) {}
-  return res.json({ success: true, finished: true, current_index: total });
+  return res.json({ success: true, finished: true, current_index: total, reveal: await duelloRevealFor(matchId, total, userId) });
 }
 
 
@@ -2766,18 +5623,21 @@ await run(
     sseEmit(Number(m.user_a_id), "match:finished", { match_id: Number(m.id) });
     sseEmit(Number(m.user_b_id), "match:finished", { match_id: Number(m.id) });
   } catch (_) {}
-  return res.json({ success: true, finished: true, current_index: nextIdx });
+  return res.json({ success: true, finished: true, current_index: nextIdx, reveal: await duelloRevealFor(matchId, nextIdx, userId) });
 }
 
 
       await run(`UPDATE duello_matches SET current_index=$2 WHERE id=$1`, [matchId, nextIdx]);
-      return res.json({ success: true, finished: false, current_index: nextIdx });
+      return res.json({ success: true, finished: false, current_index: nextIdx, reveal: await duelloRevealFor(matchId, nextIdx, userId) });
     }
 
-    // henüz iki cevap yoksa ilerletme yok
-    return res.json({ success: true, finished: false, current_index: Number(m.current_index) });
+    // henüz iki cevap yoksa ilerletme yok (reveal: bir önceki, zaten tamamlanmış soru)
+    return res.json({
+      success: true, finished: false, current_index: Number(m.current_index),
+      reveal: await duelloRevealFor(matchId, Number(m.current_index), userId)
+    });
   } catch (e) {
-    res.status(500).json({ error: "Reveal işlemi yapılamadı: " + e.message });
+    res.status(500).json(internalError(e, "Reveal işlemi yapılamadı."));
   }
 });
 
@@ -2803,14 +5663,23 @@ async function insertAnswer({
   ]);
 }
 
-app.post("/api/answers", async (req, res) => {
+const ANSWER_SCHEMA = {
+  body: {
+    user_id: FIELDS.userId,
+    question_id: FIELDS.questionId,
+    // choice türünde seçilen seçenek id'leri virgülle ("4" / "4,7")
+    answer: { type: "string", maxLength: 500 },
+    time_left_seconds: { type: "number", min: 0 },
+    max_time_seconds: { type: "number", min: 0 },
+  }
+};
+
+app.post("/api/answers", requireSelf("body.user_id"), requireVerifiedFor("practice", "body.user_id"), validate(ANSWER_SCHEMA), async (req, res) => {
   const { user_id, question_id, answer, time_left_seconds, max_time_seconds } = req.body;
   try {
-    const q = await get(`SELECT correct_answer FROM questions WHERE id=$1`, [question_id]);
-    if (!q) return res.status(400).json({ error: "Soru bulunamadı!" });
-
-    const norm = normalizeAnswer(answer);
-    const is_correct = q.correct_answer === norm ? 1 : 0;
+    const graded = await gradeQuestionAnswer(question_id, answer);
+    if (!graded) return sendError(res, "QUESTION_NOT_FOUND", { status: 400 });
+    const { answer: norm, is_correct } = graded;
 
     const parsedMax = Number(max_time_seconds);
     const parsedLeft = Number(time_left_seconds);
@@ -2824,35 +5693,34 @@ app.post("/api/answers", async (req, res) => {
       maxSec, leftSec, earned, isDaily: false, dailyKey: null
     });
 
-    res.json({ success: true, is_correct, time_left_seconds: leftSec, max_time_seconds: maxSec, earned_seconds: earned });
+    res.json({
+      success: true, is_correct, time_left_seconds: leftSec, max_time_seconds: maxSec, earned_seconds: earned,
+      ...answerReveal(graded.question)
+    });
   } catch (e) {
-    res.status(500).json({ error: "Cevap kaydedilemedi! " + e.message });
+    res.status(500).json(internalError(e, "Cevap kaydedilemedi!"));
   }
 });
 
 // === KADEMELİ: cevap kaydı + oturum sayaçları ===
-app.post("/api/ladder/answer", async (req, res) => {
+app.post("/api/ladder/answer", requireSelf("body.user_id"), requireVerifiedFor("practice", "body.user_id"), async (req, res) => {
   try {
     const { user_id, question_id, answer, time_left_seconds, max_time_seconds, reset } = req.body || {};
     if (!user_id || !question_id) {
-      return res.status(400).json({ error: "user_id ve question_id zorunludur." });
+      return sendError(res, "VALIDATION_FAILED", { message: "user_id ve question_id zorunludur." });
     }
 
-    // Soru puanı (seviye)
-    const q = await get(`SELECT id, point FROM questions WHERE id=$1`, [question_id]);
-    if (!q) return res.status(404).json({ error: "Soru bulunamadı" });
-    const level = Math.max(1, Math.min(10, Number(q.point) || 1));
+    // Cevabı soru türüne göre puanla; soru puanı = seviye
+    const graded = await gradeQuestionAnswer(question_id, answer);
+    if (!graded) return sendError(res, "QUESTION_NOT_FOUND");
+    const { answer: norm, is_correct } = graded;
+    const level = Math.max(1, Math.min(10, Number(graded.question.point) || 1));
 
     // Oturumu hazırla (reset parametresi gelirse sıfırla)
     const forceReset =
       reset === true || reset === 1 || String(reset).trim() === "1";
     await ensureLadderSession(user_id, level, forceReset);
 
-    // Cevabı normalize et ve doğruluğu hesapla
-    const qc = await get(`SELECT correct_answer FROM questions WHERE id=$1`, [question_id]);
-    const norm = normalizeAnswer(answer);
-    const is_correct = qc?.correct_answer === norm ? 1 : 0;
-
     // Süre hesapları (answers endpoint’i ile aynı mantık)
     const parsedMax = Number(max_time_seconds);
     const parsedLeft = Number(time_left_seconds);
@@ -2901,7 +5769,8 @@ app.post("/api/ladder/answer", async (req, res) => {
       attempts,
       correct,
       success_rate,
-      level: level
+      level: level,
+      ...answerReveal(graded.question)
     });
   } catch (e) {
     console.error("ladder/answer fail:", e);
@@ -2909,21 +5778,21 @@ app.post("/api/ladder/answer", async (req, res) => {
   }
 });
 
-app.get("/api/user/:userId/answers", async (req, res) => {
+app.get("/api/user/:userId/answers", requireSelf("params.userId"), async (req, res) => {
   try {
     const rows = await all(`SELECT question_id, is_correct, answer FROM answers WHERE user_id=$1`, [req.params.userId]);
     res.json({ success: true, answers: rows });
   } catch { res.status(500).json({ error: "Listeleme hatası!" }); }
 });
 
-app.get("/api/user/:userId/answered", async (req, res) => {
+app.get("/api/user/:userId/answered", requireSelf("params.userId"), async (req, res) => {
   try {
     const rows = await all(`SELECT question_id FROM answers WHERE user_id=$1`, [req.params.userId]);
     res.json({ success: true, answered: rows.map(r => r.question_id) });
   } catch { res.status(500).json({ error: "Listeleme hatası!" }); }
 });
 
-app.get("/api/user/:userId/total-points", async (req, res) => {
+app.get("/api/user/:userId/total-points", requireSelf("params.userId"), async (req, res) => {
   try {
     const rows = await all(
       `SELECT a.answer, a.is_correct, a.bonus_points, q.point
@@ -2942,11 +5811,11 @@ app.get("/api/user/:userId/total-points", async (req, res) => {
 
     res.json({ success: true, totalPoints: total, answeredCount: rows.length });
   } catch (e) {
-    res.status(500).json({ error: "Puan alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Puan alınamadı."));
   }
 });
 
-app.get("/api/user/:userId/score", async (req, res) => {
+app.get("/api/user/:userId/score", requireSelf("params.userId"), async (req, res) => {
   try {
     const row = await get(
       `SELECT
@@ -2959,7 +5828,7 @@ app.get("/api/user/:userId/score", async (req, res) => {
   } catch { res.status(500).json({ error: "Skor hatası!" }); }
 });
 
-app.get("/api/surveys/:surveyId/answers-report", requireAdmin, async (req, res) => {
+app.get("/api/surveys/:surveyId/answers-report", requireAdmin("stats"), async (req, res) => {
   try {
     const surveyId = req.params.surveyId;
     const questions = await all(`SELECT id, question FROM questions WHERE survey_id=$1 ORDER BY id ASC`, [surveyId]);
@@ -2993,7 +5862,7 @@ app.get("/api/surveys/:surveyId/answers-report", requireAdmin, async (req, res)
 });
 
 /* ---------- PUANLARIM (title bazında) ---------- */
-app.get("/api/user/:userId/performance", async (req, res) => {
+app.get("/api/user/:userId/performance", requireSelf("params.userId"), async (req, res) => {
   try {
     const userId = req.params.userId;
     const rows = await all(
@@ -3106,13 +5975,13 @@ async function ensureLadderSession(userId, level, forceReset = false) {
 /* ---------- KADEMELİ YARIŞ ---------- */
 
 // --- KADEMELİ: oturum başlat (sayaçları 0'a çek) ---
-app.post("/api/ladder/session/start", async (req, res) => {
+app.post("/api/ladder/session/start", requireSelf("body.user_id"), async (req, res) => {
   try {
     const userId = Number(req.body?.user_id);
     const lvl = Math.max(1, Math.min(10, Number(req.body?.level) || 1));
 
     if (!userId) {
-      return res.status(400).json({ error: "user_id zorunlu." });
+      return sendError(res, "VALIDATION_FAILED", { message: "user_id zorunlu." });
     }
 
     // mevcut şemaya uygun: tek satırlık oturum, seviye değişince sayaçlar sıfırlanır
@@ -3130,12 +5999,12 @@ app.post("/api/ladder/session/start", async (req, res) => {
     return res.json({ success: true });
   } catch (e) {
     console.error(e);
-    return res.status(500).json({ error: "Kademeli oturum başlatılamadı: " + e.message });
+    return res.status(500).json(internalError(e, "Kademeli oturum başlatılamadı."));
   }
 });
 
 
-app.get("/api/user/:userId/kademeli-questions", async (req, res) => {
+app.get("/api/user/:userId/kademeli-questions", requireSelf("params.userId"), async (req, res) => {
   try {
     const userId = Number(req.params.userId);
     const point = Number(req.query.point || 1);
@@ -3143,12 +6012,12 @@ app.get("/api/user/:userId/kademeli-questions", async (req, res) => {
 const limit = Math.min(1000, Math.max(10, Number(req.query.limit || cfg.questionsLimit)));
 
     if (!point || point < 1 || point > 10) {
-      return res.status(400).json({ error: "Geçersiz point. 1-10 arası olmalı." });
+      return sendError(res, "VALIDATION_FAILED", { message: "Geçersiz point. 1-10 arası olmalı." });
     }
 
     const rows = await all(
       `
-      SELECT q.id, q.survey_id, q.question, q.point
+      SELECT q.id, q.survey_id, q.question, q.point, q.kind, q.media_id
         FROM questions q
         INNER JOIN surveys s ON s.id = q.survey_id
        WHERE s.status = 'approved'
@@ -3162,6 +6031,8 @@ const limit = Math.min(1000, Math.max(10, Number(req.query.limit || cfg.question
       `,
       [userId, point, limit]
     );
+    await withQuestionKinds(rows);
+    await withQuestionMedia(rows);
 
     res.json({ success: true, questions: rows });
   } catch (e) {
@@ -3170,12 +6041,12 @@ const limit = Math.min(1000, Math.max(10, Number(req.query.limit || cfg.question
   }
 });
 
-app.get("/api/user/:userId/kademeli-progress", async (req, res) => {
+app.get("/api/user/:userId/kademeli-progress", requireSelf("params.userId"), async (req, res) => {
   try {
     const userId = Number(req.params.userId);
     const point = Number(req.query.point || 1);
     if (!point || point < 1 || point > 10) {
-      return res.status(400).json({ error: "Geçersiz point. 1-10 arası olmalı." });
+      return sendError(res, "VALIDATION_FAILED", { message: "Geçersiz point. 1-10 arası olmalı." });
     }
 
     // Yalnızca user_id ile oku; seviye eşleşmiyorsa 409
@@ -3199,10 +6070,8 @@ app.get("/api/user/:userId/kademeli-progress", async (req, res) => {
     }
 
     if (Number(st.current_level) !== Number(point)) {
-      return res.status(409).json({
-        error: "Seviye uyumsuz. Aktif oturum seviyesi farklı.",
-        current_level: Number(st.current_level),
-        requested_point: Number(point)
+      return sendError(res, "LEVEL_MISMATCH", {
+        extra: { current_level: Number(st.current_level), requested_point: Number(point) }
       });
     }
 
@@ -3227,12 +6096,12 @@ return res.json({
   }
 });
 
-app.get("/api/user/:userId/kademeli-next", async (req, res) => {
+app.get("/api/user/:userId/kademeli-next", requireSelf("params.userId"), async (req, res) => {
   try {
     const userId = Number(req.params.userId);
     const point = Number(req.query.point || 1);
     if (!point || point < 1 || point > 10) {
-      return res.status(400).json({ error: "Geçersiz point. 1-10 arası olmalı." });
+      return sendError(res, "VALIDATION_FAILED", { message: "Geçersiz point. 1-10 arası olmalı." });
     }
 
     // Yalnızca user_id ile oku; seviye eşleşmiyorsa 409
@@ -3258,10 +6127,8 @@ app.get("/api/user/:userId/kademeli-next", async (req, res) => {
     }
 
     if (Number(st.current_level) !== Number(point)) {
-      return res.status(409).json({
-        error: "Seviye uyumsuz. Aktif oturum seviyesi farklı.",
-        current_level: Number(st.current_level),
-        requested_point: Number(point)
+      return sendError(res, "LEVEL_MISMATCH", {
+        extra: { current_level: Number(st.current_level), requested_point: Number(point) }
       });
     }
 
@@ -3314,13 +6181,13 @@ const ok = (attempts >= cfg.minAttempts && success_rate >= cfg.requiredRate);
 });
 
 // --- KADEMELİ: oturumu başlat/sıfırla ---
-app.post("/api/ladder/start", async (req, res) => {
+app.post("/api/ladder/start", requireSelf("body.user_id"), async (req, res) => {
   try {
     const user_id = Number(req.body?.user_id);
     const level   = Math.max(1, Math.min(10, Number(req.body?.level) || 1));
 
     if (!user_id) {
-      return res.status(400).json({ error: "user_id zorunlu." });
+      return sendError(res, "VALIDATION_FAILED", { message: "user_id zorunlu." });
     }
 
     // reset=true -> attempts=0, correct=0, current_level=level, start_ts=now()
@@ -3348,7 +6215,7 @@ app.post("/api/ladder/start", async (req, res) => {
 });
 
 // --- KADEMELİ: en iyi (erişilen) seviye: sadece oku ---
-app.get("/api/user/:userId/ladder-best-level", async (req, res) => {
+app.get("/api/user/:userId/ladder-best-level", requireSelf("params.userId"), async (req, res) => {
   try {
     const row = await get(
       `SELECT COALESCE(ladder_best_level,0)::int AS best_level
@@ -3366,7 +6233,7 @@ app.get("/api/user/:userId/ladder-best-level", async (req, res) => {
 
 
 // --- KADEMELİ: en iyi (erişilen) seviye: yaz (frontend'in beklediği) ---
-app.post("/api/user/:userId/ladder-best-level", async (req, res) => {
+app.post("/api/user/:userId/ladder-best-level", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
     const level = Math.max(0, Math.min(10, Number(req.body?.level) || 0));
@@ -3378,13 +6245,13 @@ app.post("/api/user/:userId/ladder-best-level", async (req, res) => {
     );
     res.json({ success: true, best_level: level });
   } catch (e) {
-    res.status(500).json({ error: "En iyi kademe yazılamadı: " + e.message });
+    res.status(500).json(internalError(e, "En iyi kademe yazılamadı."));
   }
 });
 
 // === DUELLO: Kullanıcının son rakipleri (ad/soyad + user_code) ===
 // GET /api/duello/user/:userId/recents?limit=12
-app.get("/api/duello/user/:userId/recents", async (req, res) => {
+app.get("/api/duello/user/:userId/recents", requireSelf("params.userId"), async (req, res) => {
   try {
     const uid = Number(req.params.userId);
     const limit = Math.max(1, Math.min(50, parseInt(req.query.limit || "12", 10)));
@@ -3399,14 +6266,14 @@ app.get("/api/duello/user/:userId/recents", async (req, res) => {
          WHERE (m.user_a_id = $1 OR m.user_b_id = $1)
       ),
       last_per_opp AS (
-        SELECT DISTINCT ON (opp.id)
-               opp.id, opp.ad, opp.soyad, opp.user_code, my.ts
+        SELECT opp.id, opp.ad, opp.soyad, opp.user_code, my.ts,
+               ROW_NUMBER() OVER (PARTITION BY opp.id ORDER BY my.ts DESC) AS rn
           FROM my_matches my
           JOIN users opp
             ON opp.id = CASE WHEN my.user_a_id = $1 THEN my.user_b_id ELSE my.user_a_id END
-         ORDER BY opp.id, my.ts DESC
       )
-      SELECT * FROM last_per_opp
+      SELECT id, ad, soyad, user_code, ts FROM last_per_opp
+      WHERE rn = 1
       ORDER BY user_code IS NULL, user_code ASC NULLS LAST, id ASC
       LIMIT $2
       `,
@@ -3415,7 +6282,7 @@ app.get("/api/duello/user/:userId/recents", async (req, res) => {
 
     return res.json({ success: true, recents: rows });
   } catch (e) {
-    return res.status(500).json({ error: "Son rakipler alınamadı: " + e.message });
+    return res.status(500).json(internalError(e, "Son rakipler alınamadı."));
   }
 });
 
@@ -3455,7 +6322,7 @@ async function duelloMatchTotals(matchId) {
 app.get("/api/duello/user/:id/stats", async (req, res) => {
   try {
     const uid = Number(req.params.id);
-    if (!uid) return res.status(400).json({ success: false, error: "invalid user id" });
+    if (!uid) return sendError(res, "VALIDATION_FAILED", { message: "invalid user id", extra: { success: false } });
 
     // Bitmiş maçlar üzerinden skorları hesaplayıp W/L/D çıkarıyoruz
     const row = await get(
@@ -3521,16 +6388,16 @@ app.get("/api/duello/user/:id/stats", async (req, res) => {
 
 
 /** Maç özeti: skorlar + kazanan */
-app.get("/api/duello/match/:matchId/summary", async (req, res) => {
+app.get("/api/duello/match/:matchId/summary", requireSelf("query.user_id"), async (req, res) => {
   try {
     const matchId = Number(req.params.matchId);
     const userId  = Number(req.query.user_id);
-    if (!matchId || !userId) return res.status(400).json({ error: "matchId ve user_id zorunlu" });
+    if (!matchId || !userId) return sendError(res, "VALIDATION_FAILED", { message: "matchId ve user_id zorunlu" });
 
     const m = await get(`SELECT * FROM duello_matches WHERE id=$1`, [matchId]);
-    if (!m) return res.status(404).json({ error: "Maç bulunamadı" });
+    if (!m) return sendError(res, "MATCH_NOT_FOUND");
     if (Number(m.user_a_id) !== userId && Number(m.user_b_id) !== userId) {
-      return res.status(403).json({ error: "Bu maça erişiminiz yok" });
+      return sendError(res, "MATCH_ACCESS_DENIED");
     }
 
     // Soru setini garanti et (fonksiyon yoksa sessizce geç)
@@ -3575,7 +6442,7 @@ app.get("/api/duello/match/:matchId/summary", async (req, res) => {
       result
     });
   } catch (e) {
-    res.status(500).json({ error: "Maç özeti alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Maç özeti alınamadı."));
   }
 });
 
@@ -3587,7 +6454,7 @@ app.get("/api/duello/match/:matchId/summary", async (req, res) => {
 app.get("/api/duello/user/:userId/basic-stats", async (req, res) => {
   try {
     const userId = Number(req.params.userId);
-    if (!userId) return res.status(400).json({ error: "userId zorunlu" });
+    if (!userId) return sendError(res, "VALIDATION_FAILED", { message: "userId zorunlu" });
 
     // 1) Mode bazında W/L/D (sadece bitmiş maçlar)
     const modeRows = await all(
@@ -3708,7 +6575,7 @@ app.get("/api/duello/user/:userId/basic-stats", async (req, res) => {
       }))
     });
   } catch (e) {
-    res.status(500).json({ error: "Kullanıcı düello istatistikleri alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Kullanıcı düello istatistikleri alınamadı."));
   }
 });
 
@@ -3799,10 +6666,10 @@ async function getOrCreateDailySession(userId, dayKey) {
   return s;
 }
 
-app.get("/api/daily/status", async (req, res) => {
+app.get("/api/daily/status", requireSelf("query.user_id"), requireVerifiedFor("daily", "query.user_id"), async (req, res) => {
   try {
     const user_id = Number(req.query.user_id);
-    if (!user_id) return res.status(400).json({ error: "user_id zorunlu" });
+    if (!user_id) return sendError(res, "VALIDATION_FAILED", { message: "user_id zorunlu" });
 
     const dayKey = await getDayKey();
     await decayDailyStreakIfMissed(user_id, dayKey);
@@ -3841,13 +6708,15 @@ app.get("/api/daily/status", async (req, res) => {
     }
 
     const q = await get(`
-      SELECT q.id, q.question, q.point, q.survey_id, s.title AS survey_title
+      SELECT q.id, q.question, q.point, q.kind, q.media_id, q.survey_id, s.title AS survey_title
         FROM questions q
         LEFT JOIN surveys s ON s.id = q.survey_id
        WHERE q.id = $1
     `, [ids[idx]]);
 
     if (!q) return res.status(500).json({ error: "Soru setinde geçersiz id" });
+    await withQuestionKinds([q]);
+    await withQuestionMedia([q]);
 
     res.json({
       success: true,
@@ -3862,15 +6731,15 @@ app.get("/api/daily/status", async (req, res) => {
     });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Günlük durum alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Günlük durum alınamadı."));
   }
 });
 
-app.post("/api/daily/answer", async (req, res) => {
+app.post("/api/daily/answer", requireSelf("body.user_id"), requireVerifiedFor("daily", "body.user_id"), async (req, res) => {
   try {
     const { user_id, question_id, answer, time_left_seconds, max_time_seconds } = req.body;
     if (!user_id || !question_id) {
-      return res.status(400).json({ error: "user_id ve question_id zorunludur." });
+      return sendError(res, "VALIDATION_FAILED", { message: "user_id ve question_id zorunludur." });
     }
 
     const dayKey = await getDayKey();
@@ -3890,14 +6759,12 @@ app.post("/api/daily/answer", async (req, res) => {
 
     const expectedId = ids[session.current_index];
     if (!expectedId || Number(expectedId) !== Number(question_id)) {
-      return res.status(409).json({ error: "Soru senkron değil. Sayfayı yenileyin." });
+      return sendError(res, "QUESTION_OUT_OF_SYNC");
     }
 
-    const q = await get(`SELECT correct_answer FROM questions WHERE id=$1`, [question_id]);
-    if (!q) return res.status(400).json({ error: "Soru bulunamadı!" });
-
-    const norm = normalizeAnswer(answer);
-    const is_correct = q.correct_answer === norm ? 1 : 0;
+    const graded = await gradeQuestionAnswer(question_id, answer);
+    if (!graded) return sendError(res, "QUESTION_NOT_FOUND", { status: 400 });
+    const { answer: norm, is_correct } = graded;
 
     const parsedMax = Number(max_time_seconds);
     const parsedLeft = Number(time_left_seconds);
@@ -3941,12 +6808,14 @@ app.post("/api/daily/answer", async (req, res) => {
 
     let awarded_books = 0;
     if (isFinished) {
-      const ins = await get(`
+      // Politika izin vermiyorsa doğrulanmamış hesap bitirme ödülü almaz
+      const eligible = await canUseFeature(user_id, "daily_prizes");
+      const ins = eligible ? await get(`
         INSERT INTO daily_finisher_awards (user_id, day_key, amount)
         VALUES ($1, $2, 2)
         ON CONFLICT (user_id, day_key) DO NOTHING
         RETURNING 1 AS ok
-      `, [user_id, dayKey]);
+      `, [user_id, dayKey]) : null;
 
       if (ins?.ok) {
         await run(`UPDATE users SET books = COALESCE(books,0) + 2 WHERE id=$1`, [user_id]);
@@ -3965,7 +6834,8 @@ app.post("/api/daily/answer", async (req, res) => {
       index: nextIndex,
       finished: isFinished,
       awarded_books,
-      bonus_points: bonusPoints
+      bonus_points: bonusPoints,
+      ...answerReveal(graded.question)
     });
 
   } catch (e) {
@@ -3974,11 +6844,11 @@ app.post("/api/daily/answer", async (req, res) => {
   }
 });
 
-app.post("/api/daily/skip", async (req, res) => {
+app.post("/api/daily/skip", requireSelf("body.user_id"), requireVerifiedFor("daily", "body.user_id"), async (req, res) => {
   try {
     const { user_id, question_id, time_left_seconds, max_time_seconds } = req.body;
     if (!user_id || !question_id) {
-      return res.status(400).json({ error: "user_id ve question_id zorunludur." });
+      return sendError(res, "VALIDATION_FAILED", { message: "user_id ve question_id zorunludur." });
     }
 
     const dayKey = await getDayKey();
@@ -3999,7 +6869,7 @@ app.post("/api/daily/skip", async (req, res) => {
     // Doğru sıradaki soruyu kontrol et
     const expectedId = ids[session.current_index];
     if (!expectedId || Number(expectedId) !== Number(question_id)) {
-      return res.status(409).json({ error: "Soru senkron değil. Sayfayı yenileyin." });
+      return sendError(res, "QUESTION_OUT_OF_SYNC");
     }
 
     // Süre hesapları
@@ -4037,12 +6907,14 @@ app.post("/api/daily/skip", async (req, res) => {
     // Bittiyse günlük tamamlama ödülü + streak güncelle
     let awarded_books = 0;
     if (isFinished) {
-      const ins = await get(`
+      // Politika izin vermiyorsa doğrulanmamış hesap bitirme ödülü almaz
+      const eligible = await canUseFeature(user_id, "daily_prizes");
+      const ins = eligible ? await get(`
         INSERT INTO daily_finisher_awards (user_id, day_key, amount)
         VALUES ($1, $2, 2)
         ON CONFLICT (user_id, day_key) DO NOTHING
         RETURNING 1 AS ok
-      `, [user_id, dayKey]);
+      `, [user_id, dayKey]) : null;
 
       if (ins?.ok) {
         await run(`UPDATE users SET books = COALESCE(books,0) + 2 WHERE id=$1`, [user_id]);
@@ -4054,7 +6926,8 @@ app.post("/api/daily/skip", async (req, res) => {
       }
     }
 
-    return res.json({ success: true, index: nextIndex, finished: isFinished, awarded_books });
+    const q = await get(`SELECT explanation, source_url FROM questions WHERE id=$1`, [question_id]);
+    return res.json({ success: true, index: nextIndex, finished: isFinished, awarded_books, ...answerReveal(q) });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ error: "Günlük skip kaydedilemedi" });
@@ -4132,7 +7005,7 @@ app.get("/api/daily/champions", async (req, res) => {
     res.json({ success: true, champions: rows });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "Günün birincileri alınamadı: " + e.message });
+    res.status(500).json(internalError(e, "Günün birincileri alınamadı."));
   }
 });
 
@@ -4150,7 +7023,7 @@ app.get("/api/important-day", async (req, res) => {
   }
 });
 
-app.get("/api/user/:userId/books", async (req, res) => {
+app.get("/api/user/:userId/books", requireSelf("params.userId"), async (req, res) => {
   try {
     const row = await get(`SELECT COALESCE(books,0)::int AS books FROM users WHERE id=$1`, [req.params.userId]);
     res.json({ success: true, books: row?.books || 0 });
@@ -4159,13 +7032,15 @@ app.get("/api/user/:userId/books", async (req, res) => {
   }
 });
 
-app.post("/api/books/spend", async (req, res) => {
+app.post("/api/books/spend", requireSelf("body.user_id"), validate({
+  body: { user_id: FIELDS.userId, question_id: FIELDS.questionId }
+}), async (req, res) => {
   try {
-    const { user_id, question_id } = req.body || {};
-    if (!user_id || !question_id) return res.status(400).json({ error: "user_id ve question_id zorunludur." });
+    const { user_id, question_id } = req.valid.body;
 
-    const q = await get(`SELECT correct_answer FROM questions WHERE id=$1`, [question_id]);
-    if (!q) return res.status(404).json({ error: "Soru bulunamadı" });
+    const q = await get(`SELECT id, kind, correct_answer, numeric_tolerance FROM questions WHERE id=$1`, [question_id]);
+    if (!q) return sendError(res, "QUESTION_NOT_FOUND");
+    const options = q.kind === "choice" ? (await loadQuestionOptions([q.id])).get(Number(q.id)) : [];
 
     const dec = await get(
       `UPDATE users SET books = COALESCE(books,0) - 1
@@ -4173,49 +7048,28 @@ app.post("/api/books/spend", async (req, res) => {
        RETURNING COALESCE(books,0)::int AS books`,
       [user_id]
     );
-    if (!dec) return res.status(400).json({ error: "Yetersiz kitap." });
+    if (!dec) return sendError(res, "NOT_ENOUGH_BOOKS");
 
     const dayKey = await getDayKey();
     await run(`INSERT INTO book_spends (user_id, question_id, day_key, amount) VALUES ($1,$2,$3,1)`,
       [user_id, question_id, dayKey]);
 
-    res.json({ success: true, remaining: dec.books, correct_answer: q.correct_answer });
+    // choice: correct_answer doğru seçeneklerin metni, ayrıca correct_option_ids
+    res.json({ success: true, remaining: dec.books, kind: q.kind || "yesno", ...displayAnswer(q, options) });
   } catch (e) {
-    res.status(500).json({ error: "Kitap kullanılamadı: " + e.message });
+    res.status(500).json(internalError(e, "Kitap kullanılamadı."));
   }
 });
 
-app.post("/api/daily/award-books", requireAdmin, async (req, res) => {
+app.post("/api/daily/award-books", requireAdmin("awards"), validate({
+  body: { reason: FIELDS.optReason }
+}), async (req, res) => {
   try {
       
     const targetDay = req.body?.day || await getYesterdayKey();
-    if (!targetDay) return res.status(400).json({ error: "day belirlenemedi" });
+    if (!targetDay) return sendError(res, "VALIDATION_FAILED", { message: "day belirlenemedi" });
 
-    const winners = await all(
-      `
-      SELECT
-        u.id,
-        COALESCE(SUM(
-          CASE
-            WHEN a.answer = 'bilmem' THEN 0
-            WHEN a.is_correct = 1 THEN q.point + COALESCE(a.bonus_points,0)
-            WHEN a.is_correct = 0 THEN -q.point
-            ELSE 0
-          END
-        ),0)::int AS total_points,
-        COALESCE(SUM(GREATEST(a.max_time_seconds,0) - GREATEST(a.time_left_seconds,0)),0)::int AS time_spent
-      FROM users u
-      INNER JOIN answers a ON a.user_id = u.id
-      INNER JOIN questions q ON q.id = a.question_id
-      WHERE a.is_daily = true
-        AND a.daily_key = $1
-      GROUP BY u.id
-      HAVING COUNT(a.*) > 0
-      ORDER BY total_points DESC, time_spent ASC, u.id ASC
-      LIMIT 3
-      `,
-      [targetDay]
-    );
+    const winners = await dailyPrizeWinners(targetDay);
 
     const prizes = [5, 3, 1];
     const awarded = [];
@@ -4239,14 +7093,18 @@ app.post("/api/daily/award-books", requireAdmin, async (req, res) => {
       }
     }
 
+    await auditAdmin(req, {
+      action: "daily.award_books", target_type: "daily", target_id: targetDay,
+      after: { awarded }, reason: req.valid.body.reason || null
+    });
     res.json({ success: true, day: targetDay, awarded });
   } catch (e) {
-    res.status(500).json({ error: "Ödül verilemedi: " + e.message });
+    res.status(500).json(internalError(e, "Ödül verilemedi."));
   }
 });
 
 /* ---------- SPEED TIER ---------- */
-app.get("/api/user/:userId/speed-tier", async (req, res) => {
+app.get("/api/user/:userId/speed-tier", requireSelf("params.userId"), async (req, res) => {
   try {
     const userId = Number(req.params.userId);
 
@@ -4314,12 +7172,12 @@ app.get("/api/user/:userId/speed-tier", async (req, res) => {
       answers_count: me.answers_count
     });
   } catch (e) {
-    return res.status(500).json({ error: "Hız kademesi hesaplanamadı: " + e.message });
+    return res.status(500).json(internalError(e, "Hız kademesi hesaplanamadı."));
   }
 });
 
 /* ---------- ADMIN STATS & LEADERBOARDS ---------- */
-app.get("/api/admin/statistics", requireAdmin, async (_req, res) => {
+app.get("/api/admin/statistics", requireAdmin("stats"), async (_req, res) => {
   try {
     const a = await get(`SELECT COUNT(*)::int AS count FROM users`);
     const b = await get(`SELECT COUNT(DISTINCT user_id)::int AS count FROM answers`);
@@ -4346,7 +7204,7 @@ app.get("/api/admin/statistics", requireAdmin, async (_req, res) => {
 /* ---------- ADMIN STATS & LEADERBOARDS (RESTORE) ---------- */
 
 // Admin özet istatistikleri
-app.get("/api/admin/statistics", requireAdmin, async (_req, res) => {
+app.get("/api/admin/statistics", requireAdmin("stats"), async (_req, res) => {
   try {
     const a = await get(`SELECT COUNT(*)::int AS count FROM users`);
     const b = await get(`SELECT COUNT(DISTINCT user_id)::int AS count FROM answers`);
@@ -4416,7 +7274,7 @@ app.get("/api/leaderboard", async (req, res) => {
 });
 
 // Kullanıcının sırası (period destekli) — “Bugün ... sıradasın” bunu kullanıyor
-app.get("/api/user/:userId/rank", async (req, res) => {
+app.get("/api/user/:userId/rank", requireSelf("params.userId"), async (req, res) => {
   try {
     const userId = req.params.userId;
     const period = String(req.query.period || "all");
@@ -4500,9 +7358,16 @@ app.get("/api/surveys/:surveyId/leaderboard", async (req, res) => {
 
 
 /* ---------- GLOBAL ERROR HANDLER & SHUTDOWN ---------- */
+// Tanımsız /api yolları Express'in HTML "Cannot GET" sayfası yerine JSON zarfla döner
+app.use("/api", (_req, res) => sendError(res, "NOT_FOUND"));
+
 app.use((err, _req, res, _next) => {
+  // body-parser: bozuk JSON / çok büyük gövde
+  if (err?.type === "entity.parse.failed") return sendError(res, "INVALID_JSON");
+  if (err?.type === "entity.too.large") return sendError(res, "PAYLOAD_TOO_LARGE");
+  if (err?.status >= 400 && err.status < 500) return sendError(res, codeForStatus(err.status), { status: err.status });
   console.error("Unhandled error:", err);
-  res.status(500).json({ error: "Sunucu hatası." });
+  res.status(500).json(errorBody("INTERNAL"));
 });
 
 process.on("unhandledRejection", (r) => console.error("UNHANDLED REJECTION:", r));
@@ -4513,9 +7378,13 @@ async function awardSchedulerTick() {
 }
 
 const PORT = process.env.PORT || 5000;
-const server = app.listen(PORT, "0.0.0.0", () => {
-  console.log(`Backend http://0.0.0.0:${PORT} üzerinde çalışıyor`);
-});
+let server = null;
+// Şema hazır olmadan istek kabul edilmez (ensureSchema sonrası çağrılır)
+function startServer() {
+  server = app.listen(PORT, "0.0.0.0", () => {
+    console.log(`Backend http://0.0.0.0:${PORT} üzerinde çalışıyor`);
+  });
+}
 
 function gracefulShutdown(sig) {
   console.log(`\n${sig} alındı — kapanıyor...`);
@@ -4525,8 +7394,10 @@ function gracefulShutdown(sig) {
     }
     sseClients.clear();
   } catch {}
-  server.close(async () => {
+  const done = async () => {
     try { await pool.end(); } catch {}
     process.exit(0);
-  });
+  };
+  if (server) server.close(done);
+  else done();
 }
@@ -0,0 +1,77 @@
+// mail.js - e-posta gönderim katmanı (SMTP / dosya / konsol)
+// Tüm adaptörler aynı arayüzü sunar: send({ to, subject, text, html }) -> { id }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Felox <no-reply@felox.app>';
+
+// Gerçek gönderim: nodemailer üzerinden SMTP
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === '1', // 465 için "1"
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+// Offline test: her mesaj MAIL_DIR altına JSON olarak yazılır
+function fileTransport() {
+  const dir = path.resolve(process.env.MAIL_DIR || './tmp/mail');
+
+  return {
+    name: 'file',
+    async send({ to, subject, text, html }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const msg = { id, from: MAIL_FROM, to, subject, text, html, created_at: new Date().toISOString() };
+      await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(msg, null, 2));
+      return { id };
+    },
+  };
+}
+
+// Yerel geliştirme: mesajı konsola bas
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      console.log(`[mail:${id}] to=${to} subject=${subject}\n${text || ''}`);
+      return { id };
+    },
+  };
+}
+
+// MAIL_TRANSPORT=smtp|file|console (boşsa: SMTP_HOST varsa smtp, yoksa console)
+// Prod'da console'a sessizce düşülmez: sıfırlama kodları / doğrulama linkleri loglara yazılmasın.
+function createMailTransport() {
+  if (!process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+    throw new Error('Prod ortamında e-posta ayarı yok: SMTP_HOST tanımlayın ya da MAIL_TRANSPORT=file|console seçin.');
+  }
+  const kind = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  switch (kind) {
+    case 'smtp':
+      return smtpTransport();
+    case 'file':
+      return fileTransport();
+    case 'console':
+      return consoleTransport();
+    default:
+      throw new Error(`Bilinmeyen MAIL_TRANSPORT: ${kind}`);
+  }
+}
+
+module.exports = { createMailTransport, smtpTransport, fileTransport, consoleTransport };
@@ -0,0 +1,155 @@
+// media.js - soru medyası (görsel / ses): içerik doğrulama, depolama, küçük resim
+// Depolama adaptörleri aynı arayüzü sunar:
+//   put(key, buffer, contentType) / open(key) -> { stream, size } | null / remove(key)
+// Anahtarları yalnızca sunucu üretir (inspectMedia -> storageKey); istemciden gelen yol kullanılmaz.
+// Küçük resimler için sharp (optionalDependency) gerekir; yoksa thumb üretilmez, yükleme yine kabul edilir.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MEDIA_MAX_IMAGE_BYTES = Math.max(1024, parseInt(process.env.MEDIA_MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10));
+const MEDIA_MAX_AUDIO_BYTES = Math.max(1024, parseInt(process.env.MEDIA_MAX_AUDIO_BYTES || String(10 * 1024 * 1024), 10));
+const THUMB_SIZE = Math.max(32, parseInt(process.env.MEDIA_THUMB_SIZE || '320', 10));
+
+// İzinli türler; SVG bilerek yok (içinde script taşıyabilir)
+const MEDIA_TYPES = {
+  'image/png':  { kind: 'image', ext: 'png' },
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/gif':  { kind: 'image', ext: 'gif' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'audio/mpeg': { kind: 'audio', ext: 'mp3' },
+  'audio/ogg':  { kind: 'audio', ext: 'ogg' },
+  'audio/wav':  { kind: 'audio', ext: 'wav' },
+  'audio/mp4':  { kind: 'audio', ext: 'm4a' },
+};
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg', 'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav',
+  'audio/x-m4a': 'audio/mp4', 'audio/m4a': 'audio/mp4',
+};
+
+function canonicalType(ct) {
+  const t = String(ct || '').split(';')[0].trim().toLowerCase();
+  return TYPE_ALIASES[t] || t;
+}
+
+/** Dosyanın ilk baytlarından gerçek türü bulur (beyan edilen Content-Type'a güvenilmez) */
+function sniffType(buf) {
+  const ascii = (from, to) => buf.subarray(from, to).toString('latin1');
+  if (buf.length < 12) return null;
+  if (buf[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(4, 8) === 'ftyp' && /^(M4A |M4B |mp42|isom)/.test(ascii(8, 12))) return 'audio/mp4';
+  return null;
+}
+
+function maxBytesFor(kind) {
+  return kind === 'audio' ? MEDIA_MAX_AUDIO_BYTES : MEDIA_MAX_IMAGE_BYTES;
+}
+
+/**
+ * Yüklenen içeriği doğrular.
+ * -> { content_type, kind, ext, byte_size, sha256, key } | { code, error }
+ *   code: errors.js kataloğundaki kod
+ */
+function inspectMedia(buf, declaredType) {
+  if (!Buffer.isBuffer(buf) || !buf.length) return { code: 'BAD_REQUEST', error: 'Dosya boş.' };
+  const sniffed = sniffType(buf);
+  const declared = canonicalType(declaredType);
+  if (!sniffed || !MEDIA_TYPES[sniffed]) return { code: 'MEDIA_TYPE_UNSUPPORTED' };
+  // application/octet-stream gibi genel beyanlar kabul; belirli bir tür beyan edildiyse içerikle uyuşmalı
+  if (MEDIA_TYPES[declared] && declared !== sniffed) return { code: 'MEDIA_TYPE_UNSUPPORTED' };
+  const { kind, ext } = MEDIA_TYPES[sniffed];
+  if (buf.length > maxBytesFor(kind)) return { code: 'MEDIA_TOO_LARGE' };
+  const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+  const now = new Date();
+  const key = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}.${ext}`;
+  return { content_type: sniffed, kind, ext, byte_size: buf.length, sha256, key };
+}
+
+let sharpLib;
+function loadSharp() {
+  if (sharpLib === undefined) {
+    try { sharpLib = require('sharp'); } catch { sharpLib = null; }
+  }
+  return sharpLib;
+}
+
+/**
+ * Görselin boyutlarını okur ve THUMB_SIZE kutusuna sığan webp küçük resim üretir.
+ * -> { width, height, thumb: Buffer | null } ; sharp yoksa { width: null, height: null, thumb: null }
+ * Bozuk görselde hata fırlatır.
+ */
+async function makeThumbnail(buf) {
+  const sharp = loadSharp();
+  if (!sharp) return { width: null, height: null, thumb: null };
+  const img = sharp(buf, { animated: false, limitInputPixels: 40_000_000 });
+  const meta = await img.metadata();
+  const thumb = await img
+    .rotate() // EXIF yönü
+    .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toBuffer();
+  return { width: meta.width || null, height: meta.height || null, thumb };
+}
+
+function thumbKeyFor(key) {
+  return key.replace(/\.[a-z0-9]+$/, '') + '_thumb.webp';
+}
+
+// Varsayılan: yerel disk (MEDIA_DIR, varsayılan tmp/media)
+function localStorage() {
+  const root = path.resolve(process.env.MEDIA_DIR || './tmp/media');
+  const resolve = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Geçersiz medya anahtarı: ${key}`);
+    return full;
+  };
+
+  return {
+    name: 'local',
+    root,
+    async put(key, buf) {
+      const full = resolve(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      // yarım yazılmış dosya servis edilmesin
+      const tmp = `${full}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buf);
+      await fs.promises.rename(tmp, full);
+    },
+    async open(key) {
+      const full = resolve(key);
+      try {
+        const st = await fs.promises.stat(full);
+        return { stream: fs.createReadStream(full), size: st.size };
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+// MEDIA_STORAGE=local (şimdilik tek adaptör; S3 vb. aynı arayüzle eklenir)
+function createMediaStorage() {
+  const kind = (process.env.MEDIA_STORAGE || 'local').toLowerCase();
+  switch (kind) {
+    case 'local':
+      return localStorage();
+    default:
+      throw new Error(`Bilinmeyen MEDIA_STORAGE: ${kind}`);
+  }
+}
+
+module.exports = {
+  MEDIA_TYPES, MEDIA_MAX_IMAGE_BYTES, MEDIA_MAX_AUDIO_BYTES,
+  createMediaStorage, localStorage, inspectMedia, makeThumbnail, thumbKeyFor, sniffType,
+};
@@ -0,0 +1,224 @@
+// migrate.js - sürümlü şema migration'ları
+// Dosyalar: migrations/NNNN_ad.js  ->  module.exports = { async up(db) {...}, async down(db) {...} }
+//   db: { run, get, all } — migration'ın kendi transaction'ına bağlı
+//   transaction: false verilirse (ör. CREATE INDEX CONCURRENTLY) transaction açılmaz
+//   destructive: true verilirse down veri siler (ör. 0001 tüm tabloları düşürür); yalnızca force ile geri alınır
+// Uygulananlar schema_migrations tablosunda tutulur. Aynı anda açılan instance'lar
+// advisory lock ile sıraya girer; biri uygularken diğeri bekler.
+//
+// CLI:
+//   node migrate.js migrate          bekleyenlerin hepsini uygula
+//   node migrate.js rollback [n]     son n migration'ı geri al (varsayılan 1)
+//        --force                     prod'da (NODE_ENV=production) ve destructive migration'larda zorunlu
+//   node migrate.js status           uygulanan / bekleyen listesi
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.js$/;
+// pg_advisory_lock anahtarı ("FELO")
+const LOCK_KEY = 0x46454c4f;
+const LOCK_WAIT_SEC = parseInt(process.env.MIGRATION_LOCK_WAIT_SEC || '120', 10);
+
+/** migrations/ klasöründeki dosyaları sürüm sırasıyla döner */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => FILE_RE.test(f)).sort() : [];
+  const seen = new Set();
+  return files.map(file => {
+    const [, version, name] = file.match(FILE_RE);
+    if (seen.has(version)) throw new Error(`Aynı sürümde iki migration var: ${version}`);
+    seen.add(version);
+    const full = path.join(dir, file);
+    const mod = require(full);
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(`${file}: up ve down fonksiyonları zorunlu`);
+    }
+    const checksum = crypto.createHash('sha256').update(fs.readFileSync(full)).digest('hex');
+    return { version, name, file, checksum, transaction: mod.transaction !== false, destructive: mod.destructive === true, up: mod.up, down: mod.down };
+  });
+}
+
+function clientDb(client) {
+  return {
+    run: async (sql, params = []) => { await client.query(sql, params); return { success: true }; },
+    get: async (sql, params = []) => (await client.query(sql, params)).rows[0] || null,
+    all: async (sql, params = []) => (await client.query(sql, params)).rows,
+  };
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    TEXT PRIMARY KEY,
+      name       TEXT NOT NULL,
+      checksum   TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+    )
+  `);
+}
+
+async function appliedRows(client) {
+  const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return rows;
+}
+
+/** Advisory lock'u alıp fn'i çalıştırır; kilit LOCK_WAIT_SEC içinde alınamazsa hata */
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    const deadline = Date.now() + LOCK_WAIT_SEC * 1000;
+    for (;;) {
+      const { rows } = await client.query(`SELECT pg_try_advisory_lock($1) AS ok`, [LOCK_KEY]);
+      if (rows[0].ok) break;
+      if (Date.now() > deadline) throw new Error('Migration kilidi alınamadı (başka bir instance migration çalıştırıyor)');
+      await new Promise(r => setTimeout(r, 1000));
+    }
+    try {
+      await ensureTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runStep(client, m, direction) {
+  const db = clientDb(client);
+  if (!m.transaction) {
+    await m[direction](db);
+    if (direction === 'up') {
+      await client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)`, [m.version, m.name, m.checksum]);
+    } else {
+      await client.query(`DELETE FROM schema_migrations WHERE version=$1`, [m.version]);
+    }
+    return;
+  }
+  await client.query('BEGIN');
+  try {
+    // Havuzdaki 15 sn statement_timeout uzun DDL'leri kesmesin (yalnızca bu transaction için)
+    await client.query(`SET LOCAL statement_timeout = 0`);
+    await m[direction](db);
+    if (direction === 'up') {
+      await client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)`, [m.version, m.name, m.checksum]);
+    } else {
+      await client.query(`DELETE FROM schema_migrations WHERE version=$1`, [m.version]);
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw new Error(`${m.file} (${direction}) başarısız: ${e.message}`);
+  }
+}
+
+/** Bekleyen migration'ları uygular; uygulananların listesini döner */
+async function migrate(pool, { log = console.log } = {}) {
+  const all = loadMigrations();
+  return withLock(pool, async (client) => {
+    const done = new Set((await appliedRows(client)).map(r => r.version));
+    const applied = [];
+    for (const m of all.filter(x => !done.has(x.version))) {
+      log(`migrate: ${m.file}`);
+      await runStep(client, m, 'up');
+      applied.push(m.version);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Son `steps` migration'ı sondan başa geri alır.
+ * Prod'da ve destructive migration'larda force olmadan hiçbir adım çalışmaz (kısmi geri alma olmaz).
+ */
+async function rollback(pool, { steps = 1, force = false, log = console.log } = {}) {
+  if (process.env.NODE_ENV === 'production' && !force) {
+    throw new Error('Prod ortamında rollback için --force gerekli.');
+  }
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  return withLock(pool, async (client) => {
+    const rows = (await appliedRows(client)).reverse().slice(0, steps);
+    const plan = rows.map(row => {
+      const m = byVersion.get(row.version);
+      if (!m) throw new Error(`${row.version}_${row.name} dosyası bulunamadı; geri alınamaz`);
+      if (m.destructive && !force) {
+        throw new Error(`${m.file} geri alınırsa tablolar verileriyle birlikte silinir; --force olmadan geri alınmaz.`);
+      }
+      return m;
+    });
+    const reverted = [];
+    for (const m of plan) {
+      log(`rollback: ${m.file}`);
+      await runStep(client, m, 'down');
+      reverted.push(m.version);
+    }
+    return reverted;
+  });
+}
+
+/** Her migration için durum: applied | pending | changed (uygulandıktan sonra dosya değişmiş) | missing */
+async function status(pool) {
+  const all = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureTable(client);
+    const rows = await appliedRows(client);
+    const applied = new Map(rows.map(r => [r.version, r]));
+    const out = all.map(m => {
+      const row = applied.get(m.version);
+      if (!row) return { version: m.version, name: m.name, state: 'pending' };
+      return {
+        version: m.version, name: m.name, applied_at: row.applied_at,
+        state: row.checksum === m.checksum ? 'applied' : 'changed',
+      };
+    });
+    const known = new Set(all.map(m => m.version));
+    for (const r of rows) {
+      if (!known.has(r.version)) out.push({ version: r.version, name: r.name, applied_at: r.applied_at, state: 'missing' });
+    }
+    return out.sort((a, b) => a.version.localeCompare(b.version));
+  } finally {
+    client.release();
+  }
+}
+
+async function pendingMigrations(pool) {
+  return (await status(pool)).filter(m => m.state === 'pending');
+}
+
+module.exports = { loadMigrations, migrate, rollback, status, pendingMigrations };
+
+// --- CLI ---
+if (require.main === module) {
+  if (process.env.NODE_ENV !== 'production') {
+    try { require('dotenv').config(); } catch {}
+  }
+  const { pool } = require('./db');
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [cmd = 'status', arg] = args.filter(a => a !== '--force');
+
+  (async () => {
+    if (cmd === 'migrate') {
+      const applied = await migrate(pool);
+      console.log(applied.length ? `${applied.length} migration uygulandı.` : 'Bekleyen migration yok.');
+    } else if (cmd === 'rollback') {
+      const steps = Math.max(1, parseInt(arg || '1', 10) || 1);
+      const reverted = await rollback(pool, { steps, force });
+      console.log(reverted.length ? `${reverted.length} migration geri alındı.` : 'Geri alınacak migration yok.');
+    } else if (cmd === 'status') {
+      for (const m of await status(pool)) {
+        console.log(`${m.version}  ${m.state.padEnd(8)}  ${m.name}${m.applied_at ? `  (${new Date(m.applied_at).toISOString()})` : ''}`);
+      }
+    } else {
+      console.error('Kullanım: node migrate.js migrate | rollback [n] [--force] | status');
+      process.exitCode = 1;
+    }
+  })()
+    .catch((e) => {
+      console.error(e.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
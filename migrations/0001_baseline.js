@@ -0,0 +1,595 @@
+// 0001 - başlangıç şeması (eski init() DDL'i)
+// Tüm ifadeler IF NOT EXISTS: init() ile kurulmuş mevcut veritabanlarında da güvenle uygulanır
+// ve yalnızca eksik tablo/kolon/indeksleri tamamlar.
+// Sıra önemli: FK hedefleri (users, questions, duello_matches) kendilerine bağlı tablolardan önce gelir.
+
+module.exports = {
+  // down tüm tabloları (users dahil) düşürür; init() ile kurulmuş, migration öncesi verisi olan
+  // veritabanlarında bu veriyi de siler. Yalnızca "rollback --force" ile çalışır.
+  destructive: true,
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      ad TEXT,
+      soyad TEXT,
+      yas INTEGER,
+      cinsiyet TEXT,
+      meslek TEXT,
+      sehir TEXT,
+      email TEXT UNIQUE,
+      password TEXT,
+      role TEXT
+    )`);
+
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_users_email_ci
+      ON users (lower(email))
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id             BIGSERIAL PRIMARY KEY,
+        user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_hash   TEXT NOT NULL,
+        device_name    TEXT,
+        user_agent     TEXT,
+        ip             TEXT,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        last_used_at   TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        expires_at     TIMESTAMPTZ NOT NULL,
+        revoked_at     TIMESTAMPTZ,
+        revoked_reason TEXT
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id) WHERE revoked_at IS NULL`);
+
+    await db.run(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'player'`);
+
+    // E-posta doğrulama: kolon ilk kez ekleniyorsa mevcut hesaplar doğrulanmış sayılır
+    const hadVerifyCol = await db.get(
+      `SELECT 1 FROM information_schema.columns
+        WHERE table_name='users' AND column_name='email_verified_at'`
+    );
+    await db.run(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ`);
+    if (!hadVerifyCol) {
+      await db.run(`UPDATE users SET email_verified_at = timezone('Europe/Istanbul', now()) WHERE email_verified_at IS NULL`);
+    }
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        id         BIGSERIAL PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email      TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at    TIMESTAMPTZ
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS password_reset_codes (
+        id         BIGSERIAL PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash  TEXT NOT NULL,
+        attempts   INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at    TIMESTAMPTZ
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_password_reset_user ON password_reset_codes (user_id) WHERE used_at IS NULL`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS admin_accounts (
+        user_id     INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        scopes      TEXT[] NOT NULL DEFAULT '{}',
+        granted_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        disabled_at TIMESTAMPTZ
+      )
+    `);
+
+    await db.run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ
+    `);
+
+    await db.run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_users_deletion_due ON users (deletion_scheduled_for) WHERE deleted_at IS NULL`);
+
+    await db.run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+        ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT,
+        ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS totp_last_step BIGINT
+    `);
+
+    await db.run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS is_guest BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS guest_device_hash TEXT,
+        ADD COLUMN IF NOT EXISTS upgraded_at TIMESTAMPTZ
+    `);
+    // Dil tercihi: NULL ise Accept-Language kullanılır
+    await db.run(`ALTER TABLE users ADD COLUMN IF NOT EXISTS locale TEXT`);
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS uq_users_guest_device ON users (guest_device_hash) WHERE guest_device_hash IS NOT NULL`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id            BIGSERIAL PRIMARY KEY,
+        actor_user_id INTEGER,
+        actor_via     TEXT NOT NULL,
+        actor_role    TEXT,
+        action        TEXT NOT NULL,
+        target_type   TEXT,
+        target_id     TEXT,
+        before        JSONB,
+        after         JSONB,
+        reason        TEXT,
+        ip            TEXT,
+        user_agent    TEXT,
+        request_id    TEXT,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log (created_at DESC)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit_log (actor_user_id, created_at DESC)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log (target_type, target_id)`);
+    // Yalnızca ekleme: UPDATE/DELETE veritabanı seviyesinde reddedilir
+    await db.run(`
+      CREATE OR REPLACE FUNCTION admin_audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'admin_audit_log append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await db.run(`DROP TRIGGER IF EXISTS trg_admin_audit_log_append_only ON admin_audit_log`);
+    await db.run(`
+      CREATE TRIGGER trg_admin_audit_log_append_only
+        BEFORE UPDATE OR DELETE ON admin_audit_log
+        FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only()
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_sanctions (
+        id         BIGSERIAL PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        kind       TEXT NOT NULL CHECK (kind IN ('suspend','ban')),
+        reason     TEXT NOT NULL,
+        expires_at TIMESTAMPTZ,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        lifted_at  TIMESTAMPTZ,
+        lifted_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        lift_reason TEXT
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_user_sanctions_user ON user_sanctions (user_id, created_at DESC)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS book_adjustments (
+        id            BIGSERIAL PRIMARY KEY,
+        user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        delta         INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reason        TEXT NOT NULL,
+        created_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_book_adjustments_user ON book_adjustments (user_id, created_at DESC)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS totp_backup_codes (
+        id         BIGSERIAL PRIMARY KEY,
+        user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash  TEXT NOT NULL,
+        used_at    TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_totp_backup_codes_user ON totp_backup_codes (user_id, code_hash)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id             BIGSERIAL PRIMARY KEY,
+        user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider       TEXT NOT NULL,
+        subject        TEXT NOT NULL,
+        email          TEXT,
+        email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        last_login_at  TIMESTAMPTZ,
+        UNIQUE (provider, subject)
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities (user_id)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS oidc_login_states (
+        state_hash    TEXT PRIMARY KEY,
+        provider      TEXT NOT NULL,
+        code_verifier TEXT NOT NULL,
+        nonce         TEXT NOT NULL,
+        link_user_id  INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        expires_at    TIMESTAMPTZ NOT NULL
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_oidc_login_states_exp ON oidc_login_states (expires_at)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id          BIGSERIAL PRIMARY KEY,
+        user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        format      TEXT NOT NULL DEFAULT 'json' CHECK (format IN ('json','zip')),
+        status      TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','running','done','failed','expired')),
+        file_path   TEXT,
+        size_bytes  BIGINT,
+        error       TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        started_at  TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        expires_at  TIMESTAMPTZ
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_data_exports_user ON data_exports (user_id, created_at DESC)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports (status)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS login_events (
+        id         BIGSERIAL PRIMARY KEY,
+        user_id    INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        email      TEXT,
+        success    BOOLEAN NOT NULL,
+        reason     TEXT,
+        context    TEXT NOT NULL DEFAULT 'login',
+        ip         TEXT,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_login_events_user ON login_events (user_id, created_at DESC)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key        TEXT PRIMARY KEY,
+        value      JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+
+    await db.run(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS user_code TEXT
+    `);
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_users_user_code
+      ON users(user_code) WHERE user_code IS NOT NULL
+    `);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS surveys (
+      id SERIAL PRIMARY KEY,
+      editor_id INTEGER REFERENCES users(id),
+      title TEXT,
+      start_date TEXT,
+      end_date TEXT,
+      category TEXT,
+      status TEXT DEFAULT 'pending'
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS questions (
+      id SERIAL PRIMARY KEY,
+      survey_id INTEGER REFERENCES surveys(id) ON DELETE CASCADE,
+      question TEXT,
+      correct_answer TEXT,
+      point INTEGER DEFAULT 1
+    )`);
+
+    await db.run(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS qtype integer DEFAULT 1
+    `);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS answers (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+      answer TEXT,
+      is_correct INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      max_time_seconds integer,
+      time_left_seconds integer,
+      earned_seconds integer,
+      is_daily boolean DEFAULT false,
+      daily_key text
+    )`);
+
+    await db.run(`
+      ALTER TABLE answers
+        ADD COLUMN IF NOT EXISTS max_time_seconds integer,
+        ADD COLUMN IF NOT EXISTS time_left_seconds integer,
+        ADD COLUMN IF NOT EXISTS earned_seconds integer,
+        ADD COLUMN IF NOT EXISTS is_daily boolean DEFAULT false,
+        ADD COLUMN IF NOT EXISTS daily_key text
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS daily_contest_questions (
+        day_key     TEXT NOT NULL,
+        contest_date DATE,
+        pos         INTEGER,
+        seq         INTEGER,
+        question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+        PRIMARY KEY (day_key, pos)
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_dcq_day ON daily_contest_questions (day_key)`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS daily_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        day_key TEXT NOT NULL,
+        current_index INTEGER DEFAULT 0,
+        started_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        finished BOOLEAN DEFAULT false,
+        UNIQUE(user_id, day_key)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS daily_finisher_awards (
+        user_id   INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        day_key   TEXT NOT NULL,
+        amount    INTEGER NOT NULL DEFAULT 2,
+        created_at TIMESTAMP DEFAULT timezone('Europe/Istanbul', now()),
+        PRIMARY KEY (user_id, day_key)
+      )
+    `);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS quotes (
+      id SERIAL PRIMARY KEY,
+      text TEXT NOT NULL,
+      author TEXT
+    )`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS impdays (
+        day_key TEXT PRIMARY KEY,
+        daytitle TEXT NOT NULL,
+        description TEXT
+      )
+    `);
+
+    await db.run(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS books integer DEFAULT 0
+    `);
+
+    await db.run(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS ladder_best_level integer DEFAULT 0
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS book_awards (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        day_key TEXT NOT NULL,
+        rank INTEGER NOT NULL,
+        amount INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, day_key)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS book_spends (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        question_id INTEGER REFERENCES questions(id) ON DELETE SET NULL,
+        day_key TEXT,
+        amount INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await db.run(`
+      ALTER TABLE answers
+        ADD COLUMN IF NOT EXISTS bonus_points integer DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS streak_len_at_answer integer
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_daily_streak (
+        user_id        INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        current_streak INTEGER NOT NULL DEFAULT 0,
+        longest_streak INTEGER NOT NULL DEFAULT 0,
+        last_day_key   DATE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS ladder_sessions (
+        user_id        INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        run_started_at TIMESTAMP DEFAULT timezone('Europe/Istanbul', now()),
+        current_level  INTEGER NOT NULL DEFAULT 1,
+        attempts       INTEGER NOT NULL DEFAULT 0,  -- bilmem hariç deneme
+        correct        INTEGER NOT NULL DEFAULT 0,  -- doğru sayısı
+        updated_at     TIMESTAMP DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_answers_daily ON answers (is_daily, daily_key, user_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_answers_user_q ON answers (user_id, question_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_book_awards_rank_day ON book_awards (rank, day_key)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_book_awards_user ON book_awards (user_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_ladder_sessions_user_level ON ladder_sessions (user_id, current_level)`);
+
+    // === DUELLO SCHEMA ===
+
+    // 1) MATCHES (önce ana tablo)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS duello_matches (
+        id               BIGSERIAL PRIMARY KEY,
+        mode             TEXT    NOT NULL CHECK (mode IN ('info','speed')),
+        user_a_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_b_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at       TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        finished_at      TIMESTAMPTZ,
+        state            TEXT    NOT NULL DEFAULT 'active' CHECK (state IN ('active','finished','abandoned')),
+        total_questions  INTEGER NOT NULL DEFAULT 12,
+        current_index    INTEGER NOT NULL DEFAULT 0,
+        last_seen_a      TIMESTAMPTZ,
+        last_seen_b      TIMESTAMPTZ,
+        last_activity_at TIMESTAMPTZ,
+        abandoned_at     TIMESTAMPTZ,
+        ended_reason     TEXT,
+        CHECK (user_a_id <> user_b_id)
+      )
+    `);
+
+    // 2) INVITES
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS duello_invites (
+        id            BIGSERIAL PRIMARY KEY,
+        from_user_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        to_user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        mode          TEXT    NOT NULL CHECK (mode IN ('info','speed')),
+        status        TEXT    NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','accepted','rejected','cancelled','expired')),
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        expire_at     TIMESTAMPTZ NOT NULL DEFAULT (timezone('Europe/Istanbul', now()) + interval '5 minutes'),
+        accepted_at   TIMESTAMPTZ,
+        rejected_at   TIMESTAMPTZ,
+        cancelled_at  TIMESTAMPTZ,
+        match_id      INTEGER  -- isteğe bağlı; FK yok
+      )
+    `);
+
+    // 3) MATCH_QUESTIONS (matches -> questions FK)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS duello_match_questions (
+        match_id    INTEGER NOT NULL REFERENCES duello_matches(id) ON DELETE CASCADE,
+        pos         INTEGER NOT NULL,
+        question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+        PRIMARY KEY (match_id, pos)
+      )
+    `);
+
+    // 4) ANSWERS (matches & questions FK)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS duello_answers (
+        id                BIGSERIAL PRIMARY KEY,
+        match_id          INTEGER NOT NULL REFERENCES duello_matches(id) ON DELETE CASCADE,
+        question_id       INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+        user_id           INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        answer            TEXT    NOT NULL,
+        is_correct        INTEGER NOT NULL DEFAULT 0,
+        created_at        TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        max_time_seconds  INTEGER,
+        time_left_seconds INTEGER,
+        earned_seconds    INTEGER
+      )
+    `);
+
+    // 5) PROFILES
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS duello_profiles (
+        user_id         INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        ready           BOOLEAN NOT NULL DEFAULT FALSE,
+        visibility_mode TEXT    NOT NULL DEFAULT 'public' CHECK (visibility_mode IN ('public','friends','none')),
+        last_ready_at   TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now()),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+
+    // --- DUELLO: Eski tablolar için güvenli migrasyonlar (kolon eklemeleri) ---
+    await db.run(`
+      ALTER TABLE duello_matches
+        ADD COLUMN IF NOT EXISTS finished_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS state TEXT,
+        ADD COLUMN IF NOT EXISTS total_questions INTEGER,
+        ADD COLUMN IF NOT EXISTS current_index INTEGER,
+        ADD COLUMN IF NOT EXISTS last_seen_a TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_seen_b TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS abandoned_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS ended_reason TEXT
+    `);
+
+    await db.run(`
+      ALTER TABLE duello_invites
+        ADD COLUMN IF NOT EXISTS mode TEXT,
+        ADD COLUMN IF NOT EXISTS status TEXT,
+        ADD COLUMN IF NOT EXISTS expire_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS match_id INTEGER
+    `);
+    await db.run(`
+      ALTER TABLE duello_answers
+        ADD COLUMN IF NOT EXISTS max_time_seconds INTEGER,
+        ADD COLUMN IF NOT EXISTS time_left_seconds INTEGER,
+        ADD COLUMN IF NOT EXISTS earned_seconds INTEGER
+    `);
+
+    // --- Indexler ---
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_duello_invites_pending_pair
+        ON duello_invites (from_user_id, to_user_id)
+        WHERE status = 'pending'
+    `);
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_duello_invites_to_pending
+        ON duello_invites (to_user_id, status, expire_at DESC)
+    `);
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_duello_invites_from_pending
+        ON duello_invites (from_user_id, status, expire_at DESC)
+    `);
+    await db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_duello_answers_once
+        ON duello_answers (match_id, question_id, user_id)
+    `);
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_duello_answers_q
+        ON duello_answers (match_id, question_id)
+    `);
+    await db.run(`
+      CREATE INDEX IF NOT EXISTS idx_duello_answers_u
+        ON duello_answers (match_id, user_id)
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_duello_active_a   ON duello_matches (user_a_id) WHERE state='active'`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_duello_active_b   ON duello_matches (user_b_id) WHERE state='active'`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_duello_active_last ON duello_matches (state, last_activity_at)`);
+  },
+
+  async down(db) {
+    // Bağımlılıkların tersine sırayla; CASCADE ile sonraki migration'ların FK'ları da düşer
+    const tables = [
+      "duello_profiles", "duello_answers", "duello_match_questions", "duello_invites", "duello_matches",
+      "ladder_sessions", "user_daily_streak", "book_spends", "book_awards", "impdays", "quotes",
+      "daily_finisher_awards", "daily_sessions", "daily_contest_questions", "answers", "questions", "surveys",
+      "app_settings", "login_events", "data_exports", "oidc_login_states", "user_identities",
+      "totp_backup_codes", "book_adjustments", "user_sanctions", "admin_audit_log", "admin_accounts",
+      "password_reset_codes", "email_verifications", "user_sessions", "users",
+    ];
+    for (const t of tables) await db.run(`DROP TABLE IF EXISTS ${t} CASCADE`);
+    await db.run(`DROP FUNCTION IF EXISTS admin_audit_log_append_only()`);
+  },
+};
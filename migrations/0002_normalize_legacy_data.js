@@ -0,0 +1,61 @@
+// 0002 - eski init()'in her açılışta tekrarladığı veri düzeltmeleri (artık bir kez çalışır)
+// - users.role: USER/EDITOR gibi eski değerler yeni rol adlarına
+// - duello_matches / duello_invites: eski şemadan kalan NULL kolonlar + CHECK kısıtları
+// Yalnızca bozuk satırlar güncellenir; tablo baştan yazılmaz.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      UPDATE users
+         SET role = CASE upper(COALESCE(role,''))
+                      WHEN 'EDITOR'   THEN 'editor'
+                      WHEN 'REVIEWER' THEN 'reviewer'
+                      WHEN 'ADMIN'    THEN 'admin'
+                      ELSE 'player'
+                    END
+       WHERE role IS NULL OR role NOT IN ('player','editor','reviewer','admin')
+    `);
+
+    await db.run(`
+      UPDATE duello_matches
+         SET state = 'active'
+       WHERE state IS NULL OR state NOT IN ('active','finished','abandoned')
+    `);
+    await db.run(`UPDATE duello_matches SET total_questions = 12 WHERE total_questions IS NULL`);
+    await db.run(`UPDATE duello_matches SET current_index = 0 WHERE current_index IS NULL`);
+    await db.run(`UPDATE duello_matches SET mode = 'info' WHERE mode IS NULL OR mode NOT IN ('info','speed')`);
+    await db.run(`
+      ALTER TABLE duello_matches
+        ALTER COLUMN state SET DEFAULT 'active',
+        ALTER COLUMN state SET NOT NULL,
+        ALTER COLUMN total_questions SET DEFAULT 12,
+        ALTER COLUMN total_questions SET NOT NULL,
+        ALTER COLUMN current_index SET DEFAULT 0,
+        ALTER COLUMN current_index SET NOT NULL
+    `);
+
+    // Eski şemalardan gelen adlandırılmamış/eski kısıtları tek isimle yeniden kur
+    await db.run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_state_chk`);
+    await db.run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_mode_check`);
+    await db.run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_mode_chk`);
+    await db.run(`
+      ALTER TABLE duello_matches
+        ADD CONSTRAINT duello_matches_state_chk CHECK (state IN ('active','finished','abandoned')),
+        ADD CONSTRAINT duello_matches_mode_chk CHECK (mode IN ('info','speed'))
+    `);
+
+    await db.run(`UPDATE duello_invites SET mode = 'info' WHERE mode IS NULL`);
+    await db.run(`UPDATE duello_invites SET status = 'pending' WHERE status IS NULL`);
+    await db.run(`
+      UPDATE duello_invites
+         SET expire_at = timezone('Europe/Istanbul', now()) + interval '5 minutes'
+       WHERE expire_at IS NULL
+    `);
+  },
+
+  async down(db) {
+    // Veri düzeltmeleri geri alınamaz; yalnızca eklenen isimli kısıtlar kaldırılır
+    await db.run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_state_chk`);
+    await db.run(`ALTER TABLE duello_matches DROP CONSTRAINT IF EXISTS duello_matches_mode_chk`);
+  },
+};
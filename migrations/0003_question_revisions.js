@@ -0,0 +1,28 @@
+// 0003 - soru düzenleme geçmişi
+// Her düzenleme (ve geri alma) bir satır: değişiklikten önceki ve sonraki alanlar (question,
+// correct_answer, point, qtype). revision soru başına 1'den artar; reverted_from geri alınan revizyonu gösterir.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS question_revisions (
+        id             BIGSERIAL PRIMARY KEY,
+        question_id    INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+        revision       INTEGER NOT NULL,
+        before         JSONB NOT NULL,
+        after          JSONB NOT NULL,
+        changed_fields TEXT[] NOT NULL DEFAULT '{}',
+        editor_user_id INTEGER,
+        editor_via     TEXT NOT NULL DEFAULT 'session',
+        reason         TEXT,
+        reverted_from  INTEGER,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS uq_question_revisions_rev ON question_revisions (question_id, revision)`);
+  },
+
+  async down(db) {
+    await db.run(`DROP TABLE IF EXISTS question_revisions`);
+  },
+};
@@ -0,0 +1,40 @@
+// 0004 - soru türleri
+// questions.kind: yesno (eski evet/hayır/bilmem), choice, numeric, text. Mevcut sorular yesno kalır.
+// numeric_tolerance yalnızca numeric, accepted_answers yalnızca text türünde kullanılır.
+// Çoktan seçmeli soruların seçenekleri question_options'ta; birden çok seçenek doğru olabilir.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      ALTER TABLE questions
+        ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'yesno',
+        ADD COLUMN IF NOT EXISTS numeric_tolerance DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS accepted_answers TEXT[]
+    `);
+    await db.run(`
+      ALTER TABLE questions
+        ADD CONSTRAINT questions_kind_chk CHECK (kind IN ('yesno','choice','numeric','text'))
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS question_options (
+        id          BIGSERIAL PRIMARY KEY,
+        question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+        position    INTEGER NOT NULL,
+        label       TEXT NOT NULL,
+        is_correct  BOOLEAN NOT NULL DEFAULT FALSE
+      )
+    `);
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS uq_question_options_pos ON question_options (question_id, position)`);
+  },
+
+  async down(db) {
+    await db.run(`DROP TABLE IF EXISTS question_options`);
+    await db.run(`
+      ALTER TABLE questions
+        DROP CONSTRAINT IF EXISTS questions_kind_chk,
+        DROP COLUMN IF EXISTS accepted_answers,
+        DROP COLUMN IF EXISTS numeric_tolerance,
+        DROP COLUMN IF EXISTS kind
+    `);
+  },
+};
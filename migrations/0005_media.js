@@ -0,0 +1,37 @@
+// 0005 - soru medyası
+// media: yüklenen görsel/ses dosyalarının kaydı; içerik depolama adaptöründe (media.js), burada yalnızca anahtarı.
+// thumb_key yalnızca görsellerde (küçük resim üretilebildiyse) dolu.
+// questions.media_id: soruya bağlı medya; medya silinirse soru medyasız kalır.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS media (
+        id            BIGSERIAL PRIMARY KEY,
+        owner_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        kind          TEXT NOT NULL CHECK (kind IN ('image','audio')),
+        content_type  TEXT NOT NULL,
+        byte_size     INTEGER NOT NULL,
+        sha256        TEXT NOT NULL,
+        storage_key   TEXT NOT NULL UNIQUE,
+        thumb_key     TEXT,
+        width         INTEGER,
+        height        INTEGER,
+        original_name TEXT,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT timezone('Europe/Istanbul', now())
+      )
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_media_owner ON media (owner_user_id, id DESC)`);
+    await db.run(`
+      ALTER TABLE questions
+        ADD COLUMN IF NOT EXISTS media_id INTEGER REFERENCES media(id) ON DELETE SET NULL
+    `);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_questions_media ON questions (media_id)`);
+  },
+
+  async down(db) {
+    await db.run(`DROP INDEX IF EXISTS idx_questions_media`);
+    await db.run(`ALTER TABLE questions DROP COLUMN IF EXISTS media_id`);
+    await db.run(`DROP TABLE IF EXISTS media`);
+  },
+};
@@ -0,0 +1,20 @@
+// 0006 - cevap sonrası açıklama ve kaynak
+// Oyuncu cevabı kaydedildikten sonra gösterilir (answers, daily/answer, düello reveal); soru servis edilirken dönmez.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      ALTER TABLE questions
+        ADD COLUMN IF NOT EXISTS explanation TEXT,
+        ADD COLUMN IF NOT EXISTS source_url TEXT
+    `);
+  },
+
+  async down(db) {
+    await db.run(`
+      ALTER TABLE questions
+        DROP COLUMN IF EXISTS source_url,
+        DROP COLUMN IF EXISTS explanation
+    `);
+  },
+};
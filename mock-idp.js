@@ -0,0 +1,100 @@
+// mock-idp.js - yerel test için sahte OpenID Connect sağlayıcısı
+// Gerçek Google/Apple gerektirmeden OIDC akışını uçtan uca denemek için:
+//   node mock-idp.js            (varsayılan http://localhost:4010)
+//   OIDC_PROVIDERS='[{"name":"mock","issuer":"http://localhost:4010","client_id":"felox",
+//                     "redirect_uri":"http://localhost:3000/oidc/callback"}]' node index.js
+// /authorize ekran göstermez: login_hint'teki e-posta ile anında onaylar.
+// Testler için: email_verified=0 doğrulanmamış e-posta, sub=... sabit kimlik verir.
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT || '4010', 10);
+const ISSUER = (process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const KID = 'mock-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map(); // code -> { client_id, redirect_uri, challenge, nonce, claims, exp }
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function signIdToken(claims) {
+  const h = b64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KID }));
+  const p = b64url(JSON.stringify(claims));
+  const s = crypto.sign('sha256', Buffer.from(`${h}.${p}`), privateKey);
+  return `${h}.${p}.${b64url(s)}`;
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const q = req.query;
+  if (q.response_type !== 'code' || !q.client_id || !q.redirect_uri || !q.state) {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+  if (q.code_challenge_method !== 'S256' || !q.code_challenge) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE S256 zorunlu' });
+  }
+  const email = String(q.login_hint || 'player@mock.local').toLowerCase();
+  const code = b64url(crypto.randomBytes(24));
+  codes.set(code, {
+    client_id: q.client_id,
+    redirect_uri: q.redirect_uri,
+    challenge: q.code_challenge,
+    nonce: q.nonce,
+    exp: Date.now() + 60 * 1000,
+    claims: {
+      sub: String(q.sub || crypto.createHash('sha256').update(email).digest('hex').slice(0, 24)),
+      email,
+      email_verified: q.email_verified !== '0',
+      given_name: q.given_name || 'Mock',
+      family_name: q.family_name || 'Kullanıcı',
+    },
+  });
+  const url = new URL(q.redirect_uri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', q.state);
+  res.redirect(302, url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const b = req.body || {};
+  const entry = codes.get(b.code);
+  codes.delete(b.code); // tek kullanımlık
+  if (b.grant_type !== 'authorization_code' || !entry || entry.exp < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (entry.client_id !== b.client_id || entry.redirect_uri !== b.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client/redirect uyuşmuyor' });
+  }
+  const challenge = b64url(crypto.createHash('sha256').update(String(b.code_verifier || '')).digest());
+  if (challenge !== entry.challenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE doğrulanamadı' });
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const idToken = signIdToken({
+    iss: ISSUER, aud: entry.client_id, iat: now, exp: now + 300, nonce: entry.nonce, ...entry.claims,
+  });
+  res.json({ access_token: b64url(crypto.randomBytes(24)), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => console.log(`mock IdP hazır: ${ISSUER}`));
@@ -0,0 +1,145 @@
+// oidc.js - OpenID Connect istemcisi (authorization code + PKCE)
+// Sağlayıcılar OIDC_PROVIDERS (JSON dizi) ile tanımlanır; uç noktalar discovery'den okunur.
+// Örnek: [{"name":"google","issuer":"https://accounts.google.com","client_id":"...","client_secret":"...",
+//          "redirect_uri":"https://app.felox.app/oidc/callback","scopes":"openid email profile"}]
+const crypto = require('crypto');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SEC = 60;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function loadProviders() {
+  const raw = (process.env.OIDC_PROVIDERS || '').trim();
+  if (!raw) return new Map();
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`OIDC_PROVIDERS geçerli JSON değil: ${e.message}`);
+  }
+  const out = new Map();
+  for (const p of Array.isArray(list) ? list : []) {
+    if (!p || !p.name || !p.issuer || !p.client_id || !p.redirect_uri) {
+      throw new Error('OIDC sağlayıcısı için name, issuer, client_id ve redirect_uri zorunlu');
+    }
+    out.set(String(p.name).toLowerCase(), {
+      name: String(p.name).toLowerCase(),
+      label: p.label || p.name,
+      issuer: String(p.issuer).replace(/\/+$/, ''),
+      client_id: p.client_id,
+      client_secret: p.client_secret || null,
+      redirect_uri: p.redirect_uri,
+      scopes: p.scopes || 'openid email profile',
+    });
+  }
+  return out;
+}
+
+const discoveryCache = new Map(); // issuer -> { at, doc }
+const jwksCache = new Map();      // jwks_uri -> { at, keys }
+
+async function fetchJson(url, init) {
+  const r = await fetch(url, init);
+  const body = await r.json().catch(() => null);
+  if (!r.ok) {
+    const reason = body?.error_description || body?.error || r.statusText;
+    throw new Error(`OIDC isteği başarısız (${r.status}): ${reason}`);
+  }
+  return body;
+}
+
+async function discover(provider) {
+  const hit = discoveryCache.get(provider.issuer);
+  if (hit && Date.now() - hit.at < DISCOVERY_TTL_MS) return hit.doc;
+  const doc = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (String(doc.issuer).replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error('OIDC discovery issuer uyuşmuyor');
+  }
+  discoveryCache.set(provider.issuer, { at: Date.now(), doc });
+  return doc;
+}
+
+async function getSigningKey(jwksUri, kid) {
+  for (const force of [false, true]) {
+    let hit = jwksCache.get(jwksUri);
+    if (force || !hit || Date.now() - hit.at >= DISCOVERY_TTL_MS) {
+      const { keys } = await fetchJson(jwksUri);
+      hit = { at: Date.now(), keys: keys || [] };
+      jwksCache.set(jwksUri, hit);
+    }
+    const jwk = hit.keys.find(k => !kid || k.kid === kid);
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+  throw new Error('OIDC imza anahtarı bulunamadı');
+}
+
+/** PKCE: verifier + S256 challenge */
+function createPkce() {
+  const verifier = b64url(crypto.randomBytes(32));
+  const challenge = b64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge, method: 'S256' };
+}
+
+async function buildAuthorizationUrl(provider, { state, nonce, codeChallenge, loginHint }) {
+  const doc = await discover(provider);
+  const url = new URL(doc.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.client_id);
+  url.searchParams.set('redirect_uri', provider.redirect_uri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+}
+
+async function exchangeCode(provider, { code, codeVerifier }) {
+  const doc = await discover(provider);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirect_uri,
+    client_id: provider.client_id,
+    code_verifier: codeVerifier,
+  });
+  if (provider.client_secret) form.set('client_secret', provider.client_secret);
+  return fetchJson(doc.token_endpoint, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json' },
+    body: form.toString(),
+  });
+}
+
+/** ID token imzasını ve standart claim'leri doğrular; claim'leri döner */
+async function verifyIdToken(provider, idToken, { nonce }) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) throw new Error('Geçersiz id_token');
+  const [h, p, s] = parts;
+  const header = JSON.parse(Buffer.from(h, 'base64url').toString('utf8'));
+  const claims = JSON.parse(Buffer.from(p, 'base64url').toString('utf8'));
+
+  const algs = { RS256: {}, ES256: { dsaEncoding: 'ieee-p1363' } };
+  if (!algs[header.alg]) throw new Error(`Desteklenmeyen id_token algoritması: ${header.alg}`);
+
+  const doc = await discover(provider);
+  const key = await getSigningKey(doc.jwks_uri, header.kid);
+  const ok = crypto.verify('sha256', Buffer.from(`${h}.${p}`), { key, ...algs[header.alg] }, Buffer.from(s, 'base64url'));
+  if (!ok) throw new Error('id_token imzası geçersiz');
+
+  const now = Math.floor(Date.now() / 1000);
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (String(claims.iss).replace(/\/+$/, '') !== provider.issuer) throw new Error('id_token issuer uyuşmuyor');
+  if (!aud.includes(provider.client_id)) throw new Error('id_token audience uyuşmuyor');
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SEC < now) throw new Error('id_token süresi dolmuş');
+  if (claims.iat && claims.iat - CLOCK_SKEW_SEC > now) throw new Error('id_token iat gelecekte');
+  if (!nonce || claims.nonce !== nonce) throw new Error('id_token nonce uyuşmuyor');
+  if (!claims.sub) throw new Error('id_token sub yok');
+  return claims;
+}
+
+module.exports = { loadProviders, createPkce, buildAuthorizationUrl, exchangeCode, verifyIdToken };
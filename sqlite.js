@@ -0,0 +1,612 @@
+// sqlite.js - harici veritabanı olmadan yerel geliştirme için SQLite sürücüsü
+// pg Pool'un kullandığımız yüzünü (query / connect + release / end / on) taklit eder; böylece
+// run/get/all, client.query('BEGIN') ... transaction'ları ve migrate.js aynen çalışır.
+// Sorgular PostgreSQL lehçesinde yazılır ve çalıştırılmadan önce translate() ile çevrilir:
+//   $n parametreleri, ::tip cast'leri, interval / make_interval aritmetiği, EXTRACT(EPOCH ...),
+//   percentile_disc WITHIN GROUP, = ANY($n::int[]), ILIKE, FOR UPDATE, SERIAL, ADD COLUMN IF NOT EXISTS ...
+// timezone(), now(), date_trunc, to_char, md5, greatest/least ve percentile_disc JS fonksiyonu olarak kayıtlı.
+//
+// Zaman damgaları Europe/Istanbul duvar saati olarak "YYYY-MM-DD HH:MM:SS.mmm" metni tutulur
+// (pg'de timezone('Europe/Istanbul', now()) ne yazıyorsa o). Okurken TIMESTAMP/TIMESTAMPTZ kolonları
+// Date'e, BOOLEAN kolonları true/false'a, JSONB ve dizi (TEXT[]) kolonları nesneye çevrilir.
+// Kolona bağlı olmayan hesaplanmış boolean'lar ((x IS NOT NULL) AS y, EXISTS (...) AS y, ifade::boolean AS y)
+// takma adlarından tanınır ve onlar da true/false döner.
+//
+// Sınırlar (yalnızca geliştirme içindir):
+//   - Tek bağlantı: connect() ile alınan client'lar sırayla çalışır (transaction'lar iç içe geçmez),
+//     advisory lock'lar ve FOR UPDATE bu yüzden no-op. Açık bir transaction sırasında gelen pool.query
+//     de aynı sırada client'ın bırakılmasını bekler; yoksa başka isteğin yazısı o transaction'a karışır
+//     ve ROLLBACK'te onunla birlikte silinir. Transaction içinden pool.query çağırmayın (client.query
+//     kullanın): kendi client'ını bekler ve TX_WAIT_MS sonunda hata verir.
+//   - ALTER COLUMN / ADD CONSTRAINT / DROP CONSTRAINT atlanır (SQLite desteklemiyor);
+//     CREATE TABLE içindeki CHECK/NOT NULL kısıtları geçerlidir.
+//   - Parantezsiz karşılaştırmalar (a = b AS y) boolean olarak tanınmaz, 1/0 döner; parantez içine alın.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const APP_TZ = 'Europe/Istanbul';
+// Açık transaction'ı bekleyen pool.query'nin üst sınırı (busy_timeout ile aynı)
+const TX_WAIT_MS = 5000;
+
+/* ---------- Zaman yardımcıları ---------- */
+// Duvar saati metinleri "naif UTC" Date olarak işlenir: aritmetik saat dilimi bilmeden yapılır
+// (pg'deki timestamp without time zone gibi); gerçek ana yalnızca giriş/çıkışta çevrilir.
+const WALL_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?)?$/;
+const WALL_MS_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3}$/;
+const ISO_INSTANT_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const tzFormatters = new Map();
+function tzFormatter(tz) {
+  if (!tzFormatters.has(tz)) {
+    tzFormatters.set(tz, new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return tzFormatters.get(tz);
+}
+
+function pad(n, w = 2) { return String(n).padStart(w, '0'); }
+
+/** Naif Date -> "YYYY-MM-DD HH:MM:SS.mmm" */
+function fmtNaive(d) {
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}.${pad(d.getUTCMilliseconds(), 3)}`;
+}
+
+/** Duvar saati metni -> naif Date (geçersizse null) */
+function parseNaive(s) {
+  const m = WALL_RE.exec(String(s).trim());
+  if (!m) return null;
+  const ms = m[7] ? Number(m[7].slice(0, 3).padEnd(3, '0')) : 0;
+  return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), ms));
+}
+
+/** Gerçek an -> verilen dilimde duvar saati (naif Date) */
+function instantToNaive(date, tz = APP_TZ) {
+  const p = Object.fromEntries(tzFormatter(tz).formatToParts(date).map(x => [x.type, x.value]));
+  return new Date(Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second, date.getUTCMilliseconds()));
+}
+
+/** Duvar saati (naif Date) -> gerçek an */
+function naiveToInstant(naive, tz = APP_TZ) {
+  const t = naive.getTime();
+  const offset = instantToNaive(new Date(t), tz).getTime() - t;
+  const guess = t - offset;
+  // yaz saati geçişlerinde ofset değişebilir: tahmin edilen anın ofsetiyle bir kez düzelt
+  return new Date(t - (instantToNaive(new Date(guess), tz).getTime() - guess));
+}
+
+function toWall(date) { return fmtNaive(instantToNaive(date)); }
+
+function fromWall(s) {
+  const naive = parseNaive(s);
+  return naive ? naiveToInstant(naive) : null;
+}
+
+/** SQL fonksiyonlarına gelen değer: duvar saati metni, ISO an ya da sayı */
+function naiveArg(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'string' && ISO_INSTANT_RE.test(v)) return instantToNaive(new Date(v));
+  if (typeof v === 'number') return instantToNaive(new Date(v));
+  return parseNaive(v);
+}
+
+const UNIT_ALIASES = {
+  sec: 'second', secs: 'second', second: 'second', seconds: 'second',
+  min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  hour: 'hour', hours: 'hour', day: 'day', days: 'day', week: 'week', weeks: 'week',
+  month: 'month', months: 'month', mon: 'month', mons: 'month', year: 'year', years: 'year',
+};
+const UNIT_MS = { second: 1e3, minute: 6e4, hour: 36e5, day: 864e5, week: 6048e5 };
+
+function tsAdd(ts, amount, unit) {
+  const d = naiveArg(ts);
+  if (!d || amount === null || amount === undefined) return null;
+  const u = UNIT_ALIASES[String(unit).toLowerCase()];
+  if (!u) throw new Error(`Bilinmeyen interval birimi: ${unit}`);
+  const n = Number(amount);
+  if (UNIT_MS[u]) return fmtNaive(new Date(d.getTime() + n * UNIT_MS[u]));
+  const out = new Date(d);
+  if (u === 'month') out.setUTCMonth(out.getUTCMonth() + n);
+  else out.setUTCFullYear(out.getUTCFullYear() + n);
+  return fmtNaive(out);
+}
+
+function dateTrunc(unit, ts) {
+  const d = naiveArg(ts);
+  if (!d) return null;
+  const u = UNIT_ALIASES[String(unit).toLowerCase()] || String(unit).toLowerCase();
+  const y = d.getUTCFullYear(), mo = d.getUTCMonth(), day = d.getUTCDate();
+  switch (u) {
+    case 'year': return fmtNaive(new Date(Date.UTC(y, 0, 1)));
+    case 'month': return fmtNaive(new Date(Date.UTC(y, mo, 1)));
+    case 'week': { // ISO hafta: pazartesi
+      const back = (d.getUTCDay() + 6) % 7;
+      return fmtNaive(new Date(Date.UTC(y, mo, day - back)));
+    }
+    case 'day': return fmtNaive(new Date(Date.UTC(y, mo, day)));
+    case 'hour': return fmtNaive(new Date(Date.UTC(y, mo, day, d.getUTCHours())));
+    case 'minute': return fmtNaive(new Date(Date.UTC(y, mo, day, d.getUTCHours(), d.getUTCMinutes())));
+    default: throw new Error(`date_trunc: desteklenmeyen birim ${unit}`);
+  }
+}
+
+function toChar(ts, fmt) {
+  const d = naiveArg(ts);
+  if (!d) return null;
+  return String(fmt).replace(/YYYY|HH24|MM|DD|MI|SS|MS/g, (t) => ({
+    YYYY: String(d.getUTCFullYear()), MM: pad(d.getUTCMonth() + 1), DD: pad(d.getUTCDate()),
+    HH24: pad(d.getUTCHours()), MI: pad(d.getUTCMinutes()), SS: pad(d.getUTCSeconds()),
+    MS: pad(d.getUTCMilliseconds(), 3),
+  })[t]);
+}
+
+/* ---------- Lehçe çevirisi ---------- */
+const IDENT_RE = /[\w.$]/;
+
+/** Tırnakları atlayarak i'deki '(' ile eşleşen ')' indeksini döner */
+function matchForward(sql, i) {
+  let depth = 0;
+  for (let j = i; j < sql.length; j++) {
+    const c = sql[j];
+    if (c === "'") { j = sql.indexOf("'", j + 1); if (j < 0) break; continue; }
+    if (c === '(') depth++;
+    else if (c === ')' && --depth === 0) return j;
+  }
+  throw new Error('SQL çevirisi: kapanmayan parantez');
+}
+
+/** end'de (dahil) biten ifadenin başlangıcı: fonk(...), (...), 'metin' ya da tanımlayıcı/$n */
+function operandStart(sql, end) {
+  let i = end;
+  if (sql[i] === ')') {
+    let depth = 0;
+    for (; i >= 0; i--) {
+      const c = sql[i];
+      if (c === "'") { i = sql.lastIndexOf("'", i - 1); continue; }
+      if (c === ')') depth++;
+      else if (c === '(' && --depth === 0) break;
+    }
+    while (i > 0 && /\w/.test(sql[i - 1])) i--;
+    // agg(...) FILTER (WHERE ...) tek ifadedir
+    const before = sql.slice(0, i);
+    const filter = /\)\s*FILTER\s*$/i.exec(before);
+    if (filter) return operandStart(sql, filter.index);
+    return i;
+  }
+  if (sql[i] === "'") return sql.lastIndexOf("'", i - 1);
+  while (i > 0 && IDENT_RE.test(sql[i - 1])) i--;
+  return i;
+}
+
+function lastNonSpace(sql, i) {
+  while (i >= 0 && /\s/.test(sql[i])) i--;
+  return i;
+}
+
+/** Tepe seviyedeki (parantez/tırnak dışı) ilk ayırıcıdan böler */
+function splitTop(expr, sep) {
+  let depth = 0;
+  for (let j = 0; j < expr.length; j++) {
+    const c = expr[j];
+    if (c === "'") { j = expr.indexOf("'", j + 1); continue; }
+    if (c === '(') depth++;
+    else if (c === ')') depth--;
+    else if (depth === 0 && expr.startsWith(sep, j)) return [expr.slice(0, j), expr.slice(j + sep.length)];
+  }
+  return null;
+}
+
+function splitTopAll(expr, sep) {
+  const out = [];
+  let rest = expr, part;
+  while ((part = splitTop(rest, sep))) { out.push(part[0]); rest = part[1]; }
+  out.push(rest);
+  return out;
+}
+
+const CASTS = {
+  int: 'INTEGER', int2: 'INTEGER', int4: 'INTEGER', int8: 'INTEGER', integer: 'INTEGER', bigint: 'INTEGER', smallint: 'INTEGER',
+  numeric: 'REAL', decimal: 'REAL', real: 'REAL', float: 'REAL', float4: 'REAL', float8: 'REAL', 'double precision': 'REAL',
+  text: 'TEXT', varchar: 'TEXT',
+};
+
+function translateCasts(sql) {
+  const re = /::\s*(double precision|[a-z_][a-z0-9_]*(?:\[\])?)/i;
+  let m;
+  while ((m = re.exec(sql))) {
+    const end = lastNonSpace(sql, m.index - 1);
+    const start = operandStart(sql, end);
+    const operand = sql.slice(start, end + 1);
+    const type = m[1].toLowerCase();
+    let out;
+    if (CASTS[type]) out = `CAST(${operand} AS ${CASTS[type]})`;
+    else if (type === 'date') out = `date(${operand})`;
+    else out = operand; // boolean, jsonb, timestamptz, int[] ...: SQLite'ta depolama aynı
+    sql = sql.slice(0, start) + out + sql.slice(m.index + m[0].length);
+  }
+  return sql;
+}
+
+function translateIntervals(sql) {
+  const re = /([+-])\s*(?:interval\s*'\s*(\d+(?:\.\d+)?)\s*([a-z]+)\s*'|make_interval\s*\(\s*([a-z]+)\s*=>\s*([^)]+?)\s*\))/i;
+  let m;
+  while ((m = re.exec(sql))) {
+    const end = lastNonSpace(sql, m.index - 1);
+    const start = operandStart(sql, end);
+    const operand = sql.slice(start, end + 1);
+    const neg = m[1] === '-';
+    const amount = m[2] !== undefined ? `${neg ? '-' : ''}${m[2]}` : (neg ? `-(${m[5]})` : m[5]);
+    const unit = m[3] || m[4];
+    sql = sql.slice(0, start) + `ts_add(${operand}, ${amount}, '${unit}')` + sql.slice(m.index + m[0].length);
+  }
+  return sql;
+}
+
+// EXTRACT(EPOCH FROM (a - b)) -> (ts_epoch(a) - ts_epoch(b))
+function translateEpoch(sql) {
+  const re = /EXTRACT\s*\(\s*EPOCH\s+FROM\s+/i;
+  let m;
+  while ((m = re.exec(sql))) {
+    const open = m.index + m[0].slice(0, m[0].indexOf('(')).length;
+    const close = matchForward(sql, open);
+    let inner = sql.slice(m.index + m[0].length, close).trim();
+    if (inner.startsWith('(') && matchForward(inner, 0) === inner.length - 1) inner = inner.slice(1, -1);
+    const diff = splitTop(inner, ' - ');
+    const out = diff
+      ? `(ts_epoch(${diff[0].trim()}) - ts_epoch(${diff[1].trim()}))`
+      : `ts_epoch(${inner})`;
+    sql = sql.slice(0, m.index) + out + sql.slice(close + 1);
+  }
+  return sql;
+}
+
+// DEFAULT fonk(...) -> DEFAULT (fonk(...)): SQLite ifade varsayılanlarını parantez içinde ister
+function wrapDefaults(sql) {
+  const re = /\bDEFAULT\s+(?=[a-z_]+\s*\()/gi;
+  let out = '', last = 0, m;
+  while ((m = re.exec(sql))) {
+    const open = sql.indexOf('(', m.index + m[0].length);
+    const close = matchForward(sql, open);
+    out += sql.slice(last, m.index + m[0].length) + `(${sql.slice(m.index + m[0].length, close + 1)})`;
+    last = close + 1;
+    re.lastIndex = last;
+  }
+  return out + sql.slice(last);
+}
+
+// Parantez içindeki ifadenin tepe seviyesinde karşılaştırma / IS NULL / IN / LIKE / EXISTS var mı
+const PREDICATE_RE = /\bIS\s+(?:NOT\s+)?(?:NULL|TRUE|FALSE)\b|<>|!=|<=|>=|[=<>]|\b(?:I?LIKE|IN|BETWEEN|EXISTS)\b/i;
+
+/** İç parantezleri ve metinleri atar: "a <= f(b, 'x')" -> "a <= f" */
+function topLevelText(expr) {
+  let out = '', depth = 0;
+  for (let j = 0; j < expr.length; j++) {
+    const c = expr[j];
+    if (c === "'") { j = expr.indexOf("'", j + 1); if (j < 0) break; continue; }
+    if (c === '(') depth++;
+    else if (c === ')') depth--;
+    else if (depth === 0) out += c;
+  }
+  return out;
+}
+
+/**
+ * SELECT / RETURNING listesinde boolean değer üreten takma adlar (SQLite bunları 1/0 döndürür):
+ * (karşılaştırma) AS x, EXISTS (...) AS x, ifade::boolean AS x. Alt sorgu, CASE ve fonksiyon çağrıları sayılmaz.
+ */
+function booleanAliases(sql) {
+  const out = new Set();
+  const re = /\bAS\s+(\w+)/gi;
+  let m;
+  while ((m = re.exec(sql))) {
+    const end = lastNonSpace(sql, m.index - 1);
+    if (end < 0) continue;
+    if (/::\s*bool(?:ean)?$/i.test(sql.slice(0, end + 1))) { out.add(m[1]); continue; }
+    if (sql[end] !== ')') continue;
+    const start = operandStart(sql, end);
+    const open = sql.indexOf('(', start);
+    const before = sql.slice(0, start);
+    if (/\bEXISTS\s*$/i.test(before)) { out.add(m[1]); continue; }
+    if (open !== start || /\b(OVER|FILTER|IN)\s*$/i.test(before)) continue; // fonk(...), pencere, liste
+    const inner = sql.slice(open + 1, end).trim();
+    if (/^(SELECT|WITH|CASE)\b/i.test(inner)) continue;
+    if (PREDICATE_RE.test(topLevelText(inner))) out.add(m[1]);
+  }
+  return out;
+}
+
+const COLUMNS_VIEW = `(SELECT m.name AS table_name, p.name AS column_name, p.type AS data_type
+    FROM sqlite_master m JOIN pragma_table_info(m.name) p WHERE m.type = 'table')`;
+
+/** Tek ifadelik çeviri (DML + basit DDL) */
+function translateSql(sql) {
+  sql = sql
+    .replace(/TIMESTAMP\s+'epoch'/gi, "'1970-01-01 00:00:00.000'")
+    .replace(/percentile_disc\s*\(([^)]*)\)\s*WITHIN\s+GROUP\s*\(\s*ORDER\s+BY\s+([^)]+?)\s*\)/gi, 'percentile_disc($1, $2)')
+    .replace(/=\s*ANY\s*\(\s*(\$\d+)(?:\s*::\s*\w+\[\])?\s*\)/gi, 'IN (SELECT value FROM json_each($1))')
+    .replace(/<>\s*ALL\s*\(\s*(\$\d+)(?:\s*::\s*\w+\[\])?\s*\)/gi, 'NOT IN (SELECT value FROM json_each($1))')
+    .replace(/\bI?LIKE\s+(\$\d+)/gi, "LIKE $1 ESCAPE '\\'")
+    .replace(/\bILIKE\b/gi, 'LIKE')
+    .replace(/\s+FOR\s+UPDATE(\s+(SKIP\s+LOCKED|NOWAIT))?/gi, '')
+    .replace(/\binformation_schema\.columns\b/gi, COLUMNS_VIEW)
+    .replace(/\bpublic\.(?=\w)/gi, '')
+    .replace(/\bCOUNT\s*\(\s*(\w+)\.\*\s*\)/gi, 'COUNT($1.rowid)')
+    .replace(/\b(?:BIG)?SERIAL\s+PRIMARY\s+KEY/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/(\[\]\s+(?:NOT\s+NULL\s+)?DEFAULT\s+)'\{\}'/gi, "$1'[]'")
+    .replace(/\bCREATE\s+(UNIQUE\s+)?INDEX\s+CONCURRENTLY\b/gi, 'CREATE $1INDEX')
+    .replace(/^(\s*DROP\s+TABLE\s+.*?)\s+CASCADE\s*$/is, '$1');
+  sql = translateEpoch(sql);
+  sql = translateCasts(sql);
+  sql = translateIntervals(sql);
+  if (/^\s*CREATE\s+TABLE/i.test(sql)) sql = wrapDefaults(sql);
+  return sql;
+}
+
+// plpgsql fonksiyonlarının yalnızca "RAISE EXCEPTION 'mesaj'" biçimi desteklenir (append-only tablolar);
+// trigger'a bağlanınca SQLite'ta RAISE(ABORT, mesaj) olarak kurulur.
+const raiseFunctions = new Map();
+
+/**
+ * PostgreSQL ifadesini SQLite adımlarına çevirir.
+ * Dönen her adım: { sql }, { sql, ifMissingColumn: [tablo, kolon] } ya da
+ * { sql, ifColumnExists: [tablo, kolon] }; boş dizi = atla.
+ */
+function translate(sql) {
+  const s = sql.trim().replace(/;\s*$/, '');
+  if (/^SET\s/i.test(s)) return [];
+  if (/^BEGIN\b/i.test(s)) return [{ sql: 'BEGIN IMMEDIATE', tx: 'begin' }];
+  if (/^(COMMIT|ROLLBACK)\b/i.test(s)) return [{ sql: s.toUpperCase(), tx: 'end' }];
+
+  let m;
+  if ((m = /^CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\s+(\w+)\s*\(/i.exec(s))) {
+    const raise = /RAISE\s+EXCEPTION\s+'((?:[^']|'')*)'/i.exec(s);
+    raiseFunctions.set(m[1], raise ? raise[1] : m[1]);
+    return [];
+  }
+  if (/^DROP\s+FUNCTION\b/i.test(s)) return [];
+  if ((m = /^DROP\s+TRIGGER\s+IF\s+EXISTS\s+(\w+)\s+ON\s+\w+$/i.exec(s))) {
+    return ['insert', 'update', 'delete'].map(ev => ({ sql: `DROP TRIGGER IF EXISTS ${m[1]}_${ev}` }));
+  }
+  if ((m = /^CREATE\s+TRIGGER\s+(\w+)\s+(BEFORE|AFTER)\s+(.+?)\s+ON\s+(\w+)\s+FOR\s+EACH\s+ROW\s+EXECUTE\s+(?:FUNCTION|PROCEDURE)\s+(\w+)\s*\(\s*\)$/is.exec(s))) {
+    const [, name, when, events, table, fn] = m;
+    const msg = raiseFunctions.get(fn) || fn;
+    return events.split(/\s+OR\s+/i).map(ev => ({
+      sql: `CREATE TRIGGER IF NOT EXISTS ${name}_${ev.toLowerCase()} ${when.toUpperCase()} ${ev.toUpperCase()} ON ${table}
+            BEGIN SELECT RAISE(ABORT, '${msg}'); END`,
+    }));
+  }
+  if ((m = /^ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(\w+)\s+([\s\S]+)$/i.exec(s))) {
+    const table = m[1];
+    const steps = [];
+    for (const raw of splitTopAll(m[2], ',')) {
+      const action = raw.trim();
+      let a;
+      if ((a = /^ADD\s+(?:COLUMN\s+)?(IF\s+NOT\s+EXISTS\s+)?(\w+)\s+([\s\S]+)$/i.exec(action)) && !/^ADD\s+CONSTRAINT\b/i.test(action)) {
+        const stepSql = translateSql(`ALTER TABLE ${table} ADD COLUMN ${a[2]} ${a[3]}`);
+        steps.push({ sql: stepSql, ifMissingColumn: [table, a[2]] });
+      } else if ((a = /^DROP\s+(?:COLUMN\s+)?(IF\s+EXISTS\s+)?(\w+)(?:\s+CASCADE)?$/i.exec(action)) && !/^DROP\s+CONSTRAINT\b/i.test(action)) {
+        const stepSql = `ALTER TABLE ${table} DROP COLUMN ${a[2]}`;
+        steps.push(a[1] ? { sql: stepSql, ifColumnExists: [table, a[2]] } : { sql: stepSql });
+      } else if (/^(ALTER\s+COLUMN|ADD\s+CONSTRAINT|DROP\s+CONSTRAINT)\b/i.test(action)) {
+        continue; // SQLite'ta yok; bkz. dosya başı
+      } else {
+        steps.push({ sql: translateSql(`ALTER TABLE ${table} ${action}`) });
+      }
+    }
+    return steps;
+  }
+  return [{ sql: translateSql(s) }];
+}
+
+/* ---------- Değer dönüşümleri ---------- */
+function toParam(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (v instanceof Date) return toWall(v);
+  if (Buffer.isBuffer(v)) return v;
+  if (typeof v === 'object') return JSON.stringify(v); // diziler (TEXT[], ANY) ve JSONB
+  if (typeof v === 'string' && ISO_INSTANT_RE.test(v)) return toWall(new Date(v));
+  return v;
+}
+
+function bindParams(params) {
+  if (!params || !params.length) return undefined;
+  const out = {};
+  params.forEach((v, i) => { out[i + 1] = toParam(v); });
+  return out;
+}
+
+function parseJson(v) {
+  if (typeof v !== 'string') return v;
+  try { return JSON.parse(v); } catch { return v; }
+}
+
+function convertRow(row, columns, bools) {
+  for (const c of columns) {
+    const v = row[c.name];
+    if (v === null || v === undefined) continue;
+    const type = (c.type || '').toUpperCase();
+    if (bools.has(c.name) && typeof v === 'number') row[c.name] = v !== 0;
+    else if (type.includes('TIMESTAMP')) row[c.name] = typeof v === 'string' ? fromWall(v) || v : v;
+    else if (type === 'BOOLEAN' || type === 'BOOL') row[c.name] = !!v;
+    else if (type.includes('JSON') || type.endsWith('[]')) row[c.name] = parseJson(v);
+    else if (!type && typeof v === 'string' && WALL_MS_RE.test(v)) row[c.name] = fromWall(v);
+  }
+  return row;
+}
+
+/* ---------- Bağlantı ---------- */
+function registerFunctions(db) {
+  db.function('now', () => toWall(new Date()));
+  db.function('timezone', (tz, ts) => {
+    if (ts === null) return null;
+    if (tz === APP_TZ) return typeof ts === 'string' && !ISO_INSTANT_RE.test(ts) ? ts : fmtNaive(naiveArg(ts));
+    // Başka dilim: saklanan APP_TZ duvar saatini o dilimin duvar saatine çevir
+    return fmtNaive(instantToNaive(naiveToInstant(naiveArg(ts)), tz));
+  });
+  db.function('ts_add', tsAdd);
+  db.function('ts_epoch', (ts) => {
+    const d = naiveArg(ts);
+    return d ? naiveToInstant(d).getTime() / 1000 : null;
+  });
+  db.function('date_trunc', dateTrunc);
+  db.function('to_char', toChar);
+  db.function('md5', { deterministic: true }, (s) => (s === null ? null : crypto.createHash('md5').update(String(s)).digest('hex')));
+  const pick = (cmp) => (...args) => {
+    const vals = args.filter(v => v !== null);
+    return vals.length ? vals.reduce((a, b) => (cmp(b, a) ? b : a)) : null;
+  };
+  db.function('greatest', { varargs: true, deterministic: true }, pick((a, b) => a > b));
+  db.function('least', { varargs: true, deterministic: true }, pick((a, b) => a < b));
+  db.aggregate('percentile_disc', {
+    start: () => ({ p: 0, vals: [] }),
+    step: (ctx, p, v) => { ctx.p = p; if (v !== null) ctx.vals.push(v); },
+    result: (ctx) => {
+      if (!ctx.vals.length) return null;
+      const sorted = ctx.vals.sort((a, b) => a - b);
+      return sorted[Math.max(0, Math.ceil(ctx.p * sorted.length) - 1)];
+    },
+  });
+  // Tek bağlantı + sıralı transaction'lar: kilitler her zaman alınmış sayılır
+  db.function('pg_advisory_xact_lock', { varargs: true }, () => null);
+  db.function('pg_try_advisory_lock', { varargs: true }, () => 1);
+  db.function('pg_advisory_unlock', { varargs: true }, () => 1);
+}
+
+function createSqlitePool(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('SQLite sürücüsü için better-sqlite3 paketi gerekli (npm install better-sqlite3).');
+  }
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+  registerFunctions(db);
+
+  const cache = new Map();
+  function prepare(sql) {
+    let stmt = cache.get(sql);
+    if (!stmt) {
+      stmt = db.prepare(sql);
+      if (cache.size > 500) cache.delete(cache.keys().next().value);
+      cache.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  // Sorgu metni -> hesaplanmış boolean takma adları (prepare önbelleğiyle aynı sınır)
+  const boolCache = new Map();
+  function boolsFor(sql) {
+    let bools = boolCache.get(sql);
+    if (!bools) {
+      bools = booleanAliases(sql);
+      if (boolCache.size > 500) boolCache.delete(boolCache.keys().next().value);
+      boolCache.set(sql, bools);
+    }
+    return bools;
+  }
+
+  function hasColumn(table, column) {
+    return db.prepare(`SELECT 1 FROM pragma_table_info(?) WHERE name = ?`).get(table, column) !== undefined;
+  }
+
+  function execute(sql, params) {
+    let result = { rows: [], rowCount: 0 };
+    for (const step of translate(sql)) {
+      if (step.ifMissingColumn && hasColumn(...step.ifMissingColumn)) continue;
+      if (step.ifColumnExists && !hasColumn(...step.ifColumnExists)) continue;
+      // pg'de açık transaction yokken COMMIT/ROLLBACK yalnızca uyarıdır
+      if (step.tx === 'end' && !db.inTransaction) continue;
+      let stmt;
+      try {
+        stmt = prepare(step.sql);
+      } catch (e) {
+        if (!/more than one statement/i.test(e.message)) throw e;
+        db.exec(step.sql);
+        continue;
+      }
+      const bound = bindParams(params);
+      if (stmt.reader) {
+        const columns = stmt.columns();
+        const bools = boolsFor(sql);
+        const rows = (bound ? stmt.all(bound) : stmt.all()).map(r => convertRow(r, columns, bools));
+        result = { rows, rowCount: rows.length };
+      } else {
+        const info = bound ? stmt.run(bound) : stmt.run();
+        result = { rows: [], rowCount: info.changes };
+      }
+    }
+    return result;
+  }
+
+  // Sıra: client'lar (connect) ve transaction açıkken gelen pool.query'ler aynı kuyrukta bekler.
+  // -> sırayı bırakan fonksiyon; timeoutMs dolarsa hata (sıra yine de boşa geçer, kuyruk tıkanmaz)
+  let queue = Promise.resolve();
+  async function acquire(timeoutMs) {
+    let release;
+    const turn = new Promise((resolve) => { release = resolve; });
+    const prev = queue;
+    queue = queue.then(() => turn);
+    if (!timeoutMs) {
+      await prev;
+      return release;
+    }
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`SQLite: açık transaction ${timeoutMs} ms içinde bitmedi`)), timeoutMs);
+    });
+    try {
+      await Promise.race([prev, timedOut]);
+      return release;
+    } catch (e) {
+      prev.then(release);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const clientQuery = async (sql, params = []) => execute(sql, params);
+  const query = async (sql, params = []) => {
+    if (!db.inTransaction) return execute(sql, params);
+    const release = await acquire(TX_WAIT_MS);
+    try {
+      return execute(sql, params);
+    } finally {
+      release();
+    }
+  };
+
+  // connect(): client'lar sırayla verilir ki iki transaction aynı bağlantıda iç içe geçmesin
+  async function connect() {
+    const release = await acquire();
+    let released = false;
+    return {
+      query: clientQuery,
+      release() {
+        if (released) return;
+        released = true;
+        if (db.inTransaction) db.exec('ROLLBACK');
+        release();
+      },
+    };
+  }
+
+  return {
+    dialect: 'sqlite',
+    file,
+    query,
+    connect,
+    on() { return this; },
+    async end() { if (db.open) db.close(); },
+  };
+}
+
+module.exports = { createSqlitePool, translate, toWall, fromWall };
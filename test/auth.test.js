@@ -0,0 +1,102 @@
+// test/auth.test.js - oturum token'ı uçtan uca (node --test; geçici SQLite veritabanı)
+// Sunucu ayrı süreçte açılır; süresi dolmuş access token AUTH_SECRET ile aynı biçimde üretilir.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const AUTH_SECRET = 'test-secret';
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let dir, server;
+
+async function api(method, url, { body, token } = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  const res = await fetch(BASE + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: res.status, body: await res.json() };
+}
+
+/** Aynı uid/sid ile, süresi bir saat önce dolmuş access token */
+function expiredToken(token) {
+  const payload = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now - 7200, exp: now - 3600 })).toString('base64url');
+  const sig = crypto.createHmac('sha256', AUTH_SECRET).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'felox-test-'));
+  const env = {
+    ...process.env, PORT: String(PORT), AUTH_SECRET, NODE_ENV: 'test', MAIL_TRANSPORT: 'file',
+    MAIL_DIR: path.join(dir, 'mail'), SQLITE_PATH: path.join(dir, 'db.sqlite'), MEDIA_DIR: path.join(dir, 'media'),
+  };
+  delete env.DATABASE_URL;
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], { env, stdio: 'ignore' });
+  for (let i = 0; i < 100; i++) {
+    try {
+      await fetch(BASE + '/');
+      return;
+    } catch {
+      await new Promise(r => setTimeout(r, 200));
+    }
+  }
+  throw new Error('Sunucu açılmadı');
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('süresi dolmuş access token refresh, login ve register rotalarını kilitlemez', async () => {
+  const reg = await api('POST', '/api/register', { body: { email: 'a@test.io', password: 'secret12' } });
+  assert.equal(reg.status, 200);
+  const stale = expiredToken(reg.body.token);
+
+  const refreshed = await api('POST', '/api/auth/refresh', { body: { refresh_token: reg.body.refresh_token }, token: stale });
+  assert.equal(refreshed.status, 200);
+  assert.ok(refreshed.body.token);
+
+  const login = await api('POST', '/api/login', { body: { email: 'a@test.io', password: 'secret12' }, token: stale });
+  assert.equal(login.status, 200);
+
+  const other = await api('POST', '/api/register', { body: { email: 'b@test.io', password: 'secret12' }, token: stale });
+  assert.equal(other.status, 200);
+});
+
+test('hesaplanmış boolean alanlar true/false döner (SQLite\'ta da)', async () => {
+  const login = await api('POST', '/api/login', { body: { email: 'a@test.io', password: 'secret12' } });
+  assert.equal(login.body.user.email_verified, false);
+  assert.equal(login.body.user.totp_enabled, false);
+});
+
+test('kimlik isteyen rotalar süresi dolmuş token\'ı SESSION_INVALID ile reddeder', async () => {
+  const login = await api('POST', '/api/login', { body: { email: 'a@test.io', password: 'secret12' } });
+  const uid = login.body.user.id;
+  const stale = expiredToken(login.body.token);
+
+  const profile = await api('GET', `/api/user/${uid}/profile`, { token: stale });
+  assert.equal(profile.status, 401);
+  assert.equal(profile.body.code, 'SESSION_INVALID');
+
+  const fresh = await api('GET', `/api/user/${uid}/profile`, { token: login.body.token });
+  assert.equal(fresh.status, 200);
+});
+
+test('query\'de user_id yoksa token\'daki kullanıcı kullanılır', async () => {
+  const login = await api('POST', '/api/login', { body: { email: 'a@test.io', password: 'secret12' } });
+
+  const summary = await api('GET', '/api/duello/match/999999/summary', { token: login.body.token });
+  assert.equal(summary.status, 404);
+  assert.equal(summary.body.code, 'MATCH_NOT_FOUND');
+
+  const other = await api('GET', '/api/duello/match/999999/summary?user_id=999999', { token: login.body.token });
+  assert.equal(other.body.code, 'ACT_AS_FORBIDDEN');
+});
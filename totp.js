@@ -0,0 +1,82 @@
+// totp.js - RFC 6238 TOTP (SHA-1, 6 hane, 30 sn) + base32 yardımcıları
+// Google Authenticator, Authy, 1Password vb. uygulamalarla uyumlu varsayılanlar.
+const crypto = require('crypto');
+
+const STEP_SEC = 30;
+const DIGITS = 6;
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error('Geçersiz base32');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** 160 bit rastgele sır (base32) */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac('sha1', key).update(msg).digest();
+  const off = mac[mac.length - 1] & 0x0f;
+  const bin = mac.readUInt32BE(off) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(nowMs = Date.now()) {
+  return Math.floor(nowMs / 1000 / STEP_SEC);
+}
+
+/**
+ * Kodu ±window adım toleransla doğrular; eşleşen adımı (tekrar kullanımı engellemek için) döner.
+ * afterStep verilirse o adım ve öncesi kabul edilmez.
+ */
+function verifyTotp(secret, code, { window = 1, afterStep = null } = {}) {
+  const c = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(c)) return null;
+  const key = base32Decode(secret);
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    if (afterStep != null && step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return step;
+  }
+  return null;
+}
+
+/** Authenticator uygulamalarının QR ile okuduğu provisioning URI */
+function otpauthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const q = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SEC) });
+  return `otpauth://totp/${label}?${q.toString()}`;
+}
+
+module.exports = { generateSecret, verifyTotp, otpauthUrl, currentStep, base32Encode, base32Decode };
@@ -0,0 +1,123 @@
+// validate.js - bildirimsel istek şemaları
+// Kullanım:
+//   app.post("/api/x", validate({ body: { email: { type: 'email', required: true } } }), handler)
+// Alan kuralları: type, required, nullable, default, enum, min, max, minLength, maxLength,
+//                 pattern, lowercase, trim (metinlerde varsayılan açık; şifrelerde false), items (dizi elemanı şeması)
+// Geçerli ve dönüştürülmüş değerler req.valid.{body,query,params} altına yazılır (body ayrıca req.body'ye işlenir).
+// Hata: 400 VALIDATION_FAILED, details: [{ field, rule, message, ...kural parametreleri }]
+const { sendError } = require('./errors');
+const { ruleMessage, DEFAULT_LOCALE } = require('./i18n');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function fail(field, rule, params = {}) {
+  // message varsayılan dilde; yanıt i18n.localizer ile istek diline çevrilir
+  return { field, rule, ...params, message: ruleMessage(DEFAULT_LOCALE, rule, params) };
+}
+
+// Tip dönüşümü: query/params hep metin geldiği için sayı/boolean esnek okunur
+function coerce(type, v, spec = {}) {
+  switch (type) {
+    case 'string':
+      if (typeof v !== 'string' && typeof v !== 'number') return { ok: false };
+      return { ok: true, v: spec.trim === false ? String(v) : String(v).trim() };
+    case 'email': {
+      const s = typeof v === 'string' ? v.trim().toLowerCase() : '';
+      return EMAIL_RE.test(s) ? { ok: true, v: s } : { ok: false };
+    }
+    case 'integer':
+    case 'id': {
+      const n = typeof v === 'number' ? v : (typeof v === 'string' && /^-?\d+$/.test(v.trim()) ? Number(v) : NaN);
+      if (!Number.isSafeInteger(n) || (type === 'id' && n <= 0)) return { ok: false };
+      return { ok: true, v: n };
+    }
+    case 'number': {
+      const n = typeof v === 'number' ? v : (typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN);
+      return Number.isFinite(n) ? { ok: true, v: n } : { ok: false };
+    }
+    case 'boolean':
+      if (typeof v === 'boolean') return { ok: true, v };
+      if (v === 'true' || v === '1' || v === 1) return { ok: true, v: true };
+      if (v === 'false' || v === '0' || v === 0) return { ok: true, v: false };
+      return { ok: false };
+    case 'date': {
+      const d = new Date(v);
+      return (typeof v === 'string' || typeof v === 'number') && !Number.isNaN(d.getTime())
+        ? { ok: true, v: d.toISOString() }
+        : { ok: false };
+    }
+    case 'array':
+      return Array.isArray(v) ? { ok: true, v } : { ok: false };
+    case 'object':
+      return v && typeof v === 'object' && !Array.isArray(v) ? { ok: true, v } : { ok: false };
+    default:
+      return { ok: true, v };
+  }
+}
+
+function checkField(field, raw, spec, errors) {
+  const empty = raw === undefined || raw === null || raw === '' ||
+    (typeof raw === 'string' && spec.trim !== false && raw.trim() === '');
+  if (empty) {
+    if (spec.default !== undefined) return spec.default;
+    if (spec.required) errors.push(fail(field, 'required'));
+    // nullable alanlarda boş değer "temizle" anlamına gelir
+    return raw !== undefined && spec.nullable ? null : undefined;
+  }
+
+  const c = coerce(spec.type || 'string', raw, spec);
+  if (!c.ok) {
+    errors.push(fail(field, 'type', { expected: spec.type || 'string' }));
+    return undefined;
+  }
+  let v = c.v;
+  // lowercase: true ya da yerel ayar ('tr' -> "KADIN" => "kadın")
+  if (spec.lowercase && typeof v === 'string') {
+    v = typeof spec.lowercase === 'string' ? v.toLocaleLowerCase(spec.lowercase) : v.toLowerCase();
+  }
+
+  if (spec.enum && !spec.enum.includes(v)) errors.push(fail(field, 'enum', { values: spec.enum }));
+  if (typeof v === 'number') {
+    if (spec.min !== undefined && v < spec.min) errors.push(fail(field, 'min', { min: spec.min }));
+    if (spec.max !== undefined && v > spec.max) errors.push(fail(field, 'max', { max: spec.max }));
+  }
+  if (typeof v === 'string' || Array.isArray(v)) {
+    if (spec.minLength !== undefined && v.length < spec.minLength) errors.push(fail(field, 'minLength', { minLength: spec.minLength }));
+    if (spec.maxLength !== undefined && v.length > spec.maxLength) errors.push(fail(field, 'maxLength', { maxLength: spec.maxLength }));
+  }
+  if (spec.pattern && typeof v === 'string' && !spec.pattern.test(v)) errors.push(fail(field, 'pattern'));
+  if (spec.items && Array.isArray(v)) {
+    v = v.map((item, i) => checkField(`${field}[${i}]`, item, spec.items, errors));
+  }
+  return v;
+}
+
+/** Şemadaki alanları doğrular; şemada olmayan alanlara dokunmaz */
+function validateObject(where, schema, input) {
+  const errors = [];
+  const out = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const v = checkField(`${where}.${key}`, input?.[key], spec, errors);
+    if (v !== undefined) out[key] = v;
+  }
+  return { value: out, errors };
+}
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    req.valid = req.valid || {};
+    for (const where of ['params', 'query', 'body']) {
+      if (!schemas[where]) continue;
+      const { value, errors } = validateObject(where, schemas[where], req[where]);
+      details.push(...errors);
+      req.valid[where] = value;
+    }
+    if (details.length) return sendError(res, 'VALIDATION_FAILED', { details });
+    // Express 5'te req.query salt okunur; body'yi normalize edilmiş değerlerle güncelle
+    if (req.valid.body) req.body = { ...(req.body || {}), ...req.valid.body };
+    next();
+  };
+}
+
+module.exports = { validate, validateObject };